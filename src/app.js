@@ -7,14 +7,23 @@ import morgan from 'morgan';
 import { connectMongo } from './config/index.js';
 import authRouter from './routes/auth.js';
 import generationsRouter from './routes/generations.js';
+import usersRouter from './routes/users.js';
+import projectsRouter from './routes/projects.js';
+import analyticsRouter from './routes/analytics.js';
+import promptTemplatesRouter from './routes/promptTemplates.js';
 import { logger } from './utils/logger.js';
+import { resumeGenerationJobs } from './services/generationWorker.js';
+import { resumeBatches } from './services/batchService.js';
+import { ensureDefaultPromptTemplates } from './services/promptService.js';
 
 const app = express();
 
 // CORS configuration
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    // Clients send the ETag back in If-Match when editing content
+    exposedHeaders: ['ETag'],
 }));
 
 // Body parser
@@ -35,6 +44,11 @@ app.get('/serverStatus', (req, res) => {
 // Connect to MongoDB
 connectMongo().then(() => {
     logger.info('Connected to MongoDB');
+    // Seed the default prompt templates, then pick up generation jobs and
+    // batches interrupted by a restart
+    return ensureDefaultPromptTemplates()
+        .then(resumeGenerationJobs)
+        .then(resumeBatches);
 }).catch((error) => {
     logger.error(`MongoDB connection error: ${error}`);
     process.exit(1);
@@ -44,10 +58,31 @@ connectMongo().then(() => {
 // Routes
 app.use('/auth', authRouter);
 app.use('/generations', generationsRouter);
+app.use('/users', usersRouter);
+app.use('/projects', projectsRouter);
+app.use('/analytics', analyticsRouter);
+app.use('/prompt-templates', promptTemplatesRouter);
 
 // Log registered routes
 logger.info('Registered Routes:');
 logger.info(' [POST] /auth/register');
+logger.info(' [POST] /auth/login');
+logger.info(' [POST] /auth/refresh');
+logger.info(' [POST] /auth/logout');
+logger.info(' [GET] /users');
+logger.info(' [GET] /users/me/quota');
+logger.info(' [PATCH] /users/:id/role');
+logger.info(' [PATCH] /users/:id/quota');
+logger.info(' [GET] /projects');
+logger.info(' [GET|PATCH] /projects/:key');
+logger.info(' [GET] /projects/:key/generations');
+logger.info(' [GET|PUT|DELETE] /projects/:key/members');
+logger.info(' [GET] /analytics/spend|breakdown|failures|latency');
+logger.info(' [GET|POST] /prompt-templates');
+logger.info(' [GET|PATCH|DELETE] /prompt-templates/:id');
+logger.info(' [GET] /prompt-templates/:id/versions/:version');
+logger.info(' [POST] /prompt-templates/:id/versions/:version/restore');
+logger.info(' [POST] /prompt-templates/:id/default|preview');
 
 // 404 handler - Route not found
 app.use((req, res) => {
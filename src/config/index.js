@@ -23,6 +23,12 @@ export async function connectMongo() {
     }
 }
 
+// Users registering with these emails become admins
+export const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
 //JWT Configuration
 export const jwtConfig = {
     accessTokenTtlSec: Number(process.env.JWT_ACCESS_TOKEN_TTL_SEC),
@@ -35,5 +41,93 @@ export const jiraConfig = {
     baseUrl: process.env.JIRA_BASE_URL,
     email: process.env.JIRA_EMAIL,
     apiToken: process.env.JIRA_API_TOKEN,
+    // Comma-separated custom field ids holding acceptance criteria, e.g. customfield_10040
+    acceptanceCriteriaFields: (process.env.JIRA_ACCEPTANCE_CRITERIA_FIELDS || '')
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean),
+    // Issue type used for generated test sub-tasks
+    subtaskIssueType: process.env.JIRA_SUBTASK_ISSUE_TYPE || 'Subtask',
+}
+
+
+// OpenAI Configuration
+export const openaiConfig = {
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    maxCompletionTokens: 8000,
+}
+
+// Fake JIRA and LLM services answering from recorded fixtures, for working
+// offline and for the test suite. Never enable in production.
+export const fakeServicesConfig = {
+    enabled: process.env.FAKE_SERVICES === 'true',
+    fixturesDir: process.env.FAKE_FIXTURES_DIR || 'test/fixtures',
+}
+
+// LLM providers. Generations use the default provider unless their project or
+// request picks another configured one; a provider is configured when its keys are set.
+export const llmConfig = {
+    defaultProvider: process.env.LLM_PROVIDER || (fakeServicesConfig.enabled ? 'fake' : 'openai'),
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        model: openaiConfig.model,
+    },
+    azure: {
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2025-04-01-preview',
+        // On Azure the model is the name of a deployment
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+        // Base model of each deployment for pricing, e.g. {"tests-prod":"gpt-4o"}
+        deploymentModels: process.env.AZURE_OPENAI_DEPLOYMENT_MODELS,
+    },
+    anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        apiVersion: '2023-06-01',
+    },
+    // Any OpenAI-compatible endpoint, such as a self-hosted Ollama server
+    ollama: {
+        baseUrl: process.env.OLLAMA_BASE_URL,
+        apiKey: process.env.OLLAMA_API_KEY || 'ollama',
+        model: process.env.OLLAMA_MODEL || 'llama3.1',
+    },
+    // Fixture-backed provider, configured only when fake services are enabled
+    fake: {
+        model: process.env.FAKE_LLM_MODEL || 'gpt-4o-mini',
+    },
 }
 
+// Generation worker configuration
+export const generationConfig = {
+    workerConcurrency: Number(process.env.GENERATION_WORKER_CONCURRENCY) || 2,
+    // Maximum tokens of JIRA context sent to the model
+    contextTokenBudget: Number(process.env.CONTEXT_TOKEN_BUDGET) || 12000,
+}
+
+// Batch generation configuration
+export const batchConfig = {
+    // Most issues a single batch may cover
+    maxIssues: Number(process.env.BATCH_MAX_ISSUES) || 100,
+    // Generations a batch runs at the same time, and the most a request may ask for
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 2,
+    maxConcurrency: Number(process.env.BATCH_MAX_CONCURRENCY) || 5,
+    // Batches a user may have running at the same time
+    maxActivePerUser: Number(process.env.BATCH_MAX_ACTIVE_PER_USER) || 2,
+    // Issues with a completed generation this recent are skipped, 0 disables skipping
+    skipRecentDays: Number(process.env.BATCH_SKIP_RECENT_DAYS ?? 7),
+}
+
+// Vision configuration: JIRA image attachments sent to the model
+export const visionConfig = {
+    maxImages: Number(process.env.VISION_MAX_IMAGES) || 4,
+    maxImageBytes: Number(process.env.VISION_MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+}
+
+// Generation quotas, 0 disables a limit. Users and projects can override them individually.
+export const quotaConfig = {
+    generationsPerHour: Number(process.env.GENERATIONS_PER_HOUR ?? 20),
+    userMonthlyBudgetUsd: Number(process.env.USER_MONTHLY_BUDGET_USD) || 0,
+    projectMonthlyBudgetUsd: Number(process.env.PROJECT_MONTHLY_BUDGET_USD) || 0,
+}
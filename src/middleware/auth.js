@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import {jwtConfig} from '../config/index.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { logger } from '../utils/logger.js';
 
 
 
@@ -12,6 +15,10 @@ export function requireAuth(req, res, next) {
     }
     try {
         const payload = jwt.verify(token, jwtConfig.secretKey);
+        // Refresh tokens must never be accepted as access tokens
+        if (payload.type !== 'access') {
+            return res.status(401).json({success: false, error: 'Invalid authorization token'});
+        }
         req.user = {userId: payload.sub, email: payload.email, name: payload.name};
         return next();
     } catch (error) {
@@ -25,22 +32,116 @@ export function issueAccessToken(user) {
         sub: String(user._id),
         email: user.email,
         name: user.name,
-    }, 
-    jwtConfig.secretKey, 
+        type: 'access',
+    },
+    jwtConfig.secretKey,
     {
         expiresIn: jwtConfig.accessTokenTtlSec,
     });
 }
 
-// Function to issue refresh token
-export function issueRefreshToken(user) {
-    return jwt.sign({
+// Function to issue refresh token, persisted so it can be rotated and revoked
+export async function issueRefreshToken(user, family = randomUUID()) {
+    const jti = randomUUID();
+    const token = jwt.sign({
         sub: String(user._id),
         type: 'refresh',
+        fam: family,
     },
-    jwtConfig.secretKey, 
+    jwtConfig.secretKey,
     {
         expiresIn: jwtConfig.refreshTokenTtlSec,
+        jwtid: jti,
+    });
+
+    await RefreshToken.create({
+        jti,
+        user: user._id,
+        family,
+        expiresAt: new Date(jwt.decode(token).exp * 1000),
     });
+    return token;
+}
+
+// Error for refresh tokens that are invalid, expired, revoked or reused
+export class RefreshTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 401;
+    }
+}
+
+function verifyRefreshToken(token, options = {}) {
+    let payload;
+    try {
+        payload = jwt.verify(token, jwtConfig.secretKey, options);
+    } catch (error) {
+        throw new RefreshTokenError('Invalid refresh token');
+    }
+    if (payload.type !== 'refresh' || !payload.jti) {
+        throw new RefreshTokenError('Invalid refresh token');
+    }
+    return payload;
+}
+
+/**
+ * Use a refresh token: it is marked used and replaced by a new token of the same family.
+ * Presenting a token that was already used or revoked revokes its whole family.
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object>} { userId, family, refreshToken } with the new refresh token
+ */
+export async function rotateRefreshToken(token) {
+    const payload = verifyRefreshToken(token);
+
+    // Claim the token atomically so concurrent refreshes can't both succeed
+    const record = await RefreshToken.findOneAndUpdate(
+        { jti: payload.jti, usedAt: null, revokedAt: null },
+        { $set: { usedAt: new Date() } },
+        { new: true },
+    );
+
+    if (!record) {
+        const known = await RefreshToken.findOne({ jti: payload.jti });
+        if (known && !known.usedAt) {
+            throw new RefreshTokenError('Refresh token has been revoked');
+        }
+        if (known) {
+            await revokeTokenFamily(known.family);
+            logger.warn(`Refresh token reuse detected for user ${payload.sub}, revoked family ${known.family}`);
+            throw new RefreshTokenError('Refresh token reuse detected, please log in again');
+        }
+        throw new RefreshTokenError('Invalid refresh token');
+    }
+
+    const refreshToken = await issueRefreshToken({ _id: record.user }, record.family);
+    record.replacedBy = jwt.decode(refreshToken).jti;
+    await record.save();
+
+    return { userId: record.user, family: record.family, refreshToken };
+}
+
+export async function revokeTokenFamily(family) {
+    await RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+    );
 }
 
+/**
+ * Revoke the family of a refresh token, or every refresh token of its user when all is set.
+ * Expired tokens are accepted so a stale session can still log out.
+ * @param {string} token - Refresh token
+ * @param {Object} options
+ * @param {boolean} [options.all] - Revoke the tokens of all the user's sessions
+ */
+export async function revokeRefreshToken(token, { all = false } = {}) {
+    const payload = verifyRefreshToken(token, { ignoreExpiration: true });
+    if (all) {
+        await RefreshToken.updateMany(
+            { user: payload.sub, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+        );
+        return;
+    }
+    await revokeTokenFamily(payload.fam);
+}
@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Generation from '../models/Generation.js';
+
+/**
+ * Authorization layer for generations.
+ * A user's role in a project is their membership role (defaulting to their global role),
+ * admins can do everything and global viewers are read-only everywhere.
+ */
+
+// Project roles allowed to perform each action on someone else's generation
+const PROJECT_PERMISSIONS = {
+    view: ['lead', 'member', 'viewer'],
+    download: ['lead', 'member', 'viewer'],
+    edit: ['lead', 'member'],
+    publish: ['lead'],
+    delete: ['lead'],
+};
+
+// Actions open to viewers and, for published generations, to everyone
+const READ_ACTIONS = ['view', 'download'];
+
+// Load the user's global role once per request
+export async function loadUserRole(req) {
+    if (!req.user.role) {
+        const user = await User.findById(req.user.userId).select('role');
+        req.user.role = user?.role || 'member';
+    }
+    return req.user.role;
+}
+
+/**
+ * Role of a user in a project
+ * @param {Object} user - req.user with role loaded
+ * @param {Object|null} project - Project document
+ * @returns {string|null} 'admin', 'lead', 'member', 'viewer' or null for non-members
+ */
+export function getProjectRole(user, project) {
+    if (user.role === 'admin') return 'admin';
+    const membership = project?.members?.find((member) => member.email === user.email);
+    if (!membership) return null;
+    if (user.role === 'viewer') return 'viewer';
+    return membership.role || user.role;
+}
+
+/**
+ * Check whether a user may perform an action on a generation
+ * @param {Object} user - req.user with role loaded
+ * @param {Object} generation - Generation document
+ * @param {Object|null} project - The generation's project
+ * @param {string} action - 'view', 'download', 'edit', 'publish' or 'delete'
+ * @returns {boolean} True if allowed
+ */
+export function canAccessGeneration(user, generation, project, action) {
+    const projectRole = getProjectRole(user, project);
+    if (projectRole === 'admin') return true;
+
+    // Owners may do everything with their own generations, unless they are global viewers
+    if (generation.email === user.email) {
+        return user.role !== 'viewer' || READ_ACTIONS.includes(action);
+    }
+    if (projectRole && PROJECT_PERMISSIONS[action]?.includes(projectRole)) {
+        return true;
+    }
+
+    // Published generations are readable by anyone unless the project is members-only
+    const isPublishedAndCompleted = generation.published && generation.status === 'completed';
+    const isPublic = !project || project.visibility !== 'members';
+    return READ_ACTIONS.includes(action) && isPublishedAndCompleted && isPublic;
+}
+
+/**
+ * Check whether a user may start generations in a project
+ * @param {Object} user - req.user with role loaded
+ * @param {Object|null} project - Project document
+ * @returns {boolean} True if allowed
+ */
+export function canGenerate(user, project) {
+    if (user.role === 'viewer') return false;
+    const projectRole = getProjectRole(user, project);
+    return projectRole !== 'viewer';
+}
+
+/**
+ * Check whether a user may see a project
+ * @param {Object} user - req.user with role loaded
+ * @param {Object} project - Project document
+ * @returns {boolean} True for public projects, members and admins
+ */
+export function canViewProject(user, project) {
+    return project.visibility !== 'members' || getProjectRole(user, project) !== null;
+}
+
+// Mongo filter matching the projects a user may see
+export async function buildProjectVisibilityFilter(req) {
+    const role = await loadUserRole(req);
+    if (role === 'admin') return {};
+    return {
+        $or: [
+            { visibility: { $ne: 'members' } },
+            { 'members.email': req.user.email },
+        ],
+    };
+}
+
+/**
+ * Check whether a user may manage a project's members and settings
+ * @param {Object} user - req.user with role loaded
+ * @param {Object} project - Project document
+ * @returns {boolean} True for admins and project leads
+ */
+export function canManageProject(user, project) {
+    const projectRole = getProjectRole(user, project);
+    return projectRole === 'admin' || projectRole === 'lead';
+}
+
+/**
+ * Middleware loading req.params.id as req.generation (and its project as req.project)
+ * after checking the user may perform the action on it.
+ * Generations the user can't see answer 404, visible ones they can't act on answer 403.
+ * @param {string} action - 'view', 'download', 'edit', 'publish' or 'delete'
+ * @returns {Function} Express middleware
+ */
+export function authorizeGeneration(action) {
+    return async (req, res, next) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ success: false, error: 'Generation not found!' });
+            }
+            const gen = await Generation.findById(req.params.id);
+            if (!gen) {
+                return res.status(404).json({ success: false, error: 'Generation not found!' });
+            }
+
+            await loadUserRole(req);
+            const project = gen.project ? await Project.findById(gen.project) : null;
+
+            if (!canAccessGeneration(req.user, gen, project, action)) {
+                if (action === 'view' || !canAccessGeneration(req.user, gen, project, 'view')) {
+                    return res.status(404).json({ success: false, error: 'Generation not found!' });
+                }
+                return res.status(403).json({
+                    success: false,
+                    error: `You don't have permission to ${action} this generation`,
+                });
+            }
+
+            req.generation = gen;
+            req.project = project;
+            return next();
+        } catch (error) {
+            return next(error);
+        }
+    };
+}
+
+/**
+ * Mongo filter matching the generations a user may view
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Object>} Filter for Generation queries
+ */
+export async function buildVisibilityFilter(req) {
+    const role = await loadUserRole(req);
+    if (role === 'admin') return {};
+
+    const [memberProjects, membersOnlyProjects] = await Promise.all([
+        Project.find({ 'members.email': req.user.email }).select('_id'),
+        Project.find({ visibility: 'members' }).select('_id'),
+    ]);
+
+    return {
+        $or: [
+            { email: req.user.email },
+            { project: { $in: memberProjects.map((project) => project._id) } },
+            {
+                published: true,
+                status: 'completed',
+                project: { $nin: membersOnlyProjects.map((project) => project._id) },
+            },
+        ],
+    };
+}
+
+/**
+ * Middleware allowing only users with one of the given global roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const role = await loadUserRole(req);
+            if (!roles.includes(role)) {
+                return res.status(403).json({
+                    success: false,
+                    error: roles.length === 1 && roles[0] === 'admin'
+                        ? 'Admin access required'
+                        : `Requires one of the roles: ${roles.join(', ')}`,
+                });
+            }
+            return next();
+        } catch (error) {
+            return next(error);
+        }
+    };
+}
+
+// Middleware allowing only admins
+export const requireAdmin = requireRole('admin');
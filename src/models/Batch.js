@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Batch item schema: one JIRA issue of the batch. Once its generation is
+// created the item is 'started' and its progress is the generation's status.
+const batchItemSchema = new mongoose.Schema({
+    issueKey: { type: String, required: true },
+    summary: { type: String },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    status: { type: String, enum: ['queued', 'started', 'skipped', 'failed'], default: 'queued' },
+    skipReason: { type: String },
+    error: { type: String }, // why the generation couldn't be started
+    generation: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation' },
+}, { _id: false });
+
+const batchSchema = new mongoose.Schema({
+    email: { type: String, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // What selected the issues: a JQL query, an epic or a sprint, and the JQL sent to JIRA
+    source: {
+        type: { type: String, enum: ['jql', 'epic', 'sprint'], required: true },
+        value: { type: String, required: true },
+        jql: { type: String, required: true },
+    },
+    mode: { type: String, enum: ['manual', 'auto'], default: 'manual' },
+    // LLM provider and model asked for, each issue's project may still decide
+    llm: {
+        provider: { type: String },
+        model: { type: String },
+    },
+    includeImages: { type: Boolean, default: true },
+    concurrency: { type: Number, min: 1, required: true },
+    skipRecentDays: { type: Number, min: 0 },
+    items: [batchItemSchema],
+}, { timestamps: true });
+
+export default mongoose.model('Batch', batchSchema);
@@ -11,11 +11,50 @@ const markdownSchema = new mongoose.Schema({
     filename: { type: String, required: true },
 }, {_id: false });
 
+// Automation code schema
+const codeSchema = new mongoose.Schema({
+    content: { type: String, required: true },
+    filename: { type: String, required: true },
+    language: { type: String, required: true },
+    framework: { type: String },
+}, {_id: false });
+
+// Structured test case schema (manual mode)
+const testCaseSchema = new mongoose.Schema({
+    id: { type: String, required: true },
+    title: { type: String, required: true },
+    category: { type: String, required: true },
+    priority: { type: String, enum: ['High', 'Medium', 'Low'] },
+    preconditions: [{ type: String }],
+    steps: { type: [String], validate: (steps) => steps.length > 0 },
+    expectedResults: { type: [String], validate: (results) => results.length > 0 },
+    acceptanceCriterion: { type: String }, // acceptance criterion the test case covers
+}, {_id: false });
+
+// Structured test suite schema, the markdown output is rendered from it
+const testSuiteSchema = new mongoose.Schema({
+    title: { type: String },
+    testCases: [testCaseSchema],
+}, {_id: false });
+
+// Image attachment schema (JIRA images sent to the model)
+const imageAttachmentSchema = new mongoose.Schema({
+    attachmentId: { type: String },
+    filename: { type: String },
+    mimeType: { type: String },
+    size: { type: Number },
+}, {_id: false });
+
 // JIRA ticket schema
 const jiraTicketSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['comment', 'subtask'] },
+    issueKey: { type: String },
     issueURL: { type: String},
     issueType: { type: String },
+    commentId: { type: String },
+    testCaseId: { type: String }, // test case a sub-task was created for
     createdAt: { type: Date },
+    updatedAt: { type: Date },
 }, {_id: false });
 
 // PDF attachment schema
@@ -26,15 +65,41 @@ const pdfAttachmentSchema = new mongoose.Schema({
     commentId: { type: String },
 }, {_id: false });
 
-// Version schema
+// Version schema: a snapshot of an earlier content version
 const versionSchema = new mongoose.Schema({
-    versionNumber: { type: String, required: true },
+    versionNumber: { type: Number, required: true },
     content: { type: String, required: true },
-    releaseDate: { type: Date, default: Date.now },
-    updatedBy: { type: String, required: true },
+    testSuite: { type: testSuiteSchema },
+    releaseDate: { type: Date, default: Date.now }, // when this version was created
+    updatedBy: { type: String, required: true }, // author of this version
     notes: { type: String },
 }, {_id: false });
 
+// Prompt template version a generation or refinement was made with
+const promptTemplateRefSchema = new mongoose.Schema({
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate' },
+    name: { type: String },
+    version: { type: Number },
+}, {_id: false});
+
+// Refinement schema: one "refine with an instruction" request and what it cost
+const refinementSchema = new mongoose.Schema({
+    instruction: { type: String, required: true },
+    versionNumber: { type: Number }, // version created by the refinement, unset when it wasn't saved
+    provider: { type: String },
+    model: { type: String },
+    promptTemplate: { type: promptTemplateRefSchema },
+    tokenUsage: {
+        promptTokens: { type: Number },
+        cachedTokens: { type: Number },
+        completionTokens: { type: Number },
+        totalTokens: { type: Number },
+    },
+    cost: { type: Number },
+    requestedBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+}, {_id: false });
+
 /**
  * MAIN SCHEMA - GENERATION SCHEMA
  */
@@ -44,24 +109,38 @@ const generationSchema = new mongoose.Schema({
     email: { type: String, index: true },
     project: {
         type: mongoose.Schema.Types.ObjectId,
-        refer: 'Project',
+        ref: 'Project',
         index: true
     },
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', index: true }, // set for batch generations
     mode: { type: String, enum: ['manual', 'auto']},
-    status: { type: String, enum: ['completed', 'failed']},
+    status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending', index: true },
+    stage: { type: String, enum: ['queued', 'fetching_issue', 'generating'] }, // progress of a pending/running job
     createdAt: { type: Date, default: Date.now },
     startedAt: { type: Date },
     completedAt: { type: Date },
     generationTimeSeconds: { type: Number },
-    cost: { type: Number },
+    provider: { type: String, index: true }, // LLM provider, unset on generations made before providers
+    requestedModel: { type: String }, // model (Azure: deployment) asked for; model is what answered
+    model: { type: String, index: true },
+    promptTemplate: { type: promptTemplateRefSchema }, // unset when the built-in prompt was used
+    cost: { type: Number }, // includes the cost of refinements
+    costKnown: { type: Boolean }, // false when no pricing is registered for the model
+    reservedCost: { type: Number }, // estimated cost counted against budgets while pending or running
+    refinementReservedCost: { type: Number }, // estimated cost of refinements in progress, counted on top of cost
     tokenUsage: {
         promptTokens: { type: Number },
+        cachedTokens: { type: Number },
         completionTokens: { type: Number },
         totalTokens: { type: Number },
     },
     result: {
         markdown: { type: markdownSchema },
+        code: { type: codeSchema },
+        testSuite: { type: testSuiteSchema },
     },
+    includeImages: { type: Boolean, default: true },
+    imageAttachments: [imageAttachmentSchema],
     jiraTickets: [jiraTicketSchema],
     pdfAttachments: [pdfAttachmentSchema],
     error: { type: String },
@@ -69,7 +148,36 @@ const generationSchema = new mongoose.Schema({
     publishedAt: { type: Date },
     publishedBy: { type: String }, // email of the user who published
     versions: [versionSchema],
+    refinements: [refinementSchema],
     currentVersion: { type: Number, default: 1 },
+    // Metadata of the current version, moved into versions when it is replaced
+    lastEditedBy: { type: String },
+    lastEditedAt: { type: Date },
+    versionNotes: { type: String },
 }, { timestamps: true });
 
+// Sort orders of the generation list, with the id as cursor tie-breaker
+generationSchema.index({ createdAt: -1, _id: -1 });
+generationSchema.index({ updatedAt: -1, _id: -1 });
+generationSchema.index({ cost: -1, _id: -1 });
+generationSchema.index({ generationTimeSeconds: -1, _id: -1 });
+
+// Generations made with a template, per version
+generationSchema.index({ 'promptTemplate.id': 1, 'promptTemplate.version': 1 });
+
+// Full-text search over generations; issue keys rank above authors and content.
+// A collection has at most one text index, so every searchable field is in it.
+generationSchema.index(
+    {
+        issueKey: 'text',
+        email: 'text',
+        'result.markdown.content': 'text',
+        'result.code.content': 'text',
+    },
+    {
+        name: 'generation_text_search',
+        weights: { issueKey: 10, email: 5, 'result.markdown.content': 1, 'result.code.content': 1 },
+    },
+);
+
 export default mongoose.model('Generation', generationSchema);
\ No newline at end of file
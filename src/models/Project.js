@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+// Project member schema, role defaults to the user's global role when not set
+const memberSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true },
+    role: { type: String, enum: ['lead', 'member', 'viewer'] },
+    addedAt: { type: Date, default: Date.now },
+    addedBy: { type: String },
+}, { _id: false });
+
 const projectSchema = new mongoose.Schema({
     projectKey: {
         type: String,
@@ -20,6 +28,23 @@ const projectSchema = new mongoose.Schema({
     lastGeneratedAt: {type: Date},
     totalGenerations: {type: Number, default: 0},
     createdBy: { type: String },
+    members: [memberSchema],
+    // 'public': published generations are visible to everyone, 'members': only to project members
+    visibility: { type: String, enum: ['public', 'members'], default: 'public' },
+    // Monthly spend limit in USD, null falls back to quotaConfig and 0 means unlimited
+    monthlyBudgetUsd: { type: Number, min: 0, default: null },
+    // LLM provider and model for the project's generations, null uses the defaults.
+    // Requests can't switch a project away from its provider.
+    llmProvider: { type: String, default: null },
+    llmModel: { type: String, default: null },
+    // Prompt templates overriding the defaults, per purpose; null uses the default template
+    promptTemplates: {
+        manual: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate', default: null },
+        playwright: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate', default: null },
+        api: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate', default: null },
+    },
+    // House style for the project's test cases, available to templates as {{conventions}}
+    conventions: { type: String, default: null },
 }
 , { timestamps: true });
 
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Prompt template version schema: versions are only ever appended, so every
+// generation can be traced back to the exact prompt it was made with
+const promptVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    systemPrompt: { type: String, required: true },
+    userPrompt: { type: String, required: true },
+    notes: { type: String },
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: null },
+    // Kind of generation the template is for: manual test cases or an automation target
+    purpose: { type: String, enum: ['manual', 'playwright', 'api'], required: true, index: true },
+    // Used by projects without an override for the purpose
+    isDefault: { type: Boolean, default: false },
+    // Archived templates can't be selected but keep their history
+    archived: { type: Boolean, default: false },
+    currentVersion: { type: Number, default: 1 },
+    versions: [promptVersionSchema],
+    createdBy: { type: String },
+    updatedBy: { type: String },
+}, { timestamps: true });
+
+// At most one default template per purpose
+promptTemplateSchema.index(
+    { purpose: 1 },
+    { name: 'default_per_purpose', unique: true, partialFilterExpression: { isDefault: true } },
+);
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
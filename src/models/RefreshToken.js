@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Issued refresh tokens, one document per token (identified by its jti claim)
+const refreshTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    family: { type: String, required: true, index: true }, // tokens rotated from the same login
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    revokedAt: { type: Date },
+    replacedBy: { type: String }, // jti of the token issued when this one was used
+}, { timestamps: true });
+
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
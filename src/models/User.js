@@ -5,6 +5,10 @@ const userSchema = new mongoose.Schema({
     email: {type: String, required: true, unique: true, lowercase: true, index: true},
     name: {type: String},
     passwordHash: {type: String, required: true},
+    role: {type: String, enum: ['admin', 'lead', 'member', 'viewer'], default: 'member'},
+    // Quota overrides, null falls back to quotaConfig and 0 means unlimited
+    generationsPerHour: {type: Number, min: 0, default: null},
+    monthlyBudgetUsd: {type: Number, min: 0, default: null},
 },{timestamps:true});
 
 // Method to set password
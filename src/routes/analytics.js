@@ -0,0 +1,170 @@
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { getProjectRole, requireRole } from "../middleware/authorize.js";
+import Project from "../models/Project.js";
+import {
+    DIMENSIONS,
+    INTERVALS,
+    getFailureStats,
+    getLatencyStats,
+    getSpendBreakdown,
+    getSpendOverTime,
+} from "../services/analyticsService.js";
+import { toCsv } from "../utils/csv.js";
+
+const router = Router();
+
+// Analytics are for admins, who see everyone's usage, and leads, who see the projects they lead
+router.use(requireAuth, requireRole("admin", "lead"));
+
+// Ids of the projects the user's analytics cover, undefined for admins (all generations)
+router.use(async (req, res, next) => {
+    try {
+        if (req.user.role !== "admin") {
+            const projects = await Project.find({
+                "members.email": req.user.email,
+            }).select("members");
+            req.analyticsProjects = projects
+                .filter(
+                    (project) => getProjectRole(req.user, project) === "lead",
+                )
+                .map((project) => project._id);
+        }
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Parse ?from=&to= (ISO dates), returns null and answers 400 when invalid
+function parseDateRange(req, res) {
+    const range = {};
+    for (const key of ["from", "to"]) {
+        if (req.query[key]) {
+            const date = new Date(req.query[key]);
+            if (Number.isNaN(date.getTime())) {
+                res.status(400).json({
+                    success: false,
+                    error: `Invalid ${key} date, expected ISO 8601`,
+                });
+                return null;
+            }
+            range[key] = date;
+        }
+    }
+    return range;
+}
+
+// Validate an optional enum query parameter, answers 400 when invalid
+function parseOption(req, res, name, allowed, fallback) {
+    const value = req.query[name] ?? fallback;
+    if (value !== null && !allowed.includes(value)) {
+        res.status(400).json({
+            success: false,
+            error: `${name} must be one of: ${allowed.join(", ")}`,
+        });
+        return undefined;
+    }
+    return value;
+}
+
+// Send rows as JSON, or as CSV with ?format=csv
+function sendRows(req, res, name, rows, extra = {}) {
+    if (req.query.format === "csv") {
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${name}.csv"`,
+        );
+        return res.send(toCsv(rows, columns));
+    }
+    return res.json({ success: true, data: { ...extra, rows } });
+}
+
+// GET /analytics/spend?interval=day|week|month&groupBy=user|project|model
+router.get("/spend", async (req, res, next) => {
+    try {
+        const range = parseDateRange(req, res);
+        if (!range) return;
+        const interval = parseOption(req, res, "interval", INTERVALS, "day");
+        if (interval === undefined) return;
+        const groupBy = parseOption(req, res, "groupBy", DIMENSIONS, null);
+        if (groupBy === undefined) return;
+
+        const rows = await getSpendOverTime({
+            interval,
+            groupBy,
+            ...range,
+            projects: req.analyticsProjects,
+        });
+        return sendRows(req, res, `spend_${interval}`, rows, {
+            interval,
+            groupBy,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// GET /analytics/breakdown?by=user|project|model
+router.get("/breakdown", async (req, res, next) => {
+    try {
+        const range = parseDateRange(req, res);
+        if (!range) return;
+        const by = parseOption(req, res, "by", DIMENSIONS, "user");
+        if (by === undefined) return;
+
+        const rows = await getSpendBreakdown({
+            by,
+            ...range,
+            projects: req.analyticsProjects,
+        });
+        return sendRows(req, res, `spend_by_${by}`, rows, { by });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// GET /analytics/failures - failure rate and top error messages
+router.get("/failures", async (req, res, next) => {
+    try {
+        const range = parseDateRange(req, res);
+        if (!range) return;
+        const limit = Math.min(
+            50,
+            Math.max(1, parseInt(req.query.limit || "10", 10) || 10),
+        );
+
+        const stats = await getFailureStats({
+            ...range,
+            limit,
+            projects: req.analyticsProjects,
+        });
+        const { topErrors, ...summary } = stats;
+        return sendRows(req, res, "failures", topErrors, summary);
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// GET /analytics/latency?groupBy=user|project|model - p50/p95 generation time
+router.get("/latency", async (req, res, next) => {
+    try {
+        const range = parseDateRange(req, res);
+        if (!range) return;
+        const groupBy = parseOption(req, res, "groupBy", DIMENSIONS, null);
+        if (groupBy === undefined) return;
+
+        const rows = await getLatencyStats({
+            groupBy,
+            ...range,
+            projects: req.analyticsProjects,
+        });
+        return sendRows(req, res, "latency", rows, { groupBy });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+export default router;
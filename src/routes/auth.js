@@ -1,8 +1,15 @@
 import {Router} from 'express';
 import User from '../models/User.js';
+import { adminEmails } from '../config/index.js';
 
 import { issueAccessToken } from '../middleware/auth.js';
 import { issueRefreshToken } from '../middleware/auth.js';
+import {
+    RefreshTokenError,
+    revokeRefreshToken,
+    revokeTokenFamily,
+    rotateRefreshToken,
+} from '../middleware/auth.js';
 
 const router = Router();
 
@@ -25,6 +32,9 @@ router.post('/register', async (req, res, next) => {
     }
 
     const user = new User({email: email.toLowerCase(), name} );
+    if (adminEmails.includes(user.email)) {
+        user.role = 'admin';
+    }
     
     await user.setPassword(password);
     await user.save();
@@ -32,7 +42,7 @@ router.post('/register', async (req, res, next) => {
     // Generate tokens
 
     const accessToken = issueAccessToken(user);
-    const refreshToken = issueRefreshToken(user);
+    const refreshToken = await issueRefreshToken(user);
 
     res.status(201).json({
         success: true,
@@ -70,7 +80,7 @@ router.post('/login', async (req, res, next) => {
         }
 
         const accessToken = issueAccessToken(user);
-        const refreshToken = issueRefreshToken(user);
+        const refreshToken = await issueRefreshToken(user);
         return res.json({
             success: true,
             data: {
@@ -88,4 +98,66 @@ router.post('/login', async (req, res, next) => {
     }
 })
 
+//POST: /auth/refresh - Exchange a refresh token for new access and refresh tokens
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const {refreshToken} = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'});
+        }
+
+        const rotated = await rotateRefreshToken(refreshToken);
+        const user = await User.findById(rotated.userId);
+        if (!user) {
+            await revokeTokenFamily(rotated.family);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'});
+        }
+
+        const accessToken = issueAccessToken(user);
+        return res.json({
+            success: true,
+            data: {
+                accessToken,
+                refreshToken: rotated.refreshToken
+            }
+        });
+    } catch (error) {
+        if (error instanceof RefreshTokenError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message});
+        }
+        next(error);
+    }
+})
+
+//POST: /auth/logout - Revoke the session's refresh tokens (all sessions with all: true)
+router.post('/logout', async (req, res, next) => {
+    try {
+        const {refreshToken, all = false} = req.body || {};
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'});
+        }
+
+        await revokeRefreshToken(refreshToken, {all: all === true});
+        return res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        if (error instanceof RefreshTokenError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message});
+        }
+        next(error);
+    }
+})
+
 export default router;
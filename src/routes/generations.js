@@ -1,97 +1,318 @@
 import { Router } from "express";
-import JiraService from "../services/jiraService.js";
-import OpenAIService from "../services/openAIService.js";
+import { getJiraService, getOpenAIService } from "../services/index.js";
+import { AUTOMATION_TARGETS } from "../services/openAIService.js";
+import { buildPrompt, getPromptPurpose } from "../services/promptService.js";
+import {
+    publishComment,
+    publishPdfAttachment,
+    publishSubtasks,
+} from "../services/jiraPublisher.js";
+import { enqueueGeneration } from "../services/generationWorker.js";
+import {
+    LLMSelectionError,
+    listProviders,
+    resolveLLMSelection,
+} from "../services/llm/index.js";
+import {
+    BatchError,
+    buildBatchSource,
+    countActiveBatches,
+    findIssuesToSkip,
+    getBatchProgress,
+    startBatch,
+} from "../services/batchService.js";
+import {
+    QuotaError,
+    checkGenerationQuota,
+    getQuotaUsage,
+    getRemainingBudget,
+    releaseRefinement,
+    reserveGeneration,
+    reserveRefinement,
+    setQuotaHeaders,
+} from "../services/quotaService.js";
+import {
+    getBufferedContent,
+    subscribe,
+} from "../services/generationEvents.js";
 import { requireAuth } from "../middleware/auth.js";
-import { get } from "mongoose";
+import {
+    authorizeGeneration,
+    buildVisibilityFilter,
+    canGenerate,
+    loadUserRole,
+} from "../middleware/authorize.js";
+import mongoose from "mongoose";
 import { logger } from "../utils/logger.js";
 import {
     extractProjectKey,
     findOrCreateProject,
+    normalizeIssueKey,
 } from "../utils/projectUtils.js";
 import Generation from "../models/Generation.js";
-import { format } from "morgan";
+import Project from "../models/Project.js";
+import Batch from "../models/Batch.js";
+import {
+    IMAGE_TOKEN_ESTIMATE,
+    selectImageAttachments,
+} from "../utils/attachmentUtils.js";
+import { analyzeUiStory } from "../utils/uiDetection.js";
+import { buildGenerationContext } from "../utils/contextBuilder.js";
+import { countMessageTokens, getEncodingName } from "../utils/tokenizer.js";
+import {
+    batchConfig,
+    openaiConfig,
+    visionConfig,
+} from "../config/index.js";
+import { calculateCost } from "../utils/pricing.js";
+import { EXPORT_FORMATS, exportTestSuite } from "../utils/exporters.js";
+import { buildSnippets, getSearchTerms } from "../utils/searchSnippets.js";
+import {
+    ListQueryError,
+    buildCursorFilter,
+    buildListFilters,
+    decodeCursor,
+    encodeCursor,
+    encodeOffsetCursor,
+    parseFields,
+    parseProjectKey,
+    parseSort,
+    toMongoSort,
+} from "../utils/generationQuery.js";
+import {
+    applyContentUpdate,
+    diffVersions,
+    getContentETag,
+    getVersion,
+    getVersions,
+    matchesETag,
+    saveVersionedUpdate,
+    summarizeVersion,
+} from "../utils/versionHistory.js";
+import {
+    DOCUMENT_FORMATS,
+    renderGenerationDocument,
+} from "../utils/documentRenderer.js";
+import {
+    PRIORITIES,
+    getGenerationTestSuite,
+    parseTestSuiteJson,
+    renderTestSuiteMarkdown,
+    testSuiteFromMarkdown,
+    validateTestSuite,
+} from "../utils/testSuite.js";
 
 const router = Router();
-let jiraService = null;
 
-// // Lazy initialize JIRA service
-export function getJiraService() {
-    if (!jiraService) {
-        try {
-            jiraService = new JiraService();
-        } catch (error) {
-            console.error("Failed to initialize JiraService:", error);
-            throw error;
-        }
+// Authorization checks per action
+const canView = authorizeGeneration("view");
+const canEdit = authorizeGeneration("edit");
+const canPublish = authorizeGeneration("publish");
+const canDownload = authorizeGeneration("download");
+const canDelete = authorizeGeneration("delete");
+
+// Content types for downloaded automation code
+const CODE_CONTENT_TYPES = {
+    typescript: "application/typescript",
+    javascript: "text/javascript",
+};
+
+// Get the stored output of a generation: automation code or markdown
+function getGenerationOutput(gen) {
+    return gen.result?.code || gen.result?.markdown || null;
+}
+
+/**
+ * Check the client's If-Match header or expectedVersion body field against the
+ * generation's current version. Without either the write is unconditional.
+ * @returns {boolean} True when the write may proceed, otherwise a response was sent
+ */
+function checkExpectedVersion(req, res, gen) {
+    const ifMatch = req.get("If-Match");
+    const { expectedVersion } = req.body || {};
+
+    if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+        res.status(400).json({
+            success: false,
+            error: "expectedVersion must be an integer",
+        });
+        return false;
     }
-    return jiraService;
+    const stale = ifMatch
+        ? !matchesETag(ifMatch, gen)
+        : expectedVersion !== undefined &&
+          expectedVersion !== (gen.currentVersion || 1);
+    if (stale) {
+        sendVersionConflict(res, gen);
+        return false;
+    }
+    return true;
 }
 
-// Lazy initialize OpenAI service
-let openaiService = null;
-function getOpenAIService() {
-    if (!openaiService) {
-        try {
-            openaiService = new OpenAIService();
-        } catch (error) {
-            throw new Error(
-                "OpenAI service not configured. Please set OPENAI_API_KEY in .env",
-            );
-        }
+// Answer a stale write with the current content so the client can merge
+function sendVersionConflict(res, gen, extra = {}) {
+    res.setHeader("ETag", getContentETag(gen));
+    return res.status(409).json({
+        success: false,
+        error: "The generation was modified by someone else, reload it and merge your changes",
+        data: {
+            currentVersion: gen.currentVersion || 1,
+            content: getGenerationOutput(gen)?.content || "",
+            testSuite: gen.result?.testSuite || null,
+            lastUpdatedBy: gen.lastEditedBy || gen.email,
+            lastUpdatedAt: gen.lastEditedAt || gen.completedAt,
+            ...extra,
+        },
+    });
+}
+
+/**
+ * Save a content change unless another write got in since the generation was loaded
+ * @returns {Promise<boolean>} True when saved, otherwise a 409 was sent
+ */
+async function saveContentChange(res, gen, baseVersion) {
+    if (await saveVersionedUpdate(gen, baseVersion)) {
+        return true;
     }
-    return openaiService;
+    const latest = await Generation.findById(gen._id);
+    sendVersionConflict(res, latest || gen);
+    return false;
+}
+
+// Answer a request refused by checkGenerationQuota
+function sendQuotaError(req, res, error) {
+    setQuotaHeaders(res, error.usage);
+    if (error.status === 429) {
+        const retryAfter = Math.max(
+            1,
+            Math.ceil((error.usage.rateLimit.resetAt - Date.now()) / 1000),
+        );
+        res.setHeader("Retry-After", retryAfter);
+    }
+    logger.warn(`Request refused for ${req.user.email}: ${error.message}`);
+    return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        quota: error.usage,
+    });
 }
 
-// Get all generations with pagination and filtering
+// Get generations with filters, sorting, cursor or page pagination and full-text search
 router.get('/', requireAuth, async (req, res, next) => {
   try {
-    // Parse pagination parameters
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '10', 10)));
-    const skip = (page - 1) * limit;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '10', 10) || 10));
 
     // Parse filter type: 'all', 'mine', 'published'
     const filterType = req.query.filter || 'all';
     
-    let filter = {};
+    // Start from what the user may view: own, project memberships and visible published ones
+    let filter = await buildVisibilityFilter(req);
     
     if (filterType === 'mine') {
       // Only user's own generations
       filter = { email: req.user.email };
     } else if (filterType === 'published') {
       // Only published generations
-      filter = { published: true, status: 'completed' };
+      filter = { $and: [filter, { published: true, status: 'completed' }] };
+    }
+
+    let conditions;
+    let sort;
+    let fields;
+    let cursor = null;
+    try {
+      const projectKey = parseProjectKey(req.query.projectKey);
+      const project = projectKey ? await Project.findOne({ projectKey }).select('_id') : null;
+      conditions = buildListFilters(req.query, { project });
+      sort = parseSort(req.query.sort);
+      fields = parseFields(req.query.fields);
+      if (req.query.cursor) cursor = decodeCursor(req.query.cursor);
+    } catch (error) {
+      if (!(error instanceof ListQueryError)) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    // Search results are ranked by relevance and paged by offset; other lists use
+    // keyset cursors, or page numbers when no cursor is given
+    let skip = 0;
+    let page = null;
+    if (search) {
+      if (cursor && !Number.isInteger(cursor.o)) {
+        return res.status(400).json({ success: false, error: 'The cursor belongs to a different query' });
+      }
+      page = cursor ? null : Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+      skip = cursor ? cursor.o : (page - 1) * limit;
+    } else if (cursor) {
+      if (Number.isInteger(cursor.o)) {
+        return res.status(400).json({ success: false, error: 'The cursor belongs to a different query' });
+      }
+      try {
+        conditions.push(buildCursorFilter(cursor, sort));
+      } catch (error) {
+        if (!(error instanceof ListQueryError)) throw error;
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
     } else {
-      // Default: user's own OR published ones from all users
-      filter = {
-        $or: [
-          { email: req.user.email },
-          { published: true, status: 'completed' }
-        ]
-      };
-    }
-
-    // Fetch generations with pagination
-    const [generations, total] = await Promise.all([
-      Generation.find(filter)
-        .sort({ createdAt: -1 })
+      page = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+      skip = (page - 1) * limit;
+    }
+
+    filter = conditions.length > 0 ? { $and: [filter, ...conditions] } : filter;
+    let projection = fields
+      // The sort field is needed for the next cursor, the content for snippets
+      ? Object.fromEntries([...fields, sort.field, ...(search ? ['result'] : [])].map((field) => [field, 1]))
+      : {};
+    let mongoSort = toMongoSort(sort);
+    if (search) {
+      filter = { ...filter, $text: { $search: search } };
+      projection = { ...projection, score: { $meta: 'textScore' } };
+      mongoSort = { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 };
+    }
+
+    // One extra document tells whether there is a next page; totals only for numbered pages
+    const [found, total] = await Promise.all([
+      Generation.find(filter, projection)
+        .sort(mongoSort)
         .skip(skip)
-        .limit(limit),
-      Generation.countDocuments(filter)
+        .limit(limit + 1),
+      page !== null ? Generation.countDocuments(filter) : null,
     ]);
+    const hasMore = found.length > limit;
+    const generations = found.slice(0, limit);
 
-    // Calculate total pages
-    const pages = Math.ceil(total / limit);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = search
+        ? encodeOffsetCursor(skip + limit)
+        : encodeCursor(generations[generations.length - 1], sort);
+    }
+
+    // Search results carry their relevance and where the terms matched
+    let results = generations;
+    if (search) {
+      const terms = getSearchTerms(search);
+      results = generations.map((generation) => {
+        const content = generation.result?.markdown?.content || generation.result?.code?.content || '';
+        const result = {
+          ...generation.toJSON(),
+          score: generation.get('score'),
+          snippets: buildSnippets(content, terms),
+        };
+        if (fields && !fields.includes('result')) delete result.result;
+        return result;
+      });
+    }
 
     return res.json({ 
       success: true, 
       data: { 
-        generations,
+        generations: results,
         pagination: {
-          page,
           limit,
-          total,
-          pages
+          hasMore,
+          nextCursor,
+          ...(page !== null ? { page, total, pages: Math.ceil(total / limit) } : {}),
         }
       } 
     });
@@ -100,8 +321,44 @@ router.get('/', requireAuth, async (req, res, next) => {
   }
 });
 
+// LLM providers generations can use, with their default models
+router.get("/providers", requireAuth, (req, res) => {
+    return res.json({ success: true, data: listProviders() });
+});
+
+// Resolve the provider and model of a request, answering 400 for invalid choices
+function resolveRequestLLM(req, res, project) {
+    const { provider = null, model = null } = req.body || {};
+    try {
+        return resolveLLMSelection({ project, provider, model });
+    } catch (error) {
+        if (!(error instanceof LLMSelectionError)) throw error;
+        res.status(error.status).json({ success: false, error: error.message });
+        return null;
+    }
+}
+
+// Provider and model of a refinement: the generation's, or the project's pinned
+// provider when it differs. Generations made before providers used the default.
+function resolveRefineLLM(gen, project) {
+    const pinned = project?.llmProvider;
+    if (pinned && pinned !== gen.provider) {
+        return resolveLLMSelection({ project });
+    }
+    const llm = resolveLLMSelection({ project, provider: gen.provider || null });
+    // The generation's model was accepted when it was created
+    return gen.provider && gen.requestedModel
+        ? { ...llm, model: gen.requestedModel }
+        : llm;
+}
+
 router.post("/prelight", requireAuth, async (req, res, next) => {
-    const { issueKey } = req.body;
+    const {
+        issueKey,
+        autoMode = false,
+        includeImages = true,
+        llmTieBreak = false,
+    } = req.body;
 
     if (!issueKey) {
         return res
@@ -134,39 +391,113 @@ router.post("/prelight", requireAuth, async (req, res, next) => {
         const description = jira.extractTextFromADF(fields.description) || "";
         logger.info(`Issue ${issueKey} description ${description}`);
 
-        // Count attachments
-        const attachments = fields.attachment || [];
-        const attachmentImages = attachments.filter(
-            (att) => att.mimeType && att.mimeType.startsWith("image/"),
-        );
+        // The estimate is for the provider and model the generation would use
+        const projectKey = extractProjectKey(issueKey);
+        const project = projectKey
+            ? await Project.findOne({ projectKey: projectKey.toUpperCase() })
+            : null;
+        const llm = resolveRequestLLM(req, res, project);
+        if (!llm) return;
 
-        // Estimate tokens
-        const contextText = `${summary}\n\n${description}`;
-        const contextCharacters = contextText.length;
-        const estimatedTokens =
-            Math.ceil(contextCharacters / 4) + attachmentImages.length * 200; // Rough estimate: 1 token ~ 4 characters and 200 tokens per image
+        // Classify the story, asking the model when keywords are inconclusive if requested
+        let openaiCheckFn = null;
+        if (llmTieBreak) {
+            const openai = getOpenAIService(llm);
+            openaiCheckFn = (context) => openai.checkIsUiStory(context);
+        }
+        const uiDetection = await analyzeUiStory(issue, openaiCheckFn, (adf) =>
+            jira.extractTextFromADF(adf),
+        );
 
-        // Estimate cost (gpt-4o-mini pricing: $0.15 per 1M input tokens, $0.60 per 1M output tokens)
-        const estimatedCost =
-            (estimatedTokens / 1000000) * 0.15 + (8000 / 1000000) * 0.6; // Assume ~ 8K output tokens
+        // Count attachments and the images that would be sent to the model
+        const attachments = fields.attachment || [];
+        const attachmentImages =
+            includeImages === false
+                ? []
+                : selectImageAttachments(attachments, visionConfig);
 
-        // Return prelight analysis
-        logger.info({
-            isUiStory: true, // Default to true for now
+        // Count tokens of the exact prompt a generation would send, with the model's tokenizer
+        const { model } = llm;
+        const contextResult = buildGenerationContext(issue, jira, model);
+        const automationTarget = uiDetection.isUiStory ? "playwright" : "api";
+        const prompt = await buildPrompt({
+            purpose: getPromptPurpose(autoMode, automationTarget),
+            project,
             issueKey,
             title: summary,
-            description,
-            estimatedTokens,
-            estimatedCost: estimatedCost.toFixed(4),
+            context: contextResult.context,
         });
+        const promptTokens = countMessageTokens(
+            [
+                { role: "system", content: prompt.system },
+                { role: "user", content: prompt.user },
+            ],
+            model,
+        );
+        const imageTokens = attachmentImages.length * IMAGE_TOKEN_ESTIMATE;
+        const estimatedTokens = promptTokens + imageTokens;
+
+        // Estimate cost with the configured model's pricing, assuming a full-length completion
+        const estimatedCost = calculateCost(model, {
+            promptTokens: estimatedTokens,
+            completionTokens: openaiConfig.maxCompletionTokens,
+        });
+        const costKnown = estimatedCost !== null;
+
+        // Compare the estimate with what is left of the user's and project's quotas
+        const quota = await getQuotaUsage(req.user, project);
+        setQuotaHeaders(res, quota);
+        const remainingBudget = getRemainingBudget(quota);
+        const quotaWarnings = [];
+        if (quota.rateLimit.limit && quota.rateLimit.remaining === 0) {
+            quotaWarnings.push(
+                `Rate limit reached, next generation possible at ${quota.rateLimit.resetAt.toISOString()}`,
+            );
+        }
+        if (remainingBudget !== null && costKnown && estimatedCost > remainingBudget) {
+            quotaWarnings.push(
+                `Estimated cost $${estimatedCost.toFixed(4)} exceeds the remaining monthly budget of $${remainingBudget.toFixed(4)}`,
+            );
+        }
+
+        // Return prelight analysis
+        logger.info(
+            `Prelight ${issueKey}: isUiStory=${uiDetection.isUiStory} (${uiDetection.decidedBy}), ${estimatedTokens} tokens, cost ${costKnown ? `$${estimatedCost.toFixed(4)}` : "unknown"} on ${model}`,
+        );
         return res.json({
-            isUiStory: true, // Default to true for now
+            isUiStory: uiDetection.isUiStory,
+            uiDetection: {
+                decidedBy: uiDetection.decidedBy,
+                reason: uiDetection.reason,
+                uiKeywords: uiDetection.uiKeywords,
+                backendKeywords: uiDetection.backendKeywords,
+            },
             issueKey,
             title: summary || "N/A",
             description,
             attachments: attachments.length,
+            images: attachmentImages.map((att) => att.filename),
             estimatedTokens,
-            estimatedCost: estimatedCost.toFixed(4), // Return cost rounded to 6 decimal places
+            tokenBreakdown: {
+                prompt: promptTokens,
+                context: contextResult.estimatedTokens,
+                images: imageTokens,
+                completion: openaiConfig.maxCompletionTokens,
+            },
+            tokenizer: getEncodingName(model),
+            contextTruncated: contextResult.truncated,
+            contextSections: contextResult.sections,
+            provider: llm.provider,
+            model,
+            promptTemplate: prompt.template,
+            costKnown,
+            estimatedCost: costKnown ? estimatedCost.toFixed(4) : null, // Return cost rounded to 4 decimal places
+            ...(costKnown
+                ? {}
+                : { costNote: `Cost unknown: no pricing registered for model ${model}` }),
+            quota,
+            remainingBudget,
+            ...(quotaWarnings.length > 0 ? { quotaWarnings } : {}),
         });
     } catch (error) {
         return next(error);
@@ -175,19 +506,48 @@ router.post("/prelight", requireAuth, async (req, res, next) => {
 
 router.post("/testcases", requireAuth, async (req, res, next) => {
     try {
-        const { issueKey, autoMode = false } = req.body || {};
-        if (!issueKey) {
+        const { autoMode = false, includeImages = true } = req.body || {};
+        if (!req.body?.issueKey) {
             return res
                 .status(400)
                 .json({ success: false, error: "issueKey is required" });
         }
+        // Stored uppercase so issue key filters and project lookups match
+        const issueKey = normalizeIssueKey(req.body.issueKey);
+        if (!issueKey) {
+            return res.status(400).json({
+                success: false,
+                error: "issueKey must be a JIRA issue key such as PROJ-123",
+            });
+        }
 
+        // Permissions and quotas are checked before the project is created or touched
         const projectKey = extractProjectKey(issueKey);
-        let project = null;
+        let project = projectKey ? await Project.findOne({ projectKey }) : null;
+
+        // Viewers can't start generations
+        await loadUserRole(req);
+        if (!canGenerate(req.user, project)) {
+            return res.status(403).json({
+                success: false,
+                error: "You don't have permission to generate test cases for this project",
+            });
+        }
+
+        const llm = resolveRequestLLM(req, res, project);
+        if (!llm) return;
+
+        // Enforce the rate limit and budgets before any JIRA or OpenAI call
+        try {
+            await checkGenerationQuota(req.user, project);
+        } catch (error) {
+            if (!(error instanceof QuotaError)) throw error;
+            return sendQuotaError(req, res, error);
+        }
 
         if (projectKey) {
             try {
-                project = findOrCreateProject(projectKey, req.user.email);
+                project = await findOrCreateProject(projectKey, req.user.email);
                 logger.info(
                     `Associated generation with project: ${projectKey}`,
                 );
@@ -196,19 +556,30 @@ router.post("/testcases", requireAuth, async (req, res, next) => {
             }
         }
 
-        // Create generation document
+        // Create generation document; the background worker picks it up. Saving it
+        // reserves its estimated cost, and the quotas are checked again with it counted
+        // so concurrent requests can't overshoot them
         const generation = new Generation({
             issueKey,
             email: req.user.email,
             project: project ? project._id : null,
-            mode: "manual",
-            startedAt: new Date(),
+            mode: autoMode ? "auto" : "manual",
+            provider: llm.provider,
+            requestedModel: llm.model,
+            includeImages: includeImages !== false,
+            status: "pending",
+            stage: "queued",
         });
-        await generation.save();
+        let quota;
+        try {
+            quota = await reserveGeneration(generation, req.user, project);
+        } catch (error) {
+            if (!(error instanceof QuotaError)) throw error;
+            return sendQuotaError(req, res, error);
+        }
 
         // Update project stats
         if (project) {
-            const Project = (await import("../models/Project.js")).default;
             const updatedProject = await Project.findById(project._id);
             if (updatedProject) {
                 updatedProject.totalGenerations =
@@ -216,101 +587,232 @@ router.post("/testcases", requireAuth, async (req, res, next) => {
                 await updatedProject.save();
             }
         }
-        // Keep track of start time
-        const startTime = Date.now();
 
-        // Start fetching jira generation
-        const jira = getJiraService();
-        const issueResult = await jira.getIssue(issueKey);
+        enqueueGeneration(generation._id);
+        setQuotaHeaders(res, quota);
+        logger.info(
+            `Queued generation ${generation._id} for issue ${issueKey} (mode: ${generation.mode})`,
+        );
 
-        if (!issueResult.success) {
-            generation.status = "failed";
-            generation.error =
-                issueResult.error || "Failed to fetch issue from JIRA";
-            generation.completedAt = new Date();
-            await generation.save();
+        // Return immediately, clients poll the status endpoint
+        return res.status(202).json({
+            success: true,
+            data: {
+                generationId: generation._id,
+                issueKey,
+                mode: generation.mode,
+                provider: generation.provider,
+                model: generation.requestedModel,
+                status: generation.status,
+                statusUrl: `/generations/${generation._id}/status`,
+                streamUrl: `/generations/${generation._id}/stream`,
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Generate test cases for every issue of a JQL query, epic or sprint
+router.post("/batch", requireAuth, async (req, res, next) => {
+    try {
+        const {
+            jql,
+            epicKey,
+            sprintId,
+            autoMode = false,
+            includeImages = true,
+            concurrency = batchConfig.concurrency,
+            skipRecentDays = batchConfig.skipRecentDays,
+        } = req.body || {};
+
+        let source;
+        try {
+            source = buildBatchSource({ jql, epicKey, sprintId });
+        } catch (error) {
+            if (!(error instanceof BatchError)) throw error;
             return res
-                .status(404)
-                .json({ success: false, error: issueResult.error });
+                .status(error.status)
+                .json({ success: false, error: error.message });
+        }
+        if (
+            !Number.isInteger(concurrency) ||
+            concurrency < 1 ||
+            concurrency > batchConfig.maxConcurrency
+        ) {
+            return res.status(400).json({
+                success: false,
+                error: `concurrency must be an integer between 1 and ${batchConfig.maxConcurrency}`,
+            });
+        }
+        if (typeof skipRecentDays !== "number" || !(skipRecentDays >= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: "skipRecentDays must be a number of days, 0 to regenerate everything",
+            });
         }
-        const issue = issueResult.issue;
-        const fields = issue.fields || {};
-        const summary = fields.summary || "";
-        const description = jira.extractTextFromADF(fields.description) || "";
-        const context = "Title: " + summary + "\n\nDescription: " + description;
 
-        let markdownContent = `# Test Cases for ${issueKey}\n\n`;
-        let tokenUsage = null;
-        let cost = null;
+        await loadUserRole(req);
+        if (req.user.role === "viewer") {
+            return res.status(403).json({
+                success: false,
+                error: "You don't have permission to generate test cases",
+            });
+        }
 
-        try {
-            const openai = getOpenAIService();
-            logger.info(
-                `Generating test cases for issue ${issueKey} using OpenAI (mode: ${autoMode ? "auto" : "manual"})`,
-            );
-            const result = await openai.generateTestCases(
-                context,
-                issueKey,
-                autoMode,
-                [],
-            );
-            if (typeof result === "string") {
-                markdownContent = result;
-            } else {
-                markdownContent = result.content;
-                tokenUsage = result.tokenUsage;
-                cost = result.cost;
-            }
+        // Batches skip the hourly rate limit, so the number a user runs at once is capped instead
+        if (
+            (await countActiveBatches(req.user.email)) >=
+            batchConfig.maxActivePerUser
+        ) {
+            return res.status(429).json({
+                success: false,
+                error: `You already have ${batchConfig.maxActivePerUser} batches running, wait for one to finish`,
+            });
+        }
 
-            // Ensure we have proper title
-            if (!markdownContent.startsWith("#")) {
-                markdownContent = `# Test Cases for ${issueKey}: ${summary || "Untitled"}\n\n${markdownContent}`;
-            }
+        // Fail fast on a provider choice that can't work; each issue's project may still restrict it
+        if (!resolveRequestLLM(req, res, null)) return;
+        const { provider = null, model = null } = req.body || {};
+
+        // Refuse up front when the user's own budget is already spent
+        try {
+            await checkGenerationQuota(req.user, null, { rateLimit: false });
         } catch (error) {
-            logger.error(`OpenAI generation failed: ${error.message}`);
-            generation.status = "failed";
-            generation.error = `OpenAI generation failed: ${error.message}`;
-            generation.completedAt = new Date();
-            await generation.save();
-            return res.status(500).json({
+            if (!(error instanceof QuotaError)) throw error;
+            return sendQuotaError(req, res, error);
+        }
+
+        const jira = getJiraService();
+        const search = await jira.searchIssues(source.jql, {
+            maxResults: batchConfig.maxIssues,
+        });
+        if (!search.success) {
+            return res.status(search.status === 400 ? 400 : 502).json({
+                success: false,
+                error: `JIRA search failed: ${search.error}`,
+            });
+        }
+        if (search.hasMore) {
+            return res.status(400).json({
+                success: false,
+                error: `The ${source.type} matches more than ${batchConfig.maxIssues} issues, narrow it down`,
+            });
+        }
+        if (search.issues.length === 0) {
+            return res.status(400).json({
                 success: false,
-                error: error.message || "Failed to generate test cases",
+                error: `No issues match the ${source.type}`,
             });
         }
 
-        // Calculate generation duration
-        const generationTimeSeconds = (Date.now() - startTime) / 1000;
-
-        // Update generation document
-        generation.status = "completed";
-        generation.completedAt = new Date();
-        generation.generationTimeSeconds =
-            Math.round(generationTimeSeconds * 100) / 100;
-        generation.cost = cost;
-        generation.tokenUsage = tokenUsage;
-        generation.result = {
-            markdown: {
-                filename: `${issueKey}_testcases_${generation._id}.md`,
-                content: markdownContent,
-            },
-        };
-        generation.currentVersion = 1;
-        generation.versions = [];
+        const mode = autoMode ? "auto" : "manual";
+        const skipReasons = await findIssuesToSkip(
+            search.issues.map((issue) => issue.key),
+            mode,
+            skipRecentDays,
+        );
 
-        await generation.save();
+        // Issues of projects the user can't generate for are skipped
+        const projects = new Map();
+        const items = [];
+        for (const issue of search.issues) {
+            const item = {
+                issueKey: issue.key,
+                summary: issue.fields?.summary || "",
+            };
+            const projectKey = extractProjectKey(issue.key);
+            if (skipReasons.has(issue.key)) {
+                item.status = "skipped";
+                item.skipReason = skipReasons.get(issue.key);
+            } else if (projectKey) {
+                if (!projects.has(projectKey)) {
+                    projects.set(
+                        projectKey,
+                        await findOrCreateProject(projectKey, req.user.email),
+                    );
+                }
+                const project = projects.get(projectKey);
+                item.project = project._id;
+                if (!canGenerate(req.user, project)) {
+                    item.status = "skipped";
+                    item.skipReason = `You don't have permission to generate test cases for project ${projectKey}`;
+                }
+            }
+            items.push(item);
+        }
+
+        const batch = await Batch.create({
+            email: req.user.email,
+            userId: req.user.userId,
+            source,
+            mode,
+            llm: { provider, model },
+            includeImages: includeImages !== false,
+            concurrency,
+            skipRecentDays,
+            items,
+        });
+        startBatch(batch._id);
         logger.info(
-            `Generation ${generation._id} for issue ${issueKey} markdown ${generation.result.markdown} completed in ${generation.generationTimeSeconds} seconds, cost: $${generation.cost?.toFixed(4)}`,
+            `Started batch ${batch._id} for ${source.type} "${source.value}": ${items.length} issues, ${skipReasons.size} skipped as recent`,
         );
 
-        // Return response
+        return res.status(202).json({
+            success: true,
+            data: {
+                ...(await getBatchProgress(batch)),
+                statusUrl: `/generations/batch/${batch._id}`,
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Progress of a batch, for its creator and admins
+router.get("/batch/:batchId", requireAuth, async (req, res, next) => {
+    try {
+        const batch = mongoose.isValidObjectId(req.params.batchId)
+            ? await Batch.findById(req.params.batchId)
+            : null;
+        await loadUserRole(req);
+        if (
+            !batch ||
+            (batch.email !== req.user.email && req.user.role !== "admin")
+        ) {
+            return res
+                .status(404)
+                .json({ success: false, error: "Batch not found!" });
+        }
+
+        return res.json({ success: true, data: await getBatchProgress(batch) });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Report the progress of a generation job
+router.get("/:id/status", requireAuth, canView, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+
         return res.json({
             success: true,
             data: {
-                generationId: generation._id,
-                issueKey,
-                markdown: generation.result.markdown,
-                generationTimeSeconds: generation.generationTimeSeconds,
-                cost: generation.cost,
+                generationId: gen._id,
+                issueKey: gen.issueKey,
+                mode: gen.mode,
+                status: gen.status,
+                stage: gen.stage,
+                error: gen.error,
+                createdAt: gen.createdAt,
+                startedAt: gen.startedAt,
+                completedAt: gen.completedAt,
+                generationTimeSeconds: gen.generationTimeSeconds,
+                model: gen.model,
+                cost: gen.cost,
+                costKnown: gen.costKnown,
             },
         });
     } catch (error) {
@@ -318,35 +820,96 @@ router.post("/testcases", requireAuth, async (req, res, next) => {
     }
 });
 
-router.get("/:id/view", requireAuth, async (req, res, next) => {
+// Stream generation output as Server-Sent Events; manual suites only send their markdown with `completed`
+router.get("/:id/stream", requireAuth, canView, async (req, res, next) => {
+    // Subscribe before reloading the document so no event is missed in between
+    const pendingEvents = [];
+    let listener = (event) => pendingEvents.push(event);
+    const unsubscribe = subscribe(req.params.id, (event) => listener(event));
+    let heartbeat = null;
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
     try {
-        const gen = await Generation.findById(req.params.id);
+        const gen = await Generation.findById(req.params.id).select(
+            "-versions",
+        );
         if (!gen) {
+            unsubscribe();
             return res
                 .status(404)
                 .json({ success: false, error: "Generation not found!" });
         }
 
-        // Check ownership and allow if published and completed
-        const isOwner = gen.email === req.user.email;
-        const isPublishedAndCompleted =
-            gen.published && gen.status === "completed";
+        res.setHeader("Content-Type", "text/event-stream");
+        res.setHeader("Cache-Control", "no-cache");
+        res.setHeader("Connection", "keep-alive");
+        res.flushHeaders();
 
-        // debug info
-        logger.info(
-            `View request for generation ${req.params.id} by user ${req.user.email}. isOwner: ${isOwner}, isPublishedAndCompleted: ${isPublishedAndCompleted}`,
-        );
-        logger.info(
-            `Generation details: published=${gen.published}, status=${gen.status}, email=${gen.email}`,
-        );
+        const sendEvent = (type, data) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+        req.on("close", close);
 
-        // If not owner completed, deny access
-        if (!isOwner && !isPublishedAndCompleted) {
-            return res
-                .status(404)
-                .json({ success: false, error: "Not found!" });
+        // Already finished: replay the stored outcome
+        if (gen.status === "completed") {
+            sendEvent("completed", {
+                content: getGenerationOutput(gen)?.content || "",
+                testSuite: gen.result?.testSuite || null,
+                tokenUsage: gen.tokenUsage,
+                cost: gen.cost,
+                costKnown: gen.costKnown,
+                model: gen.model,
+                generationTimeSeconds: gen.generationTimeSeconds,
+            });
+            return close();
+        }
+        if (gen.status === "failed") {
+            sendEvent("failed", { error: gen.error });
+            return close();
         }
 
+        // Catch up with the content streamed so far, then forward live events
+        const handleEvent = (event) => {
+            sendEvent(event.type, event.data);
+            if (event.type === "completed" || event.type === "failed") {
+                close();
+            }
+        };
+        sendEvent("stage", { stage: gen.stage });
+        const buffered = getBufferedContent(gen._id);
+        if (buffered) {
+            sendEvent("delta", { delta: buffered });
+        }
+        listener = handleEvent;
+        // Deltas received while loading are already part of the buffer
+        pendingEvents
+            .filter((event) => event.type !== "delta")
+            .forEach(handleEvent);
+    } catch (error) {
+        // Once the stream is open the error can only be sent as an event
+        if (res.headersSent) {
+            logger.error(
+                `Stream of generation ${req.params.id} failed: ${error.message}`,
+            );
+            res.write(
+                `event: error\ndata: ${JSON.stringify({ error: error.message || "Internal Server Error" })}\n\n`,
+            );
+            return close();
+        }
+        unsubscribe();
+        return next(error);
+    }
+});
+
+router.get("/:id/view", requireAuth, canView, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+
         // Only allow viewing completed generations
         if (gen.status !== "completed") {
             return res.status(400).json({
@@ -355,22 +918,24 @@ router.get("/:id/view", requireAuth, async (req, res, next) => {
             });
         }
 
-        // Get latest version
-        const latestVersion =
-            gen.versions && gen.versions.length > 0
-                ? gen.versions[gen.versions.length - 1]
-                : null;
-
         const projectKey = gen.issueKey
             ? extractProjectKey(gen.issueKey)
             : null;
+        const output = getGenerationOutput(gen);
+        // The ETag is for If-Match on edits; no-store keeps browsers from
+        // revalidating it and missing changes such as publishing
+        res.setHeader("ETag", getContentETag(gen));
+        res.setHeader("Cache-Control", "no-store");
         return res.json({
             success: true,
             data: {
                 email: gen.email,
-                content: gen.result?.markdown?.content || "",
-                filename: gen.result?.markdown?.filename || "output.md",
-                format: "markdown",
+                mode: gen.mode,
+                content: output?.content || "",
+                filename: output?.filename || "output.md",
+                format: output?.language || "markdown",
+                framework: output?.framework,
+                testSuite: gen.result?.testSuite || null,
 
                 // Metadata for header
                 issueKey: gen.issueKey,
@@ -382,10 +947,14 @@ router.get("/:id/view", requireAuth, async (req, res, next) => {
                 publishedAt: gen.publishedAt,
                 publishedBy: gen.publishedBy,
                 currentVersion: gen.currentVersion,
-                versions: gen.versions || [],
-                lastUpdatedBy: latestVersion?.updatedBy || gen.email,
+                versions: getVersions(gen).map(summarizeVersion),
+                versionNotes: gen.versionNotes || null,
+                refinements: gen.refinements || [],
+                promptTemplate: gen.promptTemplate || null,
+                cost: gen.cost,
+                lastUpdatedBy: gen.lastEditedBy || gen.email,
                 lastUpdatedAt:
-                    latestVersion?.updatedAt || gen.updatedAt || gen.createdAt,
+                    gen.lastEditedAt || gen.completedAt || gen.createdAt,
             },
         });
     } catch (error) {
@@ -393,90 +962,521 @@ router.get("/:id/view", requireAuth, async (req, res, next) => {
     }
 });
 
-router.put("/:id/content", requireAuth, async (req, res, next) => {
+router.put("/:id/content", requireAuth, canEdit, async (req, res, next) => {
     try {
-        const { content } = req.body || {};
-        if (typeof content !== "string" || content.trim() === "") {
+        const { testSuite: submittedSuite, notes } = req.body || {};
+        let { content } = req.body || {};
+        const gen = req.generation;
+
+        // Only allow updating completed generations
+        if (gen.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                error: "Only completed generations can be updated!",
+            });
+        }
+        if (!checkExpectedVersion(req, res, gen)) return;
+        const baseVersion = gen.currentVersion || 1;
+
+        // Manual generations can be edited as a structured test suite or as markdown,
+        // the other representation is derived so both stay in sync
+        let testSuite = null;
+        if (submittedSuite !== undefined) {
+            if (gen.mode === "auto") {
+                return res.status(400).json({
+                    success: false,
+                    error: "Automation code has no structured test suite",
+                });
+            }
+            const validation = validateTestSuite(submittedSuite);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Invalid test suite",
+                    details: validation.errors,
+                });
+            }
+            testSuite = validation.testSuite;
+            content = renderTestSuiteMarkdown(testSuite, {
+                fallbackTitle:
+                    gen.result?.testSuite?.title ||
+                    `Test Cases for ${gen.issueKey}`,
+            });
+        } else if (typeof content !== "string" || content.trim() === "") {
             return res
                 .status(400)
                 .json({ success: false, error: "Content is required!" });
+        } else if (gen.result?.testSuite) {
+            // The structured copy feeds exports and publishing, so it can't be dropped
+            const derived = testSuiteFromMarkdown(content);
+            if (!derived.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Edited markdown is not a complete test suite",
+                    details: derived.errors,
+                });
+            }
+            testSuite = derived.testSuite;
         }
-        const gen = await Generation.findById(req.params.id);
-        if (!gen || gen.email !== req.user.email) {
+
+        // Keep the current content as a version before replacing it
+        const created = applyContentUpdate(gen, {
+            content,
+            testSuite,
+            author: req.user.email,
+            notes: typeof notes === "string" ? notes.trim() : null,
+        });
+        if (created) {
+            if (!(await saveContentChange(res, gen, baseVersion))) return;
+            logger.info(
+                `Generation ${req.params.id} updated to version ${gen.currentVersion} by ${req.user.email}`,
+            );
+        }
+
+        res.setHeader("ETag", getContentETag(gen));
+        return res.json({
+            success: true,
+            data: {
+                content: getGenerationOutput(gen).content,
+                testSuite: gen.result.testSuite || null,
+                currentVersion: gen.currentVersion || 1,
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Parse a version number route or query parameter
+function parseVersionNumber(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// List the versions of a generation, newest first, without their content
+router.get("/:id/versions", requireAuth, canView, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        if (gen.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                error: "Generation not completed yet",
+            });
+        }
+        return res.json({
+            success: true,
+            data: {
+                currentVersion: gen.currentVersion || 1,
+                versions: getVersions(gen).map(summarizeVersion),
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Get one version of a generation with its content
+router.get("/:id/versions/:n", requireAuth, canView, async (req, res, next) => {
+    try {
+        const versionNumber = parseVersionNumber(req.params.n);
+        const version = versionNumber
+            ? getVersion(req.generation, versionNumber)
+            : null;
+        if (!version) {
             return res
                 .status(404)
-                .json({ success: false, error: "Generation not found!" });
+                .json({ success: false, error: "Version not found!" });
         }
+        return res.json({ success: true, data: { version } });
+    } catch (error) {
+        return next(error);
+    }
+});
 
-        // Only allow updating completed generations
-        if (gen.status !== "completed") {
+// Diff two versions: ?from=&to= default to the previous and the current version
+router.get("/:id/diff", requireAuth, canView, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        const currentVersion = gen.currentVersion || 1;
+        const to = req.query.to
+            ? parseVersionNumber(req.query.to)
+            : currentVersion;
+        const from = req.query.from
+            ? parseVersionNumber(req.query.from)
+            : to && to - 1;
+        if (!from || !to) {
             return res.status(400).json({
                 success: false,
-                error: "Only completed generations can be updated!",
+                error: "from and to must be positive version numbers",
             });
         }
 
-        // Track version: save current content as a version before updating
-        const currentContent = gen.result?.markdown?.content || "";
-        if (currentContent && currentContent !== content) {
-            // Initialize versions array if not present
-            if (!gen.versions) {
-                gen.versions = [];
-            }
+        const fromVersion = getVersion(gen, from);
+        const toVersion = getVersion(gen, to);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                error: `Version ${!fromVersion ? from : to} not found!`,
+            });
+        }
 
-            // Get the current version number (default to 1 if not set)
-            const currentVersionNumber = gen.currentVersion || 1;
+        const diff = diffVersions(fromVersion, toVersion);
+        if (req.query.format === "unified") {
+            res.setHeader("Content-Type", "text/x-diff; charset=utf-8");
+            return res.send(diff.unified);
+        }
+        return res.json({ success: true, data: diff });
+    } catch (error) {
+        return next(error);
+    }
+});
 
-            // Save the current content as a new version (only if we haven't already saved this version)
-            const versionExists = gen.versions.some(
-                (v) => v.versionNumber === currentVersionNumber,
-            );
-            if (!versionExists) {
-                gen.versions.push({
-                    versionNumber: currentVersionNumber,
-                    content: currentContent,
-                    updatedBy: req.user.email,
-                    updatedAt: new Date(),
+// Restore an earlier version by creating a new version with its content
+router.post(
+    "/:id/versions/:n/restore",
+    requireAuth,
+    canEdit,
+    async (req, res, next) => {
+        try {
+            const gen = req.generation;
+            const versionNumber = parseVersionNumber(req.params.n);
+            const version = versionNumber
+                ? getVersion(gen, versionNumber)
+                : null;
+            if (!version) {
+                return res
+                    .status(404)
+                    .json({ success: false, error: "Version not found!" });
+            }
+            if (version.current) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Version ${versionNumber} is already the current version`,
                 });
-                logger.info(
-                    `Saved version ${currentVersionNumber} to versions array for generation ${req.params.id}`,
-                );
             }
+            if (!checkExpectedVersion(req, res, gen)) return;
+            const baseVersion = gen.currentVersion || 1;
 
-            // Increment current version number
-            gen.currentVersion = currentVersionNumber + 1;
+            // Snapshots taken before structured output have no test suite, rebuild it
+            let testSuite = version.testSuite;
+            if (!testSuite && gen.result?.testSuite) {
+                testSuite = testSuiteFromMarkdown(version.content).testSuite;
+            }
 
+            const { notes } = req.body || {};
+            applyContentUpdate(gen, {
+                content: version.content,
+                testSuite,
+                author: req.user.email,
+                notes:
+                    typeof notes === "string" && notes.trim()
+                        ? notes.trim()
+                        : `Restored version ${versionNumber}`,
+            });
+            if (!(await saveContentChange(res, gen, baseVersion))) return;
             logger.info(
-                `Updating generation ${req.params.id} to version ${gen.currentVersion}`,
+                `Generation ${req.params.id} version ${versionNumber} restored as version ${gen.currentVersion} by ${req.user.email}`,
+            );
+
+            res.setHeader("ETag", getContentETag(gen));
+            return res.json({
+                success: true,
+                data: {
+                    content: getGenerationOutput(gen).content,
+                    testSuite: gen.result.testSuite || null,
+                    currentVersion: gen.currentVersion,
+                    restoredFrom: versionNumber,
+                },
+            });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+// Longest accepted refinement instruction
+const MAX_INSTRUCTION_LENGTH = 2000;
+
+// Add the usage of a refinement call to the generation's totals
+function addRefinementUsage(gen, { tokenUsage, cost }) {
+    const total = gen.tokenUsage || {};
+    gen.tokenUsage = {
+        promptTokens: (total.promptTokens || 0) + (tokenUsage?.promptTokens || 0),
+        cachedTokens: (total.cachedTokens || 0) + (tokenUsage?.cachedTokens || 0),
+        completionTokens: (total.completionTokens || 0) + (tokenUsage?.completionTokens || 0),
+        totalTokens: (total.totalTokens || 0) + (tokenUsage?.totalTokens || 0),
+    };
+    gen.cost = (gen.cost || 0) + (cost || 0);
+    gen.costKnown = gen.costKnown !== false && cost !== null;
+}
+
+// Record a refinement whose output wasn't saved; its cost was still incurred
+async function recordRefinementUsage(generationId, refinement) {
+    const { tokenUsage, cost } = refinement;
+    await Generation.updateOne(
+        { _id: generationId },
+        {
+            $inc: {
+                cost: cost || 0,
+                "tokenUsage.promptTokens": tokenUsage?.promptTokens || 0,
+                "tokenUsage.cachedTokens": tokenUsage?.cachedTokens || 0,
+                "tokenUsage.completionTokens": tokenUsage?.completionTokens || 0,
+                "tokenUsage.totalTokens": tokenUsage?.totalTokens || 0,
+            },
+            ...(cost === null ? { $set: { costKnown: false } } : {}),
+            $push: { refinements: refinement },
+        },
+    );
+}
+
+// Run a refinement whose cost is reserved and answer the request
+async function refineGeneration(req, res, { llm, instruction, baseVersion }) {
+    const gen = req.generation;
+    const openai = getOpenAIService(llm);
+
+    // Ground the refinement in the issue; without it the current version has to do
+    let context = "";
+    let title = "";
+    const jira = getJiraService();
+    const issueResult = await jira.getIssue(gen.issueKey);
+    if (issueResult.success) {
+        title = issueResult.issue.fields?.summary || "";
+        context = buildGenerationContext(
+            issueResult.issue,
+            jira,
+            openai.model,
+        ).context;
+    } else {
+        logger.warn(
+            `Refining ${gen.issueKey} without issue context: ${issueResult.error}`,
+        );
+    }
+
+    const autoMode = gen.mode === "auto";
+    const framework = gen.result?.code?.framework;
+    const automationTarget =
+        Object.keys(AUTOMATION_TARGETS).find(
+            (key) => AUTOMATION_TARGETS[key].framework === framework,
+        ) || "playwright";
+    const currentSuite = gen.result?.testSuite;
+    const currentContent =
+        !autoMode && currentSuite
+            ? JSON.stringify({
+                  title: currentSuite.title,
+                  testCases: currentSuite.testCases,
+              })
+            : getGenerationOutput(gen)?.content || "";
+
+    // Refine with the template version the generation was made with
+    const prompt = await buildPrompt({
+        purpose: getPromptPurpose(autoMode, automationTarget),
+        project: req.project,
+        issueKey: gen.issueKey,
+        title,
+        context:
+            context ||
+            "Issue details are unavailable, rely on the current version.",
+        templateRef: gen.promptTemplate,
+    });
+
+    const result = await openai.refineTestCases({
+        context,
+        issueKey: gen.issueKey,
+        currentContent,
+        instruction,
+        autoMode,
+        automationTarget,
+        prompt,
+    });
+
+    const refinement = {
+        instruction,
+        provider: openai.provider.name,
+        model: result.model,
+        promptTemplate: prompt.template || undefined,
+        tokenUsage: result.tokenUsage,
+        cost: result.cost,
+        requestedBy: req.user.email,
+        createdAt: new Date(),
+    };
+
+    let content = result.content;
+    let testSuite = null;
+    if (!autoMode) {
+        const parsed = parseTestSuiteJson(content);
+        if (!parsed.valid) {
+            // The call was paid for even though its output is unusable
+            await recordRefinementUsage(gen._id, refinement);
+            logger.error(
+                `Invalid refined test suite for ${gen.issueKey}: ${parsed.errors.join("; ")}`,
             );
+            return res.status(502).json({
+                success: false,
+                error: "Model returned an invalid test suite",
+                details: parsed.errors,
+            });
         }
-        // Update markdown content
-        if (!gen.result) {
-            gen.result = {};
+        testSuite = parsed.testSuite;
+        content = renderTestSuiteMarkdown(testSuite, {
+            fallbackTitle:
+                currentSuite?.title || `Test Cases for ${gen.issueKey}`,
+        });
+    }
+
+    const created = applyContentUpdate(gen, {
+        content,
+        testSuite,
+        author: req.user.email,
+        notes: `Refined: ${instruction}`,
+    });
+    if (created) {
+        refinement.versionNumber = gen.currentVersion;
+    }
+    addRefinementUsage(gen, result);
+    gen.refinements.push(refinement);
+
+    // Someone saved in the meantime: keep the cost, hand the refined content back for merging
+    if (!(await saveVersionedUpdate(gen, baseVersion))) {
+        delete refinement.versionNumber;
+        await recordRefinementUsage(gen._id, refinement);
+        const latest = await Generation.findById(gen._id);
+        return sendVersionConflict(res, latest || gen, {
+            refinedContent: content,
+            refinedTestSuite: testSuite,
+        });
+    }
+    logger.info(
+        `Generation ${req.params.id} refined to version ${gen.currentVersion} by ${req.user.email}`,
+    );
+
+    res.setHeader("ETag", getContentETag(gen));
+    return res.json({
+        success: true,
+        data: {
+            content: getGenerationOutput(gen).content,
+            testSuite: gen.result.testSuite || null,
+            currentVersion: gen.currentVersion,
+            changed: created,
+            refinement: {
+                provider: refinement.provider,
+                model: refinement.model,
+                tokenUsage: refinement.tokenUsage,
+                cost: refinement.cost,
+            },
+            cost: gen.cost,
+            costKnown: gen.costKnown,
+            tokenUsage: gen.tokenUsage,
+        },
+    });
+}
+
+// Refine a generation: send its current content back to OpenAI with an instruction
+// and save the answer as a new version
+router.post("/:id/refine", requireAuth, canEdit, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        const instruction =
+            typeof req.body?.instruction === "string"
+                ? req.body.instruction.trim()
+                : "";
+
+        if (!instruction) {
+            return res
+                .status(400)
+                .json({ success: false, error: "instruction is required" });
         }
-        if (!gen.result.markdown) {
-            gen.result.markdown = {};
+        if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`,
+            });
         }
-        gen.result.markdown.content = content;
-        await gen.save();
+        if (gen.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                error: "Only completed generations can be refined!",
+            });
+        }
+        if (!checkExpectedVersion(req, res, gen)) return;
+        const baseVersion = gen.currentVersion || 1;
 
-        logger.info(
-            `Generation ${req.params.id} content updated by ${req.user.email}`,
+        // Refine with the generation's own provider and model, unless the project
+        // has since been pinned to another provider: its issues must stay there
+        let llm;
+        try {
+            llm = resolveRefineLLM(gen, req.project);
+        } catch (error) {
+            if (!(error instanceof LLMSelectionError)) throw error;
+            return res
+                .status(error.status)
+                .json({ success: false, error: error.message });
+        }
+
+        // Refinements are paid calls, so they count against the budgets too. Their
+        // estimated cost is reserved until the refinement is done, so concurrent
+        // refinements can't overshoot the budgets
+        let reservedCost;
+        try {
+            ({ reservedCost } = await reserveRefinement(
+                gen,
+                req.user,
+                req.project,
+                llm,
+            ));
+        } catch (error) {
+            if (!(error instanceof QuotaError)) throw error;
+            return sendQuotaError(req, res, error);
+        }
+        try {
+            return await refineGeneration(req, res, {
+                llm,
+                instruction,
+                baseVersion,
+            });
+        } finally {
+            await releaseRefinement(gen._id, reservedCost);
+        }
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// List the structured test cases of a generation, filterable by category and priority
+router.get("/:id/testcases", requireAuth, canView, async (req, res, next) => {
+    try {
+        const gen = req.generation;
+        const testSuite = gen.result?.testSuite;
+        if (!testSuite) {
+            return res.status(404).json({
+                success: false,
+                error: "This generation has no structured test cases",
+            });
+        }
+
+        const { category, priority } = req.query;
+        if (priority && !PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                success: false,
+                error: `Priority must be one of: ${PRIORITIES.join(", ")}`,
+            });
+        }
+        const testCases = testSuite.testCases.filter(
+            (testCase) =>
+                (!category ||
+                    testCase.category.toLowerCase() === category.toLowerCase()) &&
+                (!priority || testCase.priority === priority),
         );
 
         return res.json({
             success: true,
-            data: {
-                content: gen.result.markdown.content,
-                currentVersion: gen.currentVersion || 1,
-            },
+            data: { title: testSuite.title, total: testCases.length, testCases },
         });
     } catch (error) {
         return next(error);
     }
 });
 
-router.put("/:id/publish", requireAuth, async (req, res, next) => {
+router.put("/:id/publish", requireAuth, canPublish, async (req, res, next) => {
     try {
         const { published } = req.body;
         if (typeof published !== "boolean") {
@@ -486,12 +1486,7 @@ router.put("/:id/publish", requireAuth, async (req, res, next) => {
             });
         }
 
-        const gen = await Generation.findById(req.params.id);
-        if (!gen || gen.email !== req.user.email) {
-            return res
-                .status(404)
-                .json({ success: false, error: "Generation not found!" });
-        }
+        const gen = req.generation;
 
         // Only allow publishing completed generations
         if (gen.status !== "completed") {
@@ -529,22 +1524,10 @@ router.put("/:id/publish", requireAuth, async (req, res, next) => {
     }
 });
 
-// Download (allow downloading if it's user's own or published)
-router.get("/:id/download", requireAuth, async (req, res, next) => {
+// Download (allowed for anyone who can view the generation)
+router.get("/:id/download", requireAuth, canDownload, async (req, res, next) => {
     try {
-        const gen = await Generation.findById(req.params.id);
-        if (!gen)
-            return res.status(404).json({ success: false, error: "Not found" });
-
-        // Check if user has permission to download
-        // Allow if it's user's own OR if it's published and completed
-        const isOwner = gen.email === req.user.email;
-        const isPublishedAndCompleted =
-            gen.published && gen.status === "completed";
-
-        if (!isOwner && !isPublishedAndCompleted) {
-            return res.status(404).json({ success: false, error: "Not found" });
-        }
+        const gen = req.generation;
 
         if (gen.status !== "completed") {
             return res
@@ -552,39 +1535,124 @@ router.get("/:id/download", requireAuth, async (req, res, next) => {
                 .json({ success: false, error: "Not completed" });
         }
 
+        const { format } = req.query;
+
+        // Render the document as a styled HTML page or PDF
+        if (DOCUMENT_FORMATS[format]) {
+            const rendered = await renderGenerationDocument(gen, format, {
+                project: req.project,
+            });
+            res.setHeader("Content-Type", rendered.contentType);
+            res.setHeader(
+                "Content-Disposition",
+                `${format === "html" ? "inline" : "attachment"}; filename="${gen.issueKey}_testcases_v${gen.currentVersion || 1}.${rendered.extension}"`,
+            );
+            return res.send(rendered.body);
+        }
+
+        // Export the test cases for a test management tool
+        if (format) {
+            if (!EXPORT_FORMATS[format]) {
+                const formats = [
+                    ...Object.keys(DOCUMENT_FORMATS),
+                    ...Object.keys(EXPORT_FORMATS),
+                ];
+                return res.status(400).json({
+                    success: false,
+                    error: `Format must be one of: ${formats.join(", ")}`,
+                });
+            }
+            const testSuite = getGenerationTestSuite(gen);
+            if (!testSuite) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Only manual test case documents can be exported",
+                });
+            }
+            const exported = await exportTestSuite(testSuite, format, {
+                issueKey: gen.issueKey,
+            });
+            res.setHeader("Content-Type", exported.contentType);
+            res.setHeader(
+                "Content-Disposition",
+                `attachment; filename="${gen.issueKey}_testcases_${gen._id}.${exported.extension}"`,
+            );
+            return res.send(exported.body);
+        }
+
         // Set headers for file download
-        res.setHeader("Content-Type", "text/markdown");
+        const output = getGenerationOutput(gen);
+        const contentType = gen.result?.code
+            ? CODE_CONTENT_TYPES[gen.result.code.language] || "text/plain"
+            : "text/markdown";
+        res.setHeader("Content-Type", contentType);
         res.setHeader(
             "Content-Disposition",
-            `attachment; filename="${gen.result?.markdown?.filename || "output.md"}"`,
+            `attachment; filename="${output?.filename || "output.md"}"`,
         );
 
-        // Send the markdown content
-        return res.send(gen.result?.markdown?.content || "");
+        // Send the markdown or code content
+        return res.send(output?.content || "");
     } catch (err) {
         next(err);
     }
 });
 
-// Delete generation (only owner can delete)
-router.delete("/:id", requireAuth, async (req, res, next) => {
-    try {
-        const gen = await Generation.findById(req.params.id);
-        if (!gen) {
-            return res
-                .status(404)
-                .json({ success: false, error: "Generation not found" });
-        }
-
-        // Only the owner can delete their generation
-        if (gen.email !== req.user.email) {
-            return res
-                .status(403)
-                .json({
+// Publish a generation back to its JIRA issue (requires publish permission)
+function publishToJira(publish) {
+    return async (req, res, next) => {
+        try {
+            const gen = req.generation;
+            if (gen.status !== "completed") {
+                return res.status(400).json({
                     success: false,
-                    error: "You can only delete your own generations",
+                    error: "Only completed generations can be published to JIRA!",
                 });
+            }
+
+            const result = await publish(gen, getJiraService(), {
+                project: req.project,
+            });
+            if (!result.success) {
+                // Surface JIRA client errors as-is, anything else as a bad gateway
+                const status =
+                    result.status >= 400 && result.status < 500
+                        ? result.status
+                        : 502;
+                return res
+                    .status(status)
+                    .json({ success: false, error: result.error });
+            }
+            return res.json({ success: true, data: result.data });
+        } catch (error) {
+            return next(error);
         }
+    };
+}
+
+router.post(
+    "/:id/jira/comment",
+    requireAuth,
+    canPublish,
+    publishToJira(publishComment),
+);
+router.post(
+    "/:id/jira/subtasks",
+    requireAuth,
+    canPublish,
+    publishToJira(publishSubtasks),
+);
+router.post(
+    "/:id/jira/attachment",
+    requireAuth,
+    canPublish,
+    publishToJira(publishPdfAttachment),
+);
+
+// Delete generation (owner, project lead or admin)
+router.delete("/:id", requireAuth, canDelete, async (req, res, next) => {
+    try {
+        const gen = req.generation;
 
         // Check if it's published - warn but allow deletion
         if (gen.published) {
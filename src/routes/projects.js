@@ -0,0 +1,495 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import Project from "../models/Project.js";
+import Generation from "../models/Generation.js";
+import PromptTemplate from "../models/PromptTemplate.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+    buildProjectVisibilityFilter,
+    buildVisibilityFilter,
+    canManageProject,
+    canViewProject,
+    loadUserRole,
+} from "../middleware/authorize.js";
+import { logger } from "../utils/logger.js";
+import { PROVIDER_NAMES } from "../services/llm/index.js";
+import { PROMPT_PURPOSES } from "../services/promptService.js";
+
+const router = Router();
+
+const MEMBER_ROLES = ["lead", "member", "viewer"];
+const VISIBILITIES = ["public", "members"];
+const MAX_CONVENTIONS_LENGTH = 5000;
+const SORT_FIELDS = [
+    "projectKey",
+    "name",
+    "createdAt",
+    "lastGeneratedAt",
+    "totalGenerations",
+];
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Load req.params.key as req.project, answering 404 when it doesn't exist or is hidden
+async function loadProject(req, res, next) {
+    try {
+        const project = await Project.findOne({
+            projectKey: req.params.key.trim().toUpperCase(),
+        });
+        await loadUserRole(req);
+        if (!project || !canViewProject(req.user, project)) {
+            return res
+                .status(404)
+                .json({ success: false, error: "Project not found!" });
+        }
+        req.project = project;
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+}
+
+// Only admins and project leads may change membership
+function requireProjectManager(req, res, next) {
+    if (!canManageProject(req.user, req.project)) {
+        return res.status(403).json({
+            success: false,
+            error: "Only project leads and admins can manage this project",
+        });
+    }
+    return next();
+}
+
+// List projects with search, sorting and pagination
+router.get("/", requireAuth, async (req, res, next) => {
+    try {
+        // Parse pagination parameters
+        const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+        const limit = Math.min(
+            50,
+            Math.max(1, parseInt(req.query.limit || "10", 10) || 10),
+        );
+        const skip = (page - 1) * limit;
+
+        // Parse sorting: ?sort=lastGeneratedAt&order=desc
+        const sortField = SORT_FIELDS.includes(req.query.sort)
+            ? req.query.sort
+            : "lastGeneratedAt";
+        const sortOrder = req.query.order === "asc" ? 1 : -1;
+
+        const filters = [await buildProjectVisibilityFilter(req)];
+        const search = (req.query.search || "").trim();
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), "i");
+            filters.push({
+                $or: [
+                    { projectKey: pattern },
+                    { name: pattern },
+                    { description: pattern },
+                ],
+            });
+        }
+        const filter = { $and: filters };
+
+        const [projects, total] = await Promise.all([
+            Project.find(filter)
+                .sort({ [sortField]: sortOrder, projectKey: 1 })
+                .skip(skip)
+                .limit(limit),
+            Project.countDocuments(filter),
+        ]);
+
+        return res.json({
+            success: true,
+            data: {
+                projects,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Project detail with aggregate generation stats
+router.get("/:key", requireAuth, loadProject, async (req, res, next) => {
+    try {
+        const project = req.project;
+        const [stats] = await Generation.aggregate([
+            { $match: { project: project._id } },
+            {
+                $facet: {
+                    byStatus: [
+                        { $group: { _id: "$status", count: { $sum: 1 } } },
+                    ],
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                totalGenerations: { $sum: 1 },
+                                totalCost: { $sum: "$cost" },
+                                promptTokens: {
+                                    $sum: "$tokenUsage.promptTokens",
+                                },
+                                completionTokens: {
+                                    $sum: "$tokenUsage.completionTokens",
+                                },
+                                totalTokens: {
+                                    $sum: "$tokenUsage.totalTokens",
+                                },
+                                averageGenerationTimeSeconds: {
+                                    $avg: "$generationTimeSeconds",
+                                },
+                                publishedCount: {
+                                    $sum: { $cond: ["$published", 1, 0] },
+                                },
+                            },
+                        },
+                    ],
+                },
+            },
+        ]);
+
+        const totals = stats.totals[0] || {};
+        const generationsByStatus = Object.fromEntries(
+            stats.byStatus.map((entry) => [entry._id || "unknown", entry.count]),
+        );
+
+        return res.json({
+            success: true,
+            data: {
+                project,
+                stats: {
+                    totalGenerations: totals.totalGenerations || 0,
+                    generationsByStatus,
+                    totalCost: totals.totalCost || 0,
+                    tokenUsage: {
+                        promptTokens: totals.promptTokens || 0,
+                        completionTokens: totals.completionTokens || 0,
+                        totalTokens: totals.totalTokens || 0,
+                    },
+                    averageGenerationTimeSeconds:
+                        totals.averageGenerationTimeSeconds != null
+                            ? Math.round(totals.averageGenerationTimeSeconds * 100) / 100
+                            : null,
+                    publishedCount: totals.publishedCount || 0,
+                },
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Edit project metadata (project leads and admins)
+router.patch(
+    "/:key",
+    requireAuth,
+    loadProject,
+    requireProjectManager,
+    async (req, res, next) => {
+        try {
+            const {
+                name,
+                description,
+                visibility,
+                monthlyBudgetUsd,
+                llmProvider,
+                llmModel,
+                conventions,
+                promptTemplates,
+            } = req.body || {};
+            const project = req.project;
+
+            if (name !== undefined) {
+                if (name !== null && typeof name !== "string") {
+                    return res
+                        .status(400)
+                        .json({ success: false, error: "Name must be a string!" });
+                }
+                project.name = name?.trim() || null;
+            }
+            if (description !== undefined) {
+                if (description !== null && typeof description !== "string") {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Description must be a string!",
+                    });
+                }
+                project.description = description?.trim() || null;
+            }
+            if (visibility !== undefined) {
+                if (!VISIBILITIES.includes(visibility)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Visibility must be one of: ${VISIBILITIES.join(", ")}`,
+                    });
+                }
+                project.visibility = visibility;
+            }
+            if (monthlyBudgetUsd !== undefined) {
+                // Leads manage the project but don't set their own budget
+                if (req.user.role !== "admin") {
+                    return res.status(403).json({
+                        success: false,
+                        error: "Only admins can change the project budget",
+                    });
+                }
+                if (
+                    monthlyBudgetUsd !== null &&
+                    (typeof monthlyBudgetUsd !== "number" || monthlyBudgetUsd < 0)
+                ) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "monthlyBudgetUsd must be a non-negative number or null",
+                    });
+                }
+                project.monthlyBudgetUsd = monthlyBudgetUsd;
+            }
+            if (llmProvider !== undefined || llmModel !== undefined) {
+                // Pinning a provider keeps the project's issues away from the others
+                if (req.user.role !== "admin") {
+                    return res.status(403).json({
+                        success: false,
+                        error: "Only admins can change the project's LLM provider",
+                    });
+                }
+                if (llmProvider !== undefined) {
+                    if (llmProvider !== null && !PROVIDER_NAMES.includes(llmProvider)) {
+                        return res.status(400).json({
+                            success: false,
+                            error: `llmProvider must be one of: ${PROVIDER_NAMES.join(", ")}, or null`,
+                        });
+                    }
+                    project.llmProvider = llmProvider;
+                    // A model belongs to the provider it was chosen for
+                    if (llmModel === undefined) project.llmModel = null;
+                }
+                if (llmModel !== undefined) {
+                    if (llmModel !== null && (typeof llmModel !== "string" || !llmModel.trim())) {
+                        return res.status(400).json({
+                            success: false,
+                            error: "llmModel must be a non-empty string or null",
+                        });
+                    }
+                    if (llmModel !== null && !project.llmProvider) {
+                        return res.status(400).json({
+                            success: false,
+                            error: "Set llmProvider before choosing a model",
+                        });
+                    }
+                    project.llmModel = llmModel?.trim() || null;
+                }
+            }
+            if (conventions !== undefined) {
+                if (conventions !== null && typeof conventions !== "string") {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Conventions must be a string!",
+                    });
+                }
+                if (conventions && conventions.length > MAX_CONVENTIONS_LENGTH) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Conventions must be at most ${MAX_CONVENTIONS_LENGTH} characters`,
+                    });
+                }
+                project.conventions = conventions?.trim() || null;
+            }
+            if (promptTemplates !== undefined) {
+                // Templates are managed by admins, so are the projects' choices of them
+                if (req.user.role !== "admin") {
+                    return res.status(403).json({
+                        success: false,
+                        error: "Only admins can change the project's prompt templates",
+                    });
+                }
+                if (
+                    !promptTemplates ||
+                    typeof promptTemplates !== "object" ||
+                    Array.isArray(promptTemplates)
+                ) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `promptTemplates must be an object keyed by purpose: ${PROMPT_PURPOSES.join(", ")}`,
+                    });
+                }
+                for (const [purpose, templateId] of Object.entries(promptTemplates)) {
+                    if (!PROMPT_PURPOSES.includes(purpose)) {
+                        return res.status(400).json({
+                            success: false,
+                            error: `Unknown prompt purpose: ${purpose}. Expected one of: ${PROMPT_PURPOSES.join(", ")}`,
+                        });
+                    }
+                    // null goes back to the default template
+                    if (templateId !== null) {
+                        const template = mongoose.isValidObjectId(templateId)
+                            ? await PromptTemplate.findOne({
+                                  _id: templateId,
+                                  archived: false,
+                              })
+                            : null;
+                        if (!template) {
+                            return res.status(400).json({
+                                success: false,
+                                error: `Prompt template not found: ${templateId}`,
+                            });
+                        }
+                        if (template.purpose !== purpose) {
+                            return res.status(400).json({
+                                success: false,
+                                error: `Prompt template "${template.name}" is a ${template.purpose} template, not ${purpose}`,
+                            });
+                        }
+                    }
+                    project.set(`promptTemplates.${purpose}`, templateId);
+                }
+            }
+
+            await project.save();
+            logger.info(
+                `Project ${project.projectKey} updated by ${req.user.email}`,
+            );
+            return res.json({ success: true, data: { project } });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+// List the project's generations the user may view
+router.get(
+    "/:key/generations",
+    requireAuth,
+    loadProject,
+    async (req, res, next) => {
+        try {
+            // Parse pagination parameters
+            const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+            const limit = Math.min(
+                50,
+                Math.max(1, parseInt(req.query.limit || "10", 10) || 10),
+            );
+            const skip = (page - 1) * limit;
+
+            const filter = {
+                $and: [
+                    await buildVisibilityFilter(req),
+                    { project: req.project._id },
+                ],
+            };
+
+            const [generations, total] = await Promise.all([
+                Generation.find(filter)
+                    .select("-versions")
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit),
+                Generation.countDocuments(filter),
+            ]);
+
+            return res.json({
+                success: true,
+                data: {
+                    generations,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit),
+                    },
+                },
+            });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+// List project members
+router.get("/:key/members", requireAuth, loadProject, (req, res) => {
+    return res.json({
+        success: true,
+        data: { members: req.project.members },
+    });
+});
+
+// Add a member or change their role
+router.put(
+    "/:key/members/:email",
+    requireAuth,
+    loadProject,
+    requireProjectManager,
+    async (req, res, next) => {
+        try {
+            const { role } = req.body || {};
+            if (role !== undefined && !MEMBER_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Role must be one of: ${MEMBER_ROLES.join(", ")}`,
+                });
+            }
+
+            const email = req.params.email.toLowerCase();
+            const project = req.project;
+            const member = project.members.find((m) => m.email === email);
+            if (member) {
+                member.role = role;
+            } else {
+                project.members.push({ email, role, addedBy: req.user.email });
+            }
+            await project.save();
+
+            logger.info(
+                `${email} set as ${role || "default role"} member of ${project.projectKey} by ${req.user.email}`,
+            );
+            return res.json({
+                success: true,
+                data: { members: project.members },
+            });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+// Remove a member
+router.delete(
+    "/:key/members/:email",
+    requireAuth,
+    loadProject,
+    requireProjectManager,
+    async (req, res, next) => {
+        try {
+            const email = req.params.email.toLowerCase();
+            const project = req.project;
+            const before = project.members.length;
+            project.members = project.members.filter((m) => m.email !== email);
+            if (project.members.length === before) {
+                return res
+                    .status(404)
+                    .json({ success: false, error: "Member not found!" });
+            }
+            await project.save();
+
+            logger.info(
+                `${email} removed from ${project.projectKey} by ${req.user.email}`,
+            );
+            return res.json({
+                success: true,
+                data: { members: project.members },
+            });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+export default router;
@@ -0,0 +1,481 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import PromptTemplate from "../models/PromptTemplate.js";
+import Project from "../models/Project.js";
+import Generation from "../models/Generation.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireAdmin } from "../middleware/authorize.js";
+import {
+    PROMPT_PURPOSES,
+    PromptTemplateError,
+    TEMPLATE_VARIABLES,
+    buildTemplateVariables,
+    getTemplateVersion,
+    renderTemplate,
+    validateTemplateText,
+} from "../services/promptService.js";
+import { logger } from "../utils/logger.js";
+
+const router = Router();
+
+// Prompt templates shape every generation: admins only
+router.use(requireAuth, requireAdmin);
+
+// Load req.params.id as req.template, answering 404 when it doesn't exist
+async function loadTemplate(req, res, next) {
+    try {
+        const template = mongoose.isValidObjectId(req.params.id)
+            ? await PromptTemplate.findById(req.params.id)
+            : null;
+        if (!template) {
+            return res
+                .status(404)
+                .json({ success: false, error: "Prompt template not found!" });
+        }
+        req.template = template;
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+}
+
+function sendTemplateError(res, error) {
+    return res
+        .status(error.status)
+        .json({ success: false, error: error.message });
+}
+
+// Validate an optional string field, answering 400 when it isn't one
+function isOptionalString(res, value, name) {
+    if (value !== undefined && value !== null && typeof value !== "string") {
+        res.status(400).json({ success: false, error: `${name} must be a string` });
+        return false;
+    }
+    return true;
+}
+
+// Projects overriding a purpose with the template
+function findProjectsUsing(template) {
+    return Project.find({
+        [`promptTemplates.${template.purpose}`]: template._id,
+    }).select("projectKey name");
+}
+
+// Template without its version contents, with the current version's text
+function summarizeTemplate(template) {
+    const { versions, ...fields } = template.toObject();
+    const current = getTemplateVersion(template);
+    return {
+        ...fields,
+        systemPrompt: current?.systemPrompt,
+        userPrompt: current?.userPrompt,
+        versions: versions.map(({ version, notes, createdBy, createdAt }) => ({
+            version,
+            notes,
+            createdBy,
+            createdAt,
+        })),
+    };
+}
+
+// Append a version and make it current
+function addVersion(template, { systemPrompt, userPrompt, notes }, email) {
+    const version = template.currentVersion + 1;
+    template.versions.push({
+        version,
+        systemPrompt,
+        userPrompt,
+        notes: notes?.trim() || undefined,
+        createdBy: email,
+    });
+    template.currentVersion = version;
+    template.updatedBy = email;
+    return version;
+}
+
+// List templates: ?purpose= and ?archived=true to include archived ones
+router.get("/", async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.purpose) {
+            if (!PROMPT_PURPOSES.includes(req.query.purpose)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Purpose must be one of: ${PROMPT_PURPOSES.join(", ")}`,
+                });
+            }
+            filter.purpose = req.query.purpose;
+        }
+        if (req.query.archived !== "true") filter.archived = false;
+
+        const templates = await PromptTemplate.find(filter)
+            .select("-versions")
+            .sort({ purpose: 1, isDefault: -1, name: 1 });
+        return res.json({
+            success: true,
+            data: { templates, variables: TEMPLATE_VARIABLES },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Create a template, optionally as the default of its purpose
+router.post("/", async (req, res, next) => {
+    try {
+        const {
+            name,
+            description,
+            purpose,
+            systemPrompt,
+            userPrompt,
+            notes,
+            isDefault = false,
+        } = req.body || {};
+
+        if (typeof name !== "string" || !name.trim()) {
+            return res
+                .status(400)
+                .json({ success: false, error: "name is required" });
+        }
+        if (!PROMPT_PURPOSES.includes(purpose)) {
+            return res.status(400).json({
+                success: false,
+                error: `purpose must be one of: ${PROMPT_PURPOSES.join(", ")}`,
+            });
+        }
+        if (
+            !isOptionalString(res, description, "description") ||
+            !isOptionalString(res, notes, "notes")
+        ) {
+            return;
+        }
+        try {
+            validateTemplateText({ systemPrompt, userPrompt });
+        } catch (error) {
+            if (!(error instanceof PromptTemplateError)) throw error;
+            return sendTemplateError(res, error);
+        }
+        if (await PromptTemplate.exists({ name: name.trim() })) {
+            return res.status(409).json({
+                success: false,
+                error: `A prompt template named "${name.trim()}" already exists`,
+            });
+        }
+
+        if (isDefault === true) {
+            await PromptTemplate.updateMany(
+                { purpose, isDefault: true },
+                { $set: { isDefault: false } },
+            );
+        }
+        const template = await PromptTemplate.create({
+            name: name.trim(),
+            description: description?.trim() || null,
+            purpose,
+            isDefault: isDefault === true,
+            currentVersion: 1,
+            versions: [
+                {
+                    version: 1,
+                    systemPrompt,
+                    userPrompt,
+                    notes: notes?.trim() || undefined,
+                    createdBy: req.user.email,
+                },
+            ],
+            createdBy: req.user.email,
+            updatedBy: req.user.email,
+        });
+
+        logger.info(
+            `Prompt template "${template.name}" (${purpose}) created by ${req.user.email}`,
+        );
+        return res
+            .status(201)
+            .json({ success: true, data: { template: summarizeTemplate(template) } });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Template with its current text, version list, overriding projects and generation counts per version
+router.get("/:id", loadTemplate, async (req, res, next) => {
+    try {
+        const template = req.template;
+        const [projects, usage] = await Promise.all([
+            findProjectsUsing(template),
+            Generation.aggregate([
+                { $match: { "promptTemplate.id": template._id } },
+                {
+                    $group: {
+                        _id: "$promptTemplate.version",
+                        generations: { $sum: 1 },
+                    },
+                },
+                { $sort: { _id: 1 } },
+            ]),
+        ]);
+
+        return res.json({
+            success: true,
+            data: {
+                template: summarizeTemplate(template),
+                projects,
+                usage: usage.map((entry) => ({
+                    version: entry._id,
+                    generations: entry.generations,
+                })),
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// One version's full text
+router.get("/:id/versions/:version", loadTemplate, (req, res) => {
+    const entry = getTemplateVersion(req.template, Number(req.params.version));
+    if (!entry) {
+        return res
+            .status(404)
+            .json({ success: false, error: "Version not found!" });
+    }
+    return res.json({ success: true, data: { version: entry } });
+});
+
+// Edit a template; changing its text creates a new version
+router.patch("/:id", loadTemplate, async (req, res, next) => {
+    try {
+        const { name, description, systemPrompt, userPrompt, notes } =
+            req.body || {};
+        const template = req.template;
+
+        if (template.archived) {
+            return res.status(400).json({
+                success: false,
+                error: "Archived templates can't be edited",
+            });
+        }
+        if (
+            !isOptionalString(res, description, "description") ||
+            !isOptionalString(res, notes, "notes")
+        ) {
+            return;
+        }
+        if (name !== undefined) {
+            if (typeof name !== "string" || !name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: "name must be a non-empty string",
+                });
+            }
+            const taken = await PromptTemplate.exists({
+                name: name.trim(),
+                _id: { $ne: template._id },
+            });
+            if (taken) {
+                return res.status(409).json({
+                    success: false,
+                    error: `A prompt template named "${name.trim()}" already exists`,
+                });
+            }
+            template.name = name.trim();
+        }
+        if (description !== undefined) {
+            template.description = description?.trim() || null;
+        }
+
+        let version = null;
+        if (systemPrompt !== undefined || userPrompt !== undefined) {
+            const current = getTemplateVersion(template);
+            const text = {
+                systemPrompt: systemPrompt ?? current.systemPrompt,
+                userPrompt: userPrompt ?? current.userPrompt,
+            };
+            try {
+                validateTemplateText(text);
+            } catch (error) {
+                if (!(error instanceof PromptTemplateError)) throw error;
+                return sendTemplateError(res, error);
+            }
+            // Saving the same text again doesn't make a version
+            if (
+                text.systemPrompt !== current.systemPrompt ||
+                text.userPrompt !== current.userPrompt
+            ) {
+                version = addVersion(template, { ...text, notes }, req.user.email);
+            }
+        }
+        template.updatedBy = req.user.email;
+        await template.save();
+
+        logger.info(
+            `Prompt template "${template.name}" updated by ${req.user.email}${version ? `, now version ${version}` : ""}`,
+        );
+        return res.json({
+            success: true,
+            data: { template: summarizeTemplate(template), changed: version !== null },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Restore an earlier version as a new version
+router.post(
+    "/:id/versions/:version/restore",
+    loadTemplate,
+    async (req, res, next) => {
+        try {
+            const template = req.template;
+            const restored = Number(req.params.version);
+            const entry = getTemplateVersion(template, restored);
+            if (!entry) {
+                return res
+                    .status(404)
+                    .json({ success: false, error: "Version not found!" });
+            }
+            if (template.archived) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Archived templates can't be edited",
+                });
+            }
+            if (restored === template.currentVersion) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Version ${restored} is already the current version`,
+                });
+            }
+
+            const version = addVersion(
+                template,
+                {
+                    systemPrompt: entry.systemPrompt,
+                    userPrompt: entry.userPrompt,
+                    notes: `Restored version ${restored}`,
+                },
+                req.user.email,
+            );
+            await template.save();
+
+            logger.info(
+                `Prompt template "${template.name}" version ${restored} restored as version ${version} by ${req.user.email}`,
+            );
+            return res.json({
+                success: true,
+                data: { template: summarizeTemplate(template) },
+            });
+        } catch (error) {
+            return next(error);
+        }
+    },
+);
+
+// Make the template the default of its purpose
+router.post("/:id/default", loadTemplate, async (req, res, next) => {
+    try {
+        const template = req.template;
+        if (template.archived) {
+            return res.status(400).json({
+                success: false,
+                error: "Archived templates can't be the default",
+            });
+        }
+        if (!template.isDefault) {
+            // Unset the previous default first, only one default per purpose is allowed
+            await PromptTemplate.updateMany(
+                { purpose: template.purpose, isDefault: true },
+                { $set: { isDefault: false } },
+            );
+            template.isDefault = true;
+            template.updatedBy = req.user.email;
+            await template.save();
+            logger.info(
+                `Prompt template "${template.name}" made the ${template.purpose} default by ${req.user.email}`,
+            );
+        }
+        return res.json({
+            success: true,
+            data: { template: summarizeTemplate(template) },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Render a version with the given variables, to check a template before using it
+router.post("/:id/preview", loadTemplate, async (req, res, next) => {
+    try {
+        const { version, projectKey, issueKey = "PROJ-123", title, context } =
+            req.body || {};
+        const entry = getTemplateVersion(
+            req.template,
+            version === undefined ? undefined : Number(version),
+        );
+        if (!entry) {
+            return res
+                .status(404)
+                .json({ success: false, error: "Version not found!" });
+        }
+        const project = projectKey
+            ? await Project.findOne({
+                  projectKey: String(projectKey).trim().toUpperCase(),
+              })
+            : null;
+        const variables = buildTemplateVariables({
+            issueKey,
+            title: title || "Example issue",
+            context: context || "Issue description and acceptance criteria",
+            project,
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                version: entry.version,
+                variables,
+                system: renderTemplate(entry.systemPrompt, variables),
+                user: renderTemplate(entry.userPrompt, variables),
+            },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+// Archive a template; its versions stay so generations made with it remain traceable
+router.delete("/:id", loadTemplate, async (req, res, next) => {
+    try {
+        const template = req.template;
+        if (template.isDefault) {
+            return res.status(400).json({
+                success: false,
+                error: "Make another template the default before archiving this one",
+            });
+        }
+        const projects = await findProjectsUsing(template);
+        if (projects.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `The template is used by projects: ${projects.map((project) => project.projectKey).join(", ")}`,
+            });
+        }
+        template.archived = true;
+        template.updatedBy = req.user.email;
+        await template.save();
+
+        logger.info(
+            `Prompt template "${template.name}" archived by ${req.user.email}`,
+        );
+        return res.json({
+            success: true,
+            data: { template: summarizeTemplate(template) },
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+export default router;
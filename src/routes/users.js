@@ -0,0 +1,113 @@
+import {Router} from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/authorize.js';
+import Project from '../models/Project.js';
+import { getQuotaUsage } from '../services/quotaService.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+const ROLES = ['admin', 'lead', 'member', 'viewer'];
+
+//GET: /users - List users and their roles (admin only)
+router.get('/', requireAuth, requireAdmin, async (req, res, next) => {
+    try {
+        const users = await User.find({})
+            .select('email name role generationsPerHour monthlyBudgetUsd createdAt')
+            .sort({email: 1});
+        return res.json({success: true, data: {users}});
+    } catch (error) {
+        next(error);
+    }
+})
+
+//GET: /users/me/quota - Current user's rate limit and budgets, optionally for a project
+router.get('/me/quota', requireAuth, async (req, res, next) => {
+    try {
+        const projectKey = req.query.projectKey?.trim().toUpperCase();
+        const project = projectKey ? await Project.findOne({projectKey}) : null;
+        const quota = await getQuotaUsage(req.user, project);
+        return res.json({success: true, data: {quota}});
+    } catch (error) {
+        next(error);
+    }
+})
+
+//PATCH: /users/:id/role - Change a user's global role (admin only)
+router.patch('/:id/role', requireAuth, requireAdmin, async (req, res, next) => {
+    try {
+        const {role} = req.body || {};
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${ROLES.join(', ')}`});
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({success: false, error: 'User not found'});
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({success: false, error: 'User not found'});
+        }
+        // Keep at least one way back in: admins can't demote themselves
+        if (String(user._id) === req.user.userId && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot remove your own admin role'});
+        }
+
+        user.role = role;
+        await user.save();
+        logger.info(`User ${user.email} role changed to ${role} by ${req.user.email}`);
+
+        return res.json({
+            success: true,
+            data: {
+                user: {
+                    id: user._id,
+                    email: user.email,
+                    name: user.name,
+                    role: user.role,
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+})
+
+//PATCH: /users/:id/quota - Override a user's generation quotas, null restores the defaults (admin only)
+router.patch('/:id/quota', requireAuth, requireAdmin, async (req, res, next) => {
+    try {
+        const updates = {};
+        for (const field of ['generationsPerHour', 'monthlyBudgetUsd']) {
+            const value = req.body?.[field];
+            if (value === undefined) continue;
+            if (value !== null && (typeof value !== 'number' || value < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a non-negative number or null`});
+            }
+            updates[field] = value;
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({success: false, error: 'User not found'});
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, {$set: updates}, {new: true})
+            .select('email name role generationsPerHour monthlyBudgetUsd');
+        if (!user) {
+            return res.status(404).json({success: false, error: 'User not found'});
+        }
+        logger.info(`User ${user.email} quota changed by ${req.user.email}: ${JSON.stringify(updates)}`);
+
+        return res.json({success: true, data: {user}});
+    } catch (error) {
+        next(error);
+    }
+})
+
+export default router;
@@ -0,0 +1,181 @@
+import Generation from '../models/Generation.js';
+
+/**
+ * Aggregation pipelines over Generation documents for usage and cost analytics
+ */
+
+export const INTERVALS = ['day', 'week', 'month'];
+export const DIMENSIONS = ['user', 'project', 'provider', 'model'];
+
+// Field each breakdown dimension groups on (project is resolved to its key)
+const DIMENSION_FIELDS = {
+  user: '$email',
+  project: '$projectInfo.projectKey',
+  // Generations made before providers were introduced all used OpenAI
+  provider: { $ifNull: ['$provider', 'openai'] },
+  model: '$model',
+};
+
+/**
+ * Build the $match stage shared by all analytics queries
+ * @param {Object} options
+ * @param {Date} [options.from] - Inclusive start of the createdAt range
+ * @param {Date} [options.to] - Exclusive end of the createdAt range
+ * @param {Array} [options.projects] - Ids of the only projects to include, all generations when omitted
+ * @returns {Object} Match filter
+ */
+function buildMatch({ from, to, projects } = {}) {
+  const match = {};
+  if (projects) match.project = { $in: projects };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+  return match;
+}
+
+// Join the project so results can show its key instead of an ObjectId
+const projectLookup = [
+  { $lookup: { from: 'projects', localField: 'project', foreignField: '_id', as: 'projectInfo' } },
+  { $unwind: { path: '$projectInfo', preserveNullAndEmptyArrays: true } },
+];
+
+const spendAccumulators = {
+  generations: { $sum: 1 },
+  cost: { $sum: { $ifNull: ['$cost', 0] } },
+  unknownCostGenerations: { $sum: { $cond: [{ $eq: ['$costKnown', false] }, 1, 0] } },
+  promptTokens: { $sum: { $ifNull: ['$tokenUsage.promptTokens', 0] } },
+  completionTokens: { $sum: { $ifNull: ['$tokenUsage.completionTokens', 0] } },
+  totalTokens: { $sum: { $ifNull: ['$tokenUsage.totalTokens', 0] } },
+};
+
+function roundCost(cost) {
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Cost and token spend per period, optionally broken down by a dimension
+ * @param {Object} options
+ * @param {string} options.interval - 'day', 'week' or 'month'
+ * @param {string} [options.groupBy] - 'user', 'project', 'provider' or 'model'
+ * @returns {Promise<Array<Object>>} Rows sorted by period
+ */
+export async function getSpendOverTime({ interval = 'day', groupBy = null, from, to, projects } = {}) {
+  const groupId = {
+    period: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+  };
+  if (groupBy) groupId.group = DIMENSION_FIELDS[groupBy];
+
+  const rows = await Generation.aggregate([
+    { $match: buildMatch({ from, to, projects }) },
+    ...(groupBy === 'project' ? projectLookup : []),
+    { $group: { _id: groupId, ...spendAccumulators } },
+    { $sort: { '_id.period': 1, '_id.group': 1 } },
+  ]);
+
+  return rows.map(({ _id, ...totals }) => ({
+    period: _id.period,
+    ...(groupBy ? { [groupBy]: _id.group ?? null } : {}),
+    ...totals,
+    cost: roundCost(totals.cost),
+  }));
+}
+
+/**
+ * Total cost and token spend per user, project, provider or model
+ * @param {Object} options
+ * @param {string} options.by - 'user', 'project', 'provider' or 'model'
+ * @returns {Promise<Array<Object>>} Rows sorted by cost, highest first
+ */
+export async function getSpendBreakdown({ by = 'user', from, to, projects } = {}) {
+  const rows = await Generation.aggregate([
+    { $match: buildMatch({ from, to, projects }) },
+    ...(by === 'project' ? projectLookup : []),
+    { $group: { _id: DIMENSION_FIELDS[by], ...spendAccumulators } },
+    { $sort: { cost: -1, _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, ...totals }) => ({
+    [by]: _id ?? null,
+    ...totals,
+    cost: roundCost(totals.cost),
+  }));
+}
+
+/**
+ * Failure rate of finished generations and the most common error messages
+ * @param {Object} options
+ * @param {number} [options.limit] - Number of top errors to return
+ * @returns {Promise<Object>} { completed, failed, failureRate, topErrors }
+ */
+export async function getFailureStats({ from, to, limit = 10, projects } = {}) {
+  const [result] = await Generation.aggregate([
+    { $match: { ...buildMatch({ from, to, projects }), status: { $in: ['completed', 'failed'] } } },
+    {
+      $facet: {
+        counts: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        topErrors: [
+          { $match: { status: 'failed' } },
+          { $group: { _id: '$error', count: { $sum: 1 }, lastSeenAt: { $max: '$createdAt' } } },
+          { $sort: { count: -1, lastSeenAt: -1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  const counts = Object.fromEntries(result.counts.map((entry) => [entry._id, entry.count]));
+  const completed = counts.completed || 0;
+  const failed = counts.failed || 0;
+  const finished = completed + failed;
+
+  return {
+    completed,
+    failed,
+    failureRate: finished > 0 ? Math.round((failed / finished) * 10000) / 10000 : 0,
+    topErrors: result.topErrors.map((entry) => ({
+      error: entry._id || 'Unknown error',
+      count: entry.count,
+      lastSeenAt: entry.lastSeenAt,
+    })),
+  };
+}
+
+/**
+ * p50/p95 generation latency of completed generations, overall or per dimension.
+ * Percentiles are computed by the database ($percentile, MongoDB 7.0+) so no
+ * group's durations have to be collected in memory.
+ * @param {Object} options
+ * @param {string} [options.groupBy] - 'user', 'project', 'provider' or 'model'
+ * @returns {Promise<Array<Object>>} Rows with count, p50, p95 and max seconds
+ */
+export async function getLatencyStats({ groupBy = null, from, to, projects } = {}) {
+  const rows = await Generation.aggregate([
+    {
+      $match: {
+        ...buildMatch({ from, to, projects }),
+        status: 'completed',
+        generationTimeSeconds: { $ne: null },
+      },
+    },
+    ...(groupBy === 'project' ? projectLookup : []),
+    {
+      $group: {
+        _id: groupBy ? DIMENSION_FIELDS[groupBy] : null,
+        count: { $sum: 1 },
+        percentiles: { $percentile: { input: '$generationTimeSeconds', p: [0.5, 0.95], method: 'approximate' } },
+        maxSeconds: { $max: '$generationTimeSeconds' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, count, percentiles, maxSeconds }) => ({
+    ...(groupBy ? { [groupBy]: _id ?? null } : {}),
+    count,
+    p50Seconds: percentiles[0],
+    p95Seconds: percentiles[1],
+    maxSeconds,
+  }));
+}
@@ -0,0 +1,264 @@
+import Batch from '../models/Batch.js';
+import Generation from '../models/Generation.js';
+import Project from '../models/Project.js';
+import { logger } from '../utils/logger.js';
+import { QuotaError, reserveGeneration } from './quotaService.js';
+import { enqueueGeneration } from './generationWorker.js';
+import { resolveLLMSelection } from './llm/index.js';
+
+/**
+ * Batch generation: one generation per issue of a JQL search, epic or sprint.
+ * A batch feeds its issues a few at a time into the generation worker's queue,
+ * and its progress is read from the generations it created.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9]+-\d+$/;
+
+// Batches whose queued issues are being worked through by this process
+const activeBatches = new Set();
+
+// Error for invalid batch requests
+export class BatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Build the JQL selecting the issues of a batch
+ * @param {Object} options - Exactly one of jql, epicKey and sprintId
+ * @param {string} [options.jql] - JQL query
+ * @param {string} [options.epicKey] - Key of an epic, its child issues are selected
+ * @param {number|string} [options.sprintId] - Id of a sprint, its issues are selected
+ * @returns {Object} { type, value, jql }
+ * @throws {BatchError} When none or several are given, or the value is invalid
+ */
+export function buildBatchSource({ jql, epicKey, sprintId }) {
+  const given = [jql, epicKey, sprintId].filter((value) => value !== undefined && value !== null && value !== '');
+  if (given.length !== 1) {
+    throw new BatchError('Provide exactly one of jql, epicKey or sprintId');
+  }
+
+  if (jql !== undefined && jql !== null && jql !== '') {
+    if (typeof jql !== 'string' || !jql.trim()) {
+      throw new BatchError('jql must be a non-empty string');
+    }
+    return { type: 'jql', value: jql.trim(), jql: jql.trim() };
+  }
+
+  // Sub-tasks are left out of epics and sprints, they include the test sub-tasks published from generations
+  if (epicKey) {
+    const key = String(epicKey).trim().toUpperCase();
+    if (!ISSUE_KEY_PATTERN.test(key)) {
+      throw new BatchError(`Invalid epic key: "${epicKey}"`);
+    }
+    return { type: 'epic', value: key, jql: `parent = ${key} AND issuetype not in subTaskIssueTypes() ORDER BY key ASC` };
+  }
+
+  const id = Number(sprintId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new BatchError(`Invalid sprint id: "${sprintId}"`);
+  }
+  return { type: 'sprint', value: String(id), jql: `sprint = ${id} AND issuetype not in subTaskIssueTypes() ORDER BY key ASC` };
+}
+
+/**
+ * Find issues that already have a generation in the given mode that is in
+ * progress or completed within the last days
+ * @param {Array<string>} issueKeys - Issues of the batch
+ * @param {string} mode - 'manual' or 'auto'
+ * @param {number} skipRecentDays - Age limit of completed generations, 0 only skips those in progress
+ * @returns {Promise<Map<string, string>>} Skip reason per issue key
+ */
+export async function findIssuesToSkip(issueKeys, mode, skipRecentDays) {
+  const conditions = [{ status: { $in: ['pending', 'running'] } }];
+  if (skipRecentDays > 0) {
+    conditions.push({ status: 'completed', completedAt: { $gte: new Date(Date.now() - skipRecentDays * DAY_MS) } });
+  }
+  const generations = await Generation.find({ issueKey: { $in: issueKeys }, mode, $or: conditions })
+    .select('issueKey status completedAt')
+    .sort({ createdAt: -1 });
+
+  const reasons = new Map();
+  for (const generation of generations) {
+    if (reasons.has(generation.issueKey)) continue;
+    reasons.set(generation.issueKey, generation.status === 'completed'
+      ? `Generation ${generation._id} completed on ${generation.completedAt.toISOString().slice(0, 10)}`
+      : `Generation ${generation._id} is already ${generation.status}`);
+  }
+  return reasons;
+}
+
+/**
+ * Count the batches of a user that still have issues queued or generations in progress
+ * @param {string} email - Email of the user
+ * @returns {Promise<number>}
+ */
+export async function countActiveBatches(email) {
+  const [queued, inProgress] = await Promise.all([
+    Batch.distinct('_id', { email, 'items.status': 'queued' }),
+    Generation.distinct('batch', { email, batch: { $ne: null }, status: { $in: ['pending', 'running'] } }),
+  ]);
+  return new Set([...queued, ...inProgress].map(String)).size;
+}
+
+async function updateItem(batchId, issueKey, fields) {
+  const update = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`items.$.${field}`, value]));
+  await Batch.updateOne({ _id: batchId, 'items.issueKey': issueKey }, { $set: update });
+}
+
+// Create and run the generation of one batch issue
+async function runBatchItem(batch, item) {
+  let generation = null;
+  try {
+    const project = item.project ? await Project.findById(item.project) : null;
+    // A project that pins its provider makes the issue fail rather than switch providers
+    const llm = resolveLLMSelection({
+      project,
+      provider: batch.llm?.provider || null,
+      model: batch.llm?.model || null,
+    });
+
+    // Budgets are checked per issue, so a batch stops spending once one is exhausted
+    const pending = new Generation({
+      issueKey: item.issueKey,
+      email: batch.email,
+      project: project ? project._id : null,
+      batch: batch._id,
+      mode: batch.mode,
+      provider: llm.provider,
+      requestedModel: llm.model,
+      includeImages: batch.includeImages,
+      status: 'pending',
+      stage: 'queued',
+    });
+    try {
+      await reserveGeneration(pending, { userId: batch.userId, email: batch.email }, project, { rateLimit: false });
+    } catch (error) {
+      if (!(error instanceof QuotaError)) throw error;
+      await updateItem(batch._id, item.issueKey, { status: 'skipped', skipReason: error.message });
+      return;
+    }
+
+    generation = pending;
+    await updateItem(batch._id, item.issueKey, { status: 'started', generation: generation._id });
+
+    if (project) {
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { totalGenerations: await Generation.countDocuments({ project: project._id }) } },
+      );
+    }
+  } catch (error) {
+    logger.error(`Batch ${batch._id} could not start ${item.issueKey}: ${error.message}`);
+    if (!generation) {
+      await updateItem(batch._id, item.issueKey, { status: 'failed', error: error.message });
+    }
+    return;
+  }
+
+  // The worker's concurrency limit applies to batch and interactive jobs alike;
+  // failures are recorded on the generation itself
+  await enqueueGeneration(generation._id);
+}
+
+async function runBatch(batchId) {
+  const batch = await Batch.findById(batchId);
+  if (!batch) {
+    logger.warn(`Batch ${batchId} not found`);
+    return;
+  }
+
+  // Each lane takes the next queued issue once its current one is done
+  const queued = batch.items.filter((item) => item.status === 'queued');
+  const lanes = Array.from({ length: Math.min(batch.concurrency, queued.length) }, async () => {
+    while (queued.length > 0) {
+      await runBatchItem(batch, queued.shift());
+    }
+  });
+  await Promise.all(lanes);
+  logger.info(`Batch ${batchId} finished its ${batch.items.length} issues`);
+}
+
+// Start working through the queued issues of a batch
+export function startBatch(batchId) {
+  const id = String(batchId);
+  if (activeBatches.has(id)) return;
+  activeBatches.add(id);
+  runBatch(id)
+    .catch((error) => {
+      logger.error(`Batch ${id} crashed: ${error.message}`);
+    })
+    .finally(() => {
+      activeBatches.delete(id);
+    });
+}
+
+// Restart batches with queued issues after a server restart; their started
+// generations are resumed by the generation worker
+export async function resumeBatches() {
+  const batches = await Batch.find({ 'items.status': 'queued' }).select('_id');
+  batches.forEach((batch) => startBatch(batch._id));
+  logger.info(`Resumed ${batches.length} batches`);
+}
+
+/**
+ * Progress of a batch with per issue status and a roll-up of cost and failures
+ * @param {Object} batch - Batch document
+ * @returns {Promise<Object>} { id, source, mode, concurrency, status, createdAt, summary, items }
+ */
+export async function getBatchProgress(batch) {
+  const generationIds = batch.items.filter((item) => item.generation).map((item) => item.generation);
+  const generations = await Generation.find({ _id: { $in: generationIds } })
+    .select('status stage error model cost costKnown tokenUsage completedAt');
+  const byId = new Map(generations.map((generation) => [String(generation._id), generation]));
+
+  // Started items report their generation's status: pending, running, completed or failed
+  const items = batch.items.map((item) => {
+    const generation = item.generation ? byId.get(String(item.generation)) : null;
+    return {
+      issueKey: item.issueKey,
+      summary: item.summary || null,
+      status: generation ? generation.status : item.status,
+      stage: generation?.stage || null,
+      generationId: item.generation || null,
+      skipReason: item.skipReason || null,
+      error: generation?.error || item.error || null,
+      model: generation?.model || null,
+      cost: generation?.cost ?? null,
+      completedAt: generation?.completedAt || null,
+    };
+  });
+
+  const count = (...statuses) => items.filter((item) => statuses.includes(item.status)).length;
+  const charged = generations.filter((generation) => generation.cost !== undefined && generation.cost !== null);
+  const cost = charged.reduce((sum, generation) => sum + generation.cost, 0);
+  const finished = count('completed', 'failed', 'skipped');
+
+  return {
+    id: batch._id,
+    source: batch.source,
+    mode: batch.mode,
+    concurrency: batch.concurrency,
+    status: finished === items.length ? 'completed' : 'running',
+    createdAt: batch.createdAt,
+    createdBy: batch.email,
+    summary: {
+      total: items.length,
+      queued: count('queued', 'pending'),
+      running: count('running'),
+      completed: count('completed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      cost: Math.round(cost * 1_000_000) / 1_000_000,
+      costKnown: generations.every((generation) => generation.costKnown !== false),
+      totalTokens: generations.reduce((sum, generation) => sum + (generation.tokenUsage?.totalTokens || 0), 0),
+      failures: items
+        .filter((item) => item.status === 'failed')
+        .map((item) => ({ issueKey: item.issueKey, error: item.error })),
+    },
+    items,
+  };
+}
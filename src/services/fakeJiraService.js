@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { fakeServicesConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import JiraService from './jiraService.js';
+
+/**
+ * Stand-in for JiraService answering from recorded fixtures: issues are read
+ * from <fixturesDir>/jira/issues/<KEY>.json (REST API v3 issue responses) and
+ * attachments from <fixturesDir>/jira/attachments. Writes (comments,
+ * sub-tasks, attachments) are kept in memory and recorded in `calls`.
+ */
+export default class FakeJiraService {
+  constructor({ fixturesDir = fakeServicesConfig.fixturesDir, issues = [] } = {}) {
+    this.baseUrl = 'https://jira.example.test';
+    this.fixturesDir = path.resolve(fixturesDir, 'jira');
+    this.extraIssues = issues;
+    this.reset();
+  }
+
+  // Forget issues added at runtime, written data and recorded calls
+  reset() {
+    this.issues = new Map(this.extraIssues.map((issue) => [issue.key, issue]));
+    this.comments = new Map();
+    this.subtasks = new Map();
+    this.attachments = new Map();
+    this.calls = [];
+    this.nextId = 10000;
+  }
+
+  // Serve an issue that has no fixture file, or replace one
+  addIssue(issue) {
+    this.issues.set(issue.key, issue);
+  }
+
+  findIssue(issueKey) {
+    if (this.issues.has(issueKey)) return this.issues.get(issueKey);
+    const file = path.join(this.fixturesDir, 'issues', `${issueKey}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  // Every issue of the fixtures and the ones added at runtime
+  listIssues() {
+    const dir = path.join(this.fixturesDir, 'issues');
+    const keys = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5))
+      : [];
+    return [...new Set([...keys, ...this.issues.keys()])].sort().map((key) => this.findIssue(key));
+  }
+
+  record(method, target, body) {
+    this.calls.push({ method, target, body });
+  }
+
+  async getIssue(issueKey) {
+    const normalizedKey = issueKey.trim().toUpperCase();
+    if (!/^[A-Z]+-\d+$/.test(normalizedKey)) {
+      return {
+        success: false,
+        error: `Invalid issue key format: "${issueKey}". Expected format: PROJECT-NUMBER (e.g., TES-1, KAN-123).`,
+      };
+    }
+    const issue = this.findIssue(normalizedKey);
+    if (!issue) {
+      return { success: false, error: `Issue ${normalizedKey} not found or you don't have permission to view it.` };
+    }
+    logger.info(`Served fake JIRA issue: ${normalizedKey}`);
+    return { success: true, issue: structuredClone(issue) };
+  }
+
+  getIssueUrl(issueKey) {
+    return `${this.baseUrl}/browse/${issueKey}`;
+  }
+
+  // The JQL is only matched on "project = KEY", any other query returns every issue
+  async searchIssues(jql, { maxResults = 100 } = {}) {
+    this.record('POST', 'search', { jql });
+    const projectKey = jql.match(/project\s*=\s*"?([A-Z][A-Z0-9]+)"?/i)?.[1]?.toUpperCase();
+    const issues = this.listIssues().filter((issue) => !projectKey || issue.key.startsWith(`${projectKey}-`));
+    return { success: true, issues: issues.slice(0, maxResults), hasMore: issues.length > maxResults };
+  }
+
+  async addComment(issueKey, adfBody) {
+    this.record('POST', `${issueKey}/comment`, adfBody);
+    const id = String(this.nextId++);
+    this.comments.set(id, { issueKey, body: adfBody });
+    return { success: true, status: 201, data: { id } };
+  }
+
+  async updateComment(issueKey, commentId, adfBody) {
+    this.record('PUT', `${issueKey}/comment/${commentId}`, adfBody);
+    if (!this.comments.has(String(commentId))) {
+      return { success: false, status: 404, error: 'Comment not found' };
+    }
+    this.comments.set(String(commentId), { issueKey, body: adfBody });
+    return { success: true, status: 200, data: { id: String(commentId) } };
+  }
+
+  async createSubtask(parentKey, issueType, fields) {
+    this.record('POST', `${parentKey}/subtask`, { issueType, fields });
+    const id = String(this.nextId++);
+    const key = `${parentKey.split('-')[0]}-${id}`;
+    this.subtasks.set(key, { parentKey, issueType, fields });
+    return { success: true, status: 201, data: { id, key } };
+  }
+
+  async updateIssue(issueKey, fields) {
+    this.record('PUT', issueKey, fields);
+    if (!this.subtasks.has(issueKey)) {
+      return { success: false, status: 404, error: 'Issue does not exist or you do not have permission to see it.' };
+    }
+    Object.assign(this.subtasks.get(issueKey).fields, fields);
+    return { success: true, status: 204, data: null };
+  }
+
+  async addAttachment(issueKey, buffer, filename, mimeType) {
+    this.record('POST', `${issueKey}/attachments`, { filename, mimeType, size: buffer.length });
+    const id = String(this.nextId++);
+    this.attachments.set(id, { issueKey, filename, mimeType, buffer });
+    return { success: true, status: 200, data: [{ id, filename, size: buffer.length }] };
+  }
+
+  async deleteAttachment(attachmentId) {
+    this.record('DELETE', `attachment/${attachmentId}`);
+    if (!this.attachments.delete(String(attachmentId))) {
+      return { success: false, status: 404, error: 'Attachment not found' };
+    }
+    return { success: true, status: 204, data: null };
+  }
+
+  async downloadAttachment(attachment) {
+    const file = path.join(this.fixturesDir, 'attachments', attachment.filename);
+    if (!fs.existsSync(file)) {
+      return { success: false, error: `Failed to download attachment ${attachment.filename}: 404` };
+    }
+    return { success: true, buffer: fs.readFileSync(file), mimeType: attachment.mimeType };
+  }
+
+  extractTextFromADF(adf) {
+    return JiraService.prototype.extractTextFromADF.call(this, adf);
+  }
+}
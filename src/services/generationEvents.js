@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process pub/sub for generation job progress.
+ * The worker publishes stage changes, content deltas and the final outcome;
+ * the SSE stream route subscribes per generation id.
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Content streamed so far for each running generation, so late subscribers can catch up
+const buffers = new Map();
+
+export function publishStage(generationId, stage) {
+  emitter.emit(String(generationId), { type: 'stage', data: { stage } });
+}
+
+export function publishDelta(generationId, delta) {
+  const id = String(generationId);
+  buffers.set(id, (buffers.get(id) || '') + delta);
+  emitter.emit(id, { type: 'delta', data: { delta } });
+}
+
+// Publish the final 'completed' or 'failed' event and drop the buffered content
+export function publishEnd(generationId, type, data) {
+  const id = String(generationId);
+  buffers.delete(id);
+  emitter.emit(id, { type, data });
+}
+
+export function getBufferedContent(generationId) {
+  return buffers.get(String(generationId)) || '';
+}
+
+// Subscribe to events of one generation, returns the unsubscribe function
+export function subscribe(generationId, listener) {
+  const id = String(generationId);
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
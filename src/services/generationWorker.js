@@ -0,0 +1,281 @@
+import Generation from '../models/Generation.js';
+import Project from '../models/Project.js';
+import { generationConfig, visionConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { checkIfUiStory } from '../utils/uiDetection.js';
+import { buildGenerationContext } from '../utils/contextBuilder.js';
+import { selectImageAttachments } from '../utils/attachmentUtils.js';
+import { parseTestSuiteJson, renderTestSuiteMarkdown } from '../utils/testSuite.js';
+import { AUTOMATION_TARGETS } from './openAIService.js';
+import { getJiraService, getOpenAIService } from './index.js';
+import { buildPrompt, getPromptPurpose } from './promptService.js';
+import { publishDelta, publishEnd, publishStage } from './generationEvents.js';
+
+/**
+ * In-process background worker for test case generation jobs.
+ * Jobs are Generation documents: the route saves them as 'pending' and the
+ * worker moves them through 'running' to 'completed' or 'failed'.
+ */
+
+const queue = [];
+let activeJobs = 0;
+
+/**
+ * Queue a pending generation for processing
+ * @param {string} generationId - Id of the pending Generation
+ * @returns {Promise<void>} Resolves once the job is done, failures are recorded on the generation
+ */
+export function enqueueGeneration(generationId) {
+  return new Promise((resolve) => {
+    queue.push({ generationId: String(generationId), done: resolve });
+    setImmediate(processQueue);
+  });
+}
+
+function processQueue() {
+  while (activeJobs < generationConfig.workerConcurrency && queue.length > 0) {
+    const { generationId, done } = queue.shift();
+    activeJobs++;
+    runGeneration(generationId)
+      .catch((error) => {
+        logger.error(`Generation job ${generationId} crashed: ${error.message}`);
+      })
+      .finally(() => {
+        activeJobs--;
+        done();
+        processQueue();
+      });
+  }
+}
+
+// Download the issue's image attachments within the vision limits, skipping failed downloads
+async function downloadIssueImages(jira, issue) {
+  const selected = selectImageAttachments(issue.fields?.attachment, visionConfig);
+  const images = [];
+  for (const attachment of selected) {
+    const download = await jira.downloadAttachment(attachment);
+    if (!download.success) {
+      logger.warn(`Skipping image attachment ${attachment.filename}: ${download.error}`);
+      continue;
+    }
+    if (download.buffer.length > visionConfig.maxImageBytes) {
+      logger.warn(`Skipping image attachment ${attachment.filename}: larger than ${visionConfig.maxImageBytes} bytes`);
+      continue;
+    }
+    images.push({
+      attachment: {
+        attachmentId: attachment.id,
+        filename: attachment.filename,
+        mimeType: download.mimeType,
+        size: download.buffer.length,
+      },
+      mimeType: download.mimeType,
+      data: download.buffer.toString('base64'),
+    });
+  }
+  return images;
+}
+
+// Mark a generation as failed with the given error message
+async function failGeneration(generation, message) {
+  generation.status = 'failed';
+  generation.stage = undefined;
+  generation.error = message;
+  generation.completedAt = new Date();
+  await generation.save();
+  publishEnd(generation._id, 'failed', { error: message });
+}
+
+/**
+ * Run a single generation job: fetch the JIRA issue, call OpenAI and store the result
+ * @param {string} generationId - Id of a pending Generation document
+ */
+export async function runGeneration(generationId) {
+  // Claim the job so it is never processed twice
+  const generation = await Generation.findOneAndUpdate(
+    { _id: generationId, status: 'pending' },
+    { $set: { status: 'running', stage: 'fetching_issue', startedAt: new Date() } },
+    { new: true },
+  );
+  if (!generation) {
+    logger.warn(`Generation ${generationId} is no longer pending, skipping`);
+    return;
+  }
+  publishStage(generation._id, generation.stage);
+
+  try {
+    await executeGeneration(generation);
+  } catch (error) {
+    logger.error(`Generation ${generationId} failed: ${error.message}`);
+    await failGeneration(generation, error.message || 'Generation failed');
+  }
+}
+
+async function executeGeneration(generation) {
+  const { issueKey } = generation;
+  const autoMode = generation.mode === 'auto';
+
+  // Keep track of start time
+  const startTime = Date.now();
+
+  // Start fetching jira issue
+  const jira = getJiraService();
+  const issueResult = await jira.getIssue(issueKey);
+
+  if (!issueResult.success) {
+    await failGeneration(generation, issueResult.error || 'Failed to fetch issue from JIRA');
+    return;
+  }
+  const issue = issueResult.issue;
+  const fields = issue.fields || {};
+  const summary = fields.summary || '';
+  // Generations queued before providers were introduced use the defaults
+  const openai = getOpenAIService({ provider: generation.provider, model: generation.requestedModel });
+  const { context, truncated, sections } = buildGenerationContext(issue, jira, openai.model);
+  if (truncated) {
+    const cut = sections.filter((section) => section.truncated).map((section) => section.name);
+    logger.warn(`Context for ${issueKey} truncated to fit ${generationConfig.contextTokenBudget} tokens: ${cut.join(', ')}`);
+  }
+
+  // Pick the automation target: Playwright for UI stories, API tests otherwise
+  let automationTarget = null;
+  if (autoMode) {
+    const isUiStory = await checkIfUiStory(issue, null, (adf) => jira.extractTextFromADF(adf));
+    automationTarget = isUiStory ? 'playwright' : 'api';
+    logger.info(`Issue ${issueKey} detected as ${isUiStory ? 'UI' : 'backend'} story, generating ${automationTarget} tests`);
+  }
+
+  // Render the project's prompt template, or the default one, and record which version was used
+  const project = generation.project ? await Project.findById(generation.project) : null;
+  const prompt = await buildPrompt({
+    purpose: getPromptPurpose(autoMode, automationTarget),
+    project,
+    issueKey,
+    title: summary,
+    context,
+  });
+  generation.promptTemplate = prompt.template || undefined;
+
+  // Send image attachments (mockups, screenshots) unless the request opted out
+  const images = generation.includeImages === false ? [] : await downloadIssueImages(jira, issue);
+  generation.imageAttachments = images.map((image) => image.attachment);
+
+  generation.stage = 'generating';
+  await generation.save();
+  publishStage(generation._id, generation.stage);
+
+  let content;
+  let testSuite = null;
+  let tokenUsage = null;
+  let cost = null;
+  let model = null;
+
+  try {
+    model = openai.model;
+    logger.info(`Generating test cases for issue ${issueKey} using ${openai.provider.name} ${openai.model} (mode: ${generation.mode})`);
+    // Manual suites stream as JSON that is rendered to markdown once complete, so only
+    // automation code is forwarded as deltas; manual subscribers get it with `completed`
+    const result = await openai.generateTestCasesStream(
+      context,
+      issueKey,
+      autoMode,
+      images,
+      automationTarget,
+      autoMode ? (delta) => publishDelta(generation._id, delta) : undefined,
+      prompt,
+    );
+    content = result.content;
+    tokenUsage = result.tokenUsage;
+    cost = result.cost;
+    model = result.model;
+  } catch (error) {
+    logger.error(`OpenAI generation failed: ${error.message}`);
+    await failGeneration(generation, `OpenAI generation failed: ${error.message}`);
+    return;
+  }
+
+  // Manual generations answer with a structured test suite, the markdown is rendered from it
+  if (!autoMode) {
+    const parsed = parseTestSuiteJson(content);
+    if (!parsed.valid) {
+      logger.error(`Invalid test suite for ${issueKey}: ${parsed.errors.join('; ')}`);
+      // The call was paid for even though its output is unusable
+      generation.provider = openai.provider.name;
+      generation.model = model;
+      generation.cost = cost;
+      generation.costKnown = cost !== null;
+      generation.tokenUsage = tokenUsage;
+      await failGeneration(generation, `Model returned an invalid test suite: ${parsed.errors.slice(0, 3).join('; ')}`);
+      return;
+    }
+    testSuite = parsed.testSuite;
+    content = renderTestSuiteMarkdown(testSuite, {
+      fallbackTitle: `Test Cases for ${issueKey}: ${summary || 'Untitled'}`,
+    });
+  }
+
+  // Calculate generation duration
+  const generationTimeSeconds = (Date.now() - startTime) / 1000;
+
+  // Update generation document
+  generation.status = 'completed';
+  generation.stage = undefined;
+  generation.completedAt = new Date();
+  generation.generationTimeSeconds = Math.round(generationTimeSeconds * 100) / 100;
+  generation.provider = openai.provider.name;
+  generation.model = model;
+  generation.cost = cost;
+  generation.costKnown = cost !== null;
+  generation.tokenUsage = tokenUsage;
+  if (autoMode) {
+    const target = AUTOMATION_TARGETS[automationTarget];
+    generation.result = {
+      code: {
+        filename: `${issueKey}_${generation._id}.${target.extension}`,
+        content,
+        language: target.language,
+        framework: target.framework,
+      },
+    };
+  } else {
+    generation.result = {
+      markdown: {
+        filename: `${issueKey}_testcases_${generation._id}.md`,
+        content,
+      },
+      testSuite,
+    };
+  }
+  generation.currentVersion = 1;
+  generation.versions = [];
+
+  await generation.save();
+  publishEnd(generation._id, 'completed', {
+    content,
+    testSuite,
+    tokenUsage: generation.tokenUsage,
+    cost: generation.cost,
+    costKnown: generation.costKnown,
+    model: generation.model,
+    generationTimeSeconds: generation.generationTimeSeconds,
+  });
+  logger.info(`Generation ${generation._id} for issue ${issueKey} (${generation.mode}) completed in ${generation.generationTimeSeconds} seconds, cost: ${generation.costKnown ? `$${generation.cost.toFixed(4)}` : 'unknown'}`);
+}
+
+// Re-queue jobs interrupted by a server restart along with those still pending
+export async function resumeGenerationJobs() {
+  const interrupted = await Generation.updateMany(
+    { status: 'running' },
+    { $set: { status: 'pending', stage: 'queued' } },
+  );
+  // Refinements interrupted by the restart no longer hold their reserved cost
+  await Generation.updateMany(
+    { refinementReservedCost: { $ne: null } },
+    { $unset: { refinementReservedCost: 1 } },
+  );
+  const pending = await Generation.find({ status: 'pending' })
+    .sort({ createdAt: 1 })
+    .select('_id');
+  pending.forEach((generation) => enqueueGeneration(generation._id));
+  logger.info(`Resumed ${pending.length} generation jobs (${interrupted.modifiedCount} interrupted)`);
+}
@@ -0,0 +1,45 @@
+import JiraService from "./jiraService.js";
+import FakeJiraService from "./fakeJiraService.js";
+import OpenAIService from "./openAIService.js";
+import { LLMSelectionError } from "./llm/index.js";
+import { fakeServicesConfig, llmConfig } from "../config/index.js";
+
+let jiraService = null;
+
+// Lazy initialize JIRA service, the fixture-backed fake when fake services are enabled
+export function getJiraService() {
+    if (!jiraService) {
+        try {
+            jiraService = fakeServicesConfig.enabled
+                ? new FakeJiraService()
+                : new JiraService();
+        } catch (error) {
+            console.error("Failed to initialize JiraService:", error);
+            throw error;
+        }
+    }
+    return jiraService;
+}
+
+// Lazy initialize one OpenAI service per LLM provider and model
+const openaiServices = new Map();
+
+/**
+ * Get the generation service for an LLM selection
+ * @param {Object} [selection] - { provider, model } from resolveLLMSelection, the defaults when omitted
+ * @returns {OpenAIService} Service bound to the provider and model
+ */
+export function getOpenAIService({ provider, model } = {}) {
+    const key = `${provider || ""}:${model || ""}`;
+    if (!openaiServices.has(key)) {
+        try {
+            openaiServices.set(key, new OpenAIService({ provider, model }));
+        } catch (error) {
+            if (error instanceof LLMSelectionError) throw error;
+            throw new Error(
+                `LLM provider ${provider || llmConfig.defaultProvider} not configured: ${error.message}`,
+            );
+        }
+    }
+    return openaiServices.get(key);
+}
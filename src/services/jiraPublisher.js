@@ -0,0 +1,220 @@
+import { jiraConfig } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { markdownToADF, codeToADF } from '../utils/adf.js';
+import { getGenerationTestCases } from '../utils/testSuite.js';
+import { renderGenerationDocument } from '../utils/documentRenderer.js';
+
+/**
+ * Publish generated test cases back to the JIRA issue they were generated from.
+ * Published artifacts are recorded on the Generation (jiraTickets, pdfAttachments)
+ * so publishing again updates them instead of creating duplicates.
+ */
+
+// JIRA rejects comments longer than 32767 characters
+const MAX_COMMENT_LENGTH = 30000;
+const MAX_SUMMARY_LENGTH = 255;
+
+function getOutput(generation) {
+  return generation.result?.code || generation.result?.markdown || null;
+}
+
+function buildCommentBody(generation) {
+  const output = getOutput(generation);
+  const intro = `Test cases generated by Test Assistant (version ${generation.currentVersion || 1}).`;
+  let content = output?.content || '';
+  if (content.length > MAX_COMMENT_LENGTH) {
+    content = `${content.slice(0, MAX_COMMENT_LENGTH)}\n\n... (truncated, download ${output.filename} for the full document)`;
+  }
+  if (generation.result?.code) {
+    return codeToADF(content, generation.result.code.language, intro);
+  }
+  return markdownToADF(`${intro}\n\n${content}`);
+}
+
+/**
+ * Post the generated content as a comment, or update the previously posted comment
+ * @returns {Promise<Object>} { success, data | error, status }
+ */
+export async function publishComment(generation, jira) {
+  const body = buildCommentBody(generation);
+  const existing = generation.jiraTickets.find((ticket) => ticket.kind === 'comment');
+
+  let result = null;
+  if (existing) {
+    result = await jira.updateComment(generation.issueKey, existing.commentId, body);
+    if (!result.success && result.status !== 404) {
+      return result;
+    }
+  }
+  // Post a new comment when none exists yet or the old one was deleted in JIRA
+  if (!result || !result.success) {
+    result = await jira.addComment(generation.issueKey, body);
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  const commentId = String(result.data.id);
+  const ticket = {
+    kind: 'comment',
+    issueKey: generation.issueKey,
+    issueURL: `${jira.getIssueUrl(generation.issueKey)}?focusedCommentId=${commentId}`,
+    issueType: 'Comment',
+    commentId,
+    createdAt: existing?.commentId === commentId ? existing.createdAt : new Date(),
+    updatedAt: new Date(),
+  };
+  generation.jiraTickets = [
+    ...generation.jiraTickets.filter((t) => t.kind !== 'comment'),
+    ticket,
+  ];
+  await generation.save();
+  logger.info(`Published generation ${generation._id} as comment ${commentId} on ${generation.issueKey}`);
+
+  return { success: true, data: ticket };
+}
+
+/**
+ * Create one Test sub-task per generated test case, updating sub-tasks created earlier.
+ * Sub-tasks of test cases that were removed since an earlier publish are left in JIRA
+ * untouched, since they may have been worked on; they are returned as orphaned.
+ * @returns {Promise<Object>} { success, data: { subtasks, failures, orphaned } | error, status }
+ */
+export async function publishSubtasks(generation, jira) {
+  if (!generation.result?.markdown) {
+    return { success: false, status: 400, error: 'Only manual test case documents can be published as sub-tasks' };
+  }
+
+  const testCases = getGenerationTestCases(generation);
+  if (testCases.length === 0) {
+    return { success: false, status: 400, error: 'No test cases found in the generated document' };
+  }
+
+  const tickets = generation.jiraTickets.filter((ticket) => ticket.kind === 'subtask');
+  const subtasks = [];
+  const failures = [];
+
+  // Sequential on purpose: JIRA rate-limits bursts of issue writes
+  for (const testCase of testCases) {
+    const summary = `[${testCase.id}] ${testCase.title}`.slice(0, MAX_SUMMARY_LENGTH);
+    const details = [
+      `**Category:** ${testCase.category}`,
+      testCase.priority ? `**Priority:** ${testCase.priority}` : null,
+      '',
+      testCase.body,
+    ].filter((line) => line !== null).join('\n');
+    const fields = { summary, description: markdownToADF(details) };
+
+    const existing = tickets.find((ticket) => ticket.testCaseId === testCase.id);
+    let issueKey = existing?.issueKey;
+    let result = null;
+
+    if (existing) {
+      result = await jira.updateIssue(existing.issueKey, fields);
+    }
+    // Create the sub-task when it is new or was deleted in JIRA
+    if (!existing || (!result.success && result.status === 404)) {
+      result = await jira.createSubtask(generation.issueKey, jiraConfig.subtaskIssueType, fields);
+      issueKey = result.data?.key;
+    }
+
+    if (!result.success) {
+      failures.push({ testCaseId: testCase.id, error: result.error });
+      continue;
+    }
+
+    const ticket = {
+      kind: 'subtask',
+      issueKey,
+      issueURL: jira.getIssueUrl(issueKey),
+      issueType: jiraConfig.subtaskIssueType,
+      testCaseId: testCase.id,
+      createdAt: existing?.issueKey === issueKey ? existing.createdAt : new Date(),
+      updatedAt: new Date(),
+    };
+    const index = tickets.indexOf(existing);
+    if (index >= 0) {
+      tickets[index] = ticket;
+    } else {
+      tickets.push(ticket);
+    }
+    subtasks.push(ticket);
+  }
+
+  generation.jiraTickets = [
+    ...generation.jiraTickets.filter((ticket) => ticket.kind !== 'subtask'),
+    ...tickets,
+  ];
+  await generation.save();
+  logger.info(`Published ${subtasks.length} sub-tasks for generation ${generation._id} on ${generation.issueKey} (${failures.length} failed)`);
+
+  const testCaseIds = new Set(testCases.map((testCase) => testCase.id));
+  const orphaned = tickets.filter((ticket) => !testCaseIds.has(ticket.testCaseId));
+  if (orphaned.length > 0) {
+    logger.warn(`Sub-tasks ${orphaned.map((ticket) => ticket.issueKey).join(', ')} of ${generation.issueKey} belong to removed test cases`);
+  }
+
+  if (subtasks.length === 0) {
+    return { success: false, status: 502, error: failures[0]?.error || 'Failed to create sub-tasks' };
+  }
+  return { success: true, data: { subtasks, failures, orphaned } };
+}
+
+/**
+ * Render the generation to PDF and attach it to the issue, replacing an earlier
+ * upload once the new one is recorded
+ * @param {Object} [options]
+ * @param {Object} [options.project] - The generation's project, shown in the PDF header
+ * @returns {Promise<Object>} { success, data | error, status }
+ */
+export async function publishPdfAttachment(generation, jira, { project = null } = {}) {
+  const filename = `${generation.issueKey}_testcases_v${generation.currentVersion || 1}.pdf`;
+  const { body: pdf } = await renderGenerationDocument(generation, 'pdf', {
+    project,
+    issueUrl: jira.getIssueUrl(generation.issueKey),
+  });
+
+  const existing = generation.pdfAttachments[0];
+  const upload = await jira.addAttachment(generation.issueKey, pdf, filename, 'application/pdf');
+  if (!upload.success) {
+    return upload;
+  }
+  // The upload succeeded either way, an unknown id only means it can't be replaced later
+  const uploadedId = upload.data?.[0]?.id;
+  const attachmentId = uploadedId !== undefined && uploadedId !== null ? String(uploadedId) : null;
+  if (!attachmentId) {
+    logger.warn(`JIRA returned no id for ${filename} on ${generation.issueKey}, it won't be removed by later publishes`);
+  }
+
+  // Keep a single comment pointing at the latest PDF
+  const commentBody = markdownToADF(`Test case document attached: **${filename}** (version ${generation.currentVersion || 1}).`);
+  let comment = existing?.commentId
+    ? await jira.updateComment(generation.issueKey, existing.commentId, commentBody)
+    : null;
+  if (!comment || !comment.success) {
+    comment = await jira.addComment(generation.issueKey, commentBody);
+  }
+  if (!comment.success) {
+    logger.warn(`Attached ${filename} to ${generation.issueKey} but failed to comment: ${comment.error}`);
+  }
+
+  const attachment = {
+    attachmentId,
+    filename,
+    attachedAt: new Date(),
+    commentId: comment.success ? String(comment.data.id) : undefined,
+  };
+  generation.pdfAttachments = [attachment];
+  await generation.save();
+  logger.info(`Attached ${filename} to ${generation.issueKey} for generation ${generation._id}`);
+
+  // Only remove the earlier upload once the new one is recorded, so a failure never leaves the issue without a PDF
+  if (existing?.attachmentId && existing.attachmentId !== attachmentId) {
+    const removed = await jira.deleteAttachment(existing.attachmentId);
+    if (!removed.success && removed.status !== 404) {
+      logger.warn(`Failed to remove the earlier attachment ${existing.attachmentId} from ${generation.issueKey}: ${removed.error}`);
+    }
+  }
+
+  return { success: true, data: attachment };
+}
@@ -1,7 +1,10 @@
-import fetch from 'node-fetch';
+import fetch, { Blob, FormData } from 'node-fetch';
 import { jiraConfig } from '../config/index.js';
 import { logger } from '../utils/logger.js';
 
+// Issues requested per JIRA search page, the API's maximum
+const SEARCH_PAGE_SIZE = 100;
+
 
 export default class JiraService {
     constructor(){
@@ -29,7 +32,7 @@ export default class JiraService {
         };
       }
 
-      const url = `${this.baseUrl}/rest/api/3/issue/${normalizedKey}?expand=attachments,comments,issuelinks`;
+      const url = `${this.baseUrl}/rest/api/3/issue/${normalizedKey}?expand=attachments,comments,issuelinks,names`;
       logger.info(`Fetching JIRA issue: ${normalizedKey} from ${this.baseUrl}`);
       
       const response = await fetch(url, {
@@ -85,6 +88,157 @@ export default class JiraService {
     }
   }
 
+  // Send a request to the JIRA REST API and normalise the result to { success, data | error, status }
+  async request(method, path, { body, headers = {} } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    try {
+      const isForm = body instanceof FormData;
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': this.authHeader,
+          'Accept': 'application/json',
+          ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+        },
+        body: body && !isForm ? JSON.stringify(body) : body,
+      });
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = text;
+      }
+
+      if (!response.ok) {
+        let errorMessage = `JIRA API error: ${response.status}`;
+        if (data?.errorMessages?.length > 0) {
+          errorMessage = data.errorMessages[0];
+        } else if (data?.errors && Object.keys(data.errors).length > 0) {
+          errorMessage = Object.entries(data.errors).map(([field, message]) => `${field}: ${message}`).join(', ');
+        } else if (data?.message) {
+          errorMessage = data.message;
+        }
+        logger.error(`JIRA API error for ${method} ${path}: ${response.status} - ${errorMessage}`);
+        return { success: false, status: response.status, error: errorMessage };
+      }
+
+      return { success: true, status: response.status, data };
+    } catch (error) {
+      logger.error(`JIRA request ${method} ${path} failed: ${error.message}`);
+      if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        return { success: false, error: `Cannot connect to JIRA at ${this.baseUrl}. Please check JIRA_BASE_URL configuration.` };
+      }
+      return { success: false, error: error.message || 'JIRA request failed' };
+    }
+  }
+
+  // Browser URL of an issue
+  getIssueUrl(issueKey) {
+    return `${this.baseUrl}/browse/${issueKey}`;
+  }
+
+  /**
+   * Search issues with JQL, following the nextPageToken pagination
+   * @param {string} jql - JQL query
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - Issue fields to return
+   * @param {number} [options.maxResults] - Stop once this many issues were found
+   * @returns {Promise<Object>} { success, issues, hasMore } or { success: false, error }
+   */
+  async searchIssues(jql, { fields = ['summary', 'issuetype', 'status'], maxResults = 100 } = {}) {
+    const issues = [];
+    let nextPageToken = null;
+    do {
+      const result = await this.request('POST', '/rest/api/3/search/jql', {
+        body: {
+          jql,
+          fields,
+          maxResults: Math.min(SEARCH_PAGE_SIZE, maxResults - issues.length),
+          ...(nextPageToken ? { nextPageToken } : {}),
+        },
+      });
+      if (!result.success) {
+        return result;
+      }
+      issues.push(...(result.data?.issues || []));
+      nextPageToken = result.data?.isLast ? null : result.data?.nextPageToken || null;
+    } while (nextPageToken && issues.length < maxResults);
+
+    logger.info(`JIRA search returned ${issues.length} issues${nextPageToken ? ' (more available)' : ''}: ${jql}`);
+    return { success: true, issues, hasMore: Boolean(nextPageToken) };
+  }
+
+  async addComment(issueKey, adfBody) {
+    return this.request('POST', `/rest/api/3/issue/${issueKey}/comment`, { body: { body: adfBody } });
+  }
+
+  async updateComment(issueKey, commentId, adfBody) {
+    return this.request('PUT', `/rest/api/3/issue/${issueKey}/comment/${commentId}`, { body: { body: adfBody } });
+  }
+
+  // Create a sub-task under parentKey; fields are merged into the JIRA issue fields
+  async createSubtask(parentKey, issueType, fields) {
+    const projectKey = parentKey.split('-')[0];
+    return this.request('POST', '/rest/api/3/issue', {
+      body: {
+        fields: {
+          project: { key: projectKey },
+          parent: { key: parentKey },
+          issuetype: { name: issueType },
+          ...fields,
+        },
+      },
+    });
+  }
+
+  async updateIssue(issueKey, fields) {
+    return this.request('PUT', `/rest/api/3/issue/${issueKey}`, { body: { fields } });
+  }
+
+  async addAttachment(issueKey, buffer, filename, mimeType) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+    return this.request('POST', `/rest/api/3/issue/${issueKey}/attachments`, {
+      body: form,
+      headers: { 'X-Atlassian-Token': 'no-check' },
+    });
+  }
+
+  async deleteAttachment(attachmentId) {
+    return this.request('DELETE', `/rest/api/3/attachment/${attachmentId}`);
+  }
+
+  async downloadAttachment(attachment) {
+    try {
+      logger.info(`Downloading JIRA attachment ${attachment.id} (${attachment.filename})`);
+
+      const response = await fetch(attachment.content, {
+        method: 'GET',
+        headers: {
+          'Authorization': this.authHeader,
+        }
+      });
+
+      if (!response.ok) {
+        logger.error(`JIRA attachment download error for ${attachment.id}: ${response.status}`);
+        return { success: false, error: `Failed to download attachment ${attachment.filename}: ${response.status}` };
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      return {
+        success: true,
+        buffer,
+        mimeType: attachment.mimeType,
+      };
+    } catch (error) {
+      logger.error(`Failed to download JIRA attachment ${attachment.id}: ${error.message}`);
+      return { success: false, error: error.message || 'Failed to download attachment from JIRA' };
+    }
+  }
+
   extractTextFromADF(adf) {
     // Atlassian Document Format text extraction
     // This method is REQUIRED - it converts JIRA's ADF format to plain text
@@ -0,0 +1,166 @@
+import fetch from 'node-fetch';
+import { llmConfig } from '../../config/index.js';
+import { calculateCost } from '../../utils/pricing.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Provider for Anthropic-style Messages APIs. Requests arrive as OpenAI chat
+ * messages and are converted: system messages move to the system prompt and
+ * image data URLs become base64 image blocks.
+ */
+
+// Convert an OpenAI message content (string or parts) to Messages API content
+function convertContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map((part) => {
+    if (part.type !== 'image_url') return { type: 'text', text: part.text };
+    const [, mediaType, data] = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/s) || [];
+    return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+  });
+}
+
+// Structured output is requested in the prompt; the test suite parser tolerates code fences
+function describeResponseFormat(responseFormat) {
+  if (responseFormat?.type !== 'json_schema') return null;
+  return `Respond with a single JSON object, and nothing else, matching this JSON schema:\n${JSON.stringify(responseFormat.json_schema.schema)}`;
+}
+
+export class AnthropicProvider {
+  constructor({ apiKey, baseUrl, apiVersion, defaultModel }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiVersion = apiVersion;
+    this.defaultModel = defaultModel;
+  }
+
+  // Normalise usage: cache reads and writes are part of the prompt, reads are the cached tokens
+  calculateUsage(usage = {}, model) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+    const tokenUsage = {
+      promptTokens,
+      cachedTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+
+    const cost = calculateCost(model, tokenUsage);
+    if (cost === null) {
+      logger.warn(`${this.name} cost unknown: no pricing registered for model ${model}`);
+    } else {
+      logger.info(`${this.name} cost estimation: $${cost.toFixed(4)}`);
+    }
+    return { tokenUsage, cost };
+  }
+
+  buildRequest({ model, messages, maxTokens, temperature, responseFormat }) {
+    const system = [
+      ...messages.filter((message) => message.role === 'system').map((message) => message.content),
+      describeResponseFormat(responseFormat),
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      messages: messages
+        .filter((message) => message.role !== 'system')
+        .map((message) => ({ role: message.role, content: convertContent(message.content) })),
+    };
+  }
+
+  async post(body) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).error?.message || text;
+      } catch {
+        // Not JSON, keep the text
+      }
+      throw new Error(`Anthropic API error ${response.status}: ${message}`);
+    }
+    return response;
+  }
+
+  /**
+   * Send a Messages API request, see OpenAIProvider.complete
+   * @returns {Promise<Object>} { content, tokenUsage, cost, model }
+   */
+  async complete(options) {
+    const response = await this.post(this.buildRequest(options));
+    const data = await response.json();
+    const model = data.model || options.model;
+    return {
+      content: (data.content || []).filter((block) => block.type === 'text').map((block) => block.text).join(''),
+      ...this.calculateUsage(data.usage, model),
+      model,
+    };
+  }
+
+  /**
+   * Streaming variant of complete, reading the server-sent events
+   * @returns {Promise<Object>} { content, tokenUsage, cost, model }
+   */
+  async stream({ onDelta = () => {}, ...options }) {
+    const response = await this.post({ ...this.buildRequest(options), stream: true });
+
+    let content = '';
+    let model = options.model;
+    const usage = {};
+    let buffer = '';
+    const handleEvent = (event) => {
+      if (event.type === 'message_start') {
+        model = event.message?.model || model;
+        Object.assign(usage, event.message?.usage);
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        Object.assign(usage, event.usage);
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message || 'stream failed'}`);
+      }
+    };
+
+    // Characters may be split across network chunks, the decoder keeps partial ones until complete
+    const decoder = new TextDecoder('utf-8');
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const raw of events) {
+        const data = raw.split(/\r?\n/)
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('');
+        if (data) handleEvent(JSON.parse(data));
+      }
+    }
+    return { content, ...this.calculateUsage(usage, model), model };
+  }
+}
+
+export function isAnthropicConfigured() {
+  return Boolean(llmConfig.anthropic.apiKey);
+}
+
+export function createAnthropicProvider() {
+  if (!isAnthropicConfigured()) {
+    throw new Error('ANTHROPIC_API_KEY must be set in environment variables');
+  }
+  const { apiKey, baseUrl, apiVersion, model } = llmConfig.anthropic;
+  return new AnthropicProvider({ apiKey, baseUrl, apiVersion, defaultModel: model });
+}
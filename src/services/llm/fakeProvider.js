@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { fakeServicesConfig, llmConfig } from '../../config/index.js';
+import { calculateCost } from '../../utils/pricing.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Provider answering from recorded fixtures instead of calling a model, so
+ * generations run offline and deterministically. Responses come from
+ * <fixturesDir>/llm: manual.json for test suites, playwright.spec.ts and
+ * api.test.js for automation code. Tests can queue responses or errors to
+ * script the next calls.
+ */
+
+const FIXTURE_FILES = {
+  manual: 'manual.json',
+  playwright: 'playwright.spec.ts',
+  api: 'api.test.js',
+};
+
+// Deltas are streamed in chunks of this many characters
+const STREAM_CHUNK_SIZE = 64;
+
+// Rough token count, stable across runs
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return message.content.map((part) => part.text || '').join('');
+}
+
+export class FakeProvider {
+  constructor({ fixturesDir, defaultModel }) {
+    this.name = 'fake';
+    this.fixturesDir = path.resolve(fixturesDir, 'llm');
+    this.defaultModel = defaultModel;
+    this.queue = [];
+    this.requests = [];
+  }
+
+  /**
+   * Answer the next call with the given response instead of a fixture
+   * @param {string|Object|Error} response - Content, { content, model } or an Error to throw
+   */
+  queueResponse(response) {
+    this.queue.push(response);
+  }
+
+  // Forget queued responses and recorded requests
+  reset() {
+    this.queue = [];
+    this.requests = [];
+  }
+
+  // Fixture for a request: UI classification, test suite or automation code for the prompt's target
+  readFixture({ messages, maxTokens, responseFormat }) {
+    if (maxTokens <= 5) return 'UI';
+    let kind = 'api';
+    if (responseFormat?.type === 'json_schema') {
+      kind = 'manual';
+    } else if (messages.some((message) => message.role === 'system' && /playwright/i.test(messageText(message)))) {
+      kind = 'playwright';
+    }
+    return fs.readFileSync(path.join(this.fixturesDir, FIXTURE_FILES[kind]), 'utf8');
+  }
+
+  respond(options) {
+    this.requests.push(options);
+    const queued = this.queue.shift();
+    if (queued instanceof Error) throw queued;
+
+    const content = queued === undefined
+      ? this.readFixture(options)
+      : typeof queued === 'string' ? queued : queued.content;
+    const model = queued?.model || options.model;
+    const promptTokens = options.messages.reduce((sum, message) => sum + countTokens(messageText(message)), 0);
+    const completionTokens = countTokens(content);
+    const tokenUsage = {
+      promptTokens,
+      cachedTokens: 0,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+    logger.info(`fake provider answered ${options.model} with ${content.length} characters`);
+    return { content, tokenUsage, cost: calculateCost(model, tokenUsage) ?? 0, model };
+  }
+
+  // See OpenAIProvider.complete
+  async complete(options) {
+    return this.respond(options);
+  }
+
+  // See OpenAIProvider.stream, the content is forwarded in chunks
+  async stream({ onDelta = () => {}, ...options }) {
+    const response = this.respond(options);
+    for (let index = 0; index < response.content.length; index += STREAM_CHUNK_SIZE) {
+      onDelta(response.content.slice(index, index + STREAM_CHUNK_SIZE));
+    }
+    return response;
+  }
+}
+
+export function isFakeConfigured() {
+  return fakeServicesConfig.enabled;
+}
+
+export function createFakeProvider() {
+  if (!isFakeConfigured()) {
+    throw new Error('FAKE_SERVICES=true must be set in environment variables to use the fake provider');
+  }
+  return new FakeProvider({ fixturesDir: fakeServicesConfig.fixturesDir, defaultModel: llmConfig.fake.model });
+}
@@ -0,0 +1,140 @@
+import { llmConfig } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { getModelPricing } from '../../utils/pricing.js';
+import { createAnthropicProvider, isAnthropicConfigured } from './anthropicProvider.js';
+import { createFakeProvider, isFakeConfigured } from './fakeProvider.js';
+import {
+  createAzureOpenAIProvider,
+  createOllamaProvider,
+  createOpenAIProvider,
+  isAzureConfigured,
+  isOllamaConfigured,
+  isOpenAIConfigured,
+} from './openAIProvider.js';
+
+/**
+ * LLM providers behind OpenAIService. Every provider takes OpenAI-format chat
+ * messages and returns normalised token usage and cost:
+ *   complete({ model, messages, maxTokens, temperature, responseFormat }) -> { content, tokenUsage, cost, model }
+ *   stream({ ...same, onDelta }) -> { content, tokenUsage, cost, model }
+ * and exposes its name and defaultModel. Self-hosted providers cost nothing.
+ */
+
+const PROVIDERS = {
+  openai: { create: createOpenAIProvider, isConfigured: isOpenAIConfigured, defaultModel: () => llmConfig.openai.model },
+  azure: { create: createAzureOpenAIProvider, isConfigured: isAzureConfigured, defaultModel: () => llmConfig.azure.deployment },
+  anthropic: { create: createAnthropicProvider, isConfigured: isAnthropicConfigured, defaultModel: () => llmConfig.anthropic.model },
+  ollama: { create: createOllamaProvider, isConfigured: isOllamaConfigured, defaultModel: () => llmConfig.ollama.model, selfHosted: true },
+  // Recorded fixtures, only configured with FAKE_SERVICES=true
+  fake: { create: createFakeProvider, isConfigured: isFakeConfigured, defaultModel: () => llmConfig.fake.model, selfHosted: true },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const instances = new Map();
+
+// Error for an unknown, unconfigured or disallowed provider choice
+export class LLMSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+/**
+ * Get a provider, created on first use
+ * @param {string} [name] - Key of PROVIDERS, the default provider when omitted
+ * @returns {Object} Provider
+ */
+export function getProvider(name = llmConfig.defaultProvider) {
+  if (!PROVIDERS[name]) {
+    throw new LLMSelectionError(`Unknown LLM provider: ${name}. Expected one of ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDERS[name].create());
+  }
+  return instances.get(name);
+}
+
+// Providers with their configuration state and default model
+export function listProviders() {
+  return PROVIDER_NAMES.map((name) => ({
+    name,
+    configured: PROVIDERS[name].isConfigured(),
+    default: name === llmConfig.defaultProvider,
+    defaultModel: PROVIDERS[name].defaultModel() || null,
+    // Paid providers only accept requested models with registered pricing
+    selfHosted: Boolean(PROVIDERS[name].selfHosted),
+  }));
+}
+
+// Azure deployment names mapped to their base model, from AZURE_OPENAI_DEPLOYMENT_MODELS
+function loadDeploymentModels() {
+  if (!llmConfig.azure.deploymentModels) return {};
+  try {
+    return JSON.parse(llmConfig.azure.deploymentModels);
+  } catch (error) {
+    logger.error(`Invalid AZURE_OPENAI_DEPLOYMENT_MODELS, ignoring it: ${error.message}`);
+    return {};
+  }
+}
+
+const deploymentModels = loadDeploymentModels();
+
+/**
+ * Get the model whose pricing applies to a provider's model. On Azure models
+ * are deployment names, which are priced as the base model they deploy.
+ * @param {string} provider - Key of PROVIDERS
+ * @param {string|null} model - Model, or deployment name on Azure
+ * @returns {string|null} Model name to look up pricing for
+ */
+export function getPricingModel(provider, model) {
+  if (provider === 'azure' && model && Object.hasOwn(deploymentModels, model)) {
+    return deploymentModels[model];
+  }
+  return model;
+}
+
+/**
+ * Pick the provider and model of a generation: the request's choice, then the
+ * project's, then the default. A project that sets a provider, for example to
+ * keep its issues on a self-hosted model, can't be overridden by requests.
+ * Requests may only pick priced models of paid providers, since budgets can't
+ * count the cost of unpriced ones.
+ * @param {Object} options
+ * @param {Object|null} [options.project] - Project document with llmProvider and llmModel
+ * @param {string} [options.provider] - Provider asked for by the request
+ * @param {string} [options.model] - Model asked for by the request
+ * @returns {Object} { provider, model }
+ * @throws {LLMSelectionError} When the choice is unknown, unconfigured or not allowed
+ */
+export function resolveLLMSelection({ project = null, provider = null, model = null } = {}) {
+  if (provider && !PROVIDERS[provider]) {
+    throw new LLMSelectionError(`Unknown LLM provider: ${provider}. Expected one of ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (model !== null && (typeof model !== 'string' || !model.trim())) {
+    throw new LLMSelectionError('model must be a non-empty string');
+  }
+  if (project?.llmProvider && provider && provider !== project.llmProvider) {
+    throw new LLMSelectionError(`Project ${project.projectKey} only allows the ${project.llmProvider} provider`);
+  }
+
+  const name = provider || project?.llmProvider || llmConfig.defaultProvider;
+  if (!PROVIDERS[name]?.isConfigured()) {
+    throw new LLMSelectionError(`LLM provider ${name} is not configured`);
+  }
+  if (model && !PROVIDERS[name].selfHosted && !getModelPricing(getPricingModel(name, model.trim()))) {
+    const register = name === 'azure'
+      ? 'map the deployment to its base model in AZURE_OPENAI_DEPLOYMENT_MODELS or register its pricing in MODEL_PRICING_JSON'
+      : 'register it in MODEL_PRICING_JSON';
+    throw new LLMSelectionError(
+      `Model ${model.trim()} has no registered pricing and can't be requested on ${name}; ${register} first`,
+    );
+  }
+  // The project's model only applies to its own provider
+  const projectModel = project?.llmProvider === name ? project.llmModel : null;
+  return {
+    provider: name,
+    model: model?.trim() || projectModel || PROVIDERS[name].defaultModel(),
+  };
+}
@@ -0,0 +1,158 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { llmConfig } from '../../config/index.js';
+import { calculateCost } from '../../utils/pricing.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Provider for OpenAI's chat completions API and the APIs compatible with it:
+ * Azure OpenAI and self-hosted servers such as Ollama
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} client - OpenAI SDK client
+   * @param {Object} options
+   * @param {string} options.name - Provider name
+   * @param {string} options.defaultModel - Model used when none is selected
+   * @param {boolean} [options.selfHosted] - Models without registered pricing cost nothing
+   * @param {string} [options.maxTokensParam] - Request parameter limiting the completion length
+   */
+  constructor(client, { name, defaultModel, selfHosted = false, maxTokensParam = 'max_completion_tokens' }) {
+    this.client = client;
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.selfHosted = selfHosted;
+    this.maxTokensParam = maxTokensParam;
+  }
+
+  // Normalise usage and calculate its cost, cost is null when the model's pricing is unknown
+  calculateUsage(usage = {}, model) {
+    const tokenUsage = {
+      promptTokens: usage.prompt_tokens || 0,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+    };
+
+    let cost = calculateCost(model, tokenUsage);
+    if (cost === null && this.selfHosted) {
+      cost = 0;
+    }
+    if (cost === null) {
+      logger.warn(`${this.name} cost unknown: no pricing registered for model ${model}`);
+    } else {
+      logger.info(`${this.name} cost estimation: $${cost.toFixed(4)}`);
+    }
+    return { tokenUsage, cost };
+  }
+
+  buildRequest({ model, messages, maxTokens, temperature, responseFormat }) {
+    return {
+      model,
+      messages,
+      [this.maxTokensParam]: maxTokens,
+      temperature,
+      ...(responseFormat ? { response_format: responseFormat } : {}),
+    };
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Object} options
+   * @param {string} options.model - Model (on Azure: deployment) name
+   * @param {Array<Object>} options.messages - Chat messages in the OpenAI format
+   * @param {number} options.maxTokens - Completion token limit
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {Object} [options.responseFormat] - OpenAI json_schema response format
+   * @returns {Promise<Object>} { content, tokenUsage, cost, model }
+   */
+  async complete(options) {
+    const response = await this.client.chat.completions.create(this.buildRequest(options));
+    const model = response.model || options.model;
+    return {
+      content: response.choices[0]?.message?.content || '',
+      ...this.calculateUsage(response.usage, model),
+      model,
+    };
+  }
+
+  /**
+   * Streaming variant of complete
+   * @param {Object} options - See complete, plus onDelta called with each content delta
+   * @returns {Promise<Object>} { content, tokenUsage, cost, model }
+   */
+  async stream({ onDelta = () => {}, ...options }) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest(options),
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    let content = '';
+    let usage = null;
+    let model = options.model;
+    for await (const chunk of stream) {
+      if (chunk.model) {
+        model = chunk.model;
+      }
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      // The final chunk carries usage and no choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+    return { content, ...this.calculateUsage(usage || {}, model), model };
+  }
+}
+
+export function isOpenAIConfigured() {
+  return Boolean(llmConfig.openai.apiKey);
+}
+
+export function createOpenAIProvider() {
+  if (!isOpenAIConfigured()) {
+    throw new Error('OPENAI_API_KEY must be set in environment variables');
+  }
+  return new OpenAIProvider(new OpenAI({ apiKey: llmConfig.openai.apiKey }), {
+    name: 'openai',
+    defaultModel: llmConfig.openai.model,
+  });
+}
+
+export function isAzureConfigured() {
+  const { endpoint, apiKey, deployment } = llmConfig.azure;
+  return Boolean(endpoint && apiKey && deployment);
+}
+
+// Azure answers with the underlying model name, so pricing resolves even though requests name a deployment
+export function createAzureOpenAIProvider() {
+  if (!isAzureConfigured()) {
+    throw new Error('AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT must be set in environment variables');
+  }
+  const { endpoint, apiKey, apiVersion, deployment } = llmConfig.azure;
+  return new OpenAIProvider(new AzureOpenAI({ endpoint, apiKey, apiVersion }), {
+    name: 'azure',
+    defaultModel: deployment,
+  });
+}
+
+export function isOllamaConfigured() {
+  return Boolean(llmConfig.ollama.baseUrl);
+}
+
+export function createOllamaProvider() {
+  if (!isOllamaConfigured()) {
+    throw new Error('OLLAMA_BASE_URL must be set in environment variables, e.g. http://localhost:11434/v1');
+  }
+  const { baseUrl, apiKey, model } = llmConfig.ollama;
+  return new OpenAIProvider(new OpenAI({ baseURL: baseUrl, apiKey }), {
+    name: 'ollama',
+    defaultModel: model,
+    selfHosted: true,
+    // Compatible servers don't all know the newer parameter
+    maxTokensParam: 'max_tokens',
+  });
+}
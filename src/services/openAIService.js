@@ -1,22 +1,24 @@
 import dotenv from 'dotenv';
 dotenv.config();
-import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
+import { openaiConfig } from '../config/index.js';
+import { getProvider } from './llm/index.js';
+import { TEST_SUITE_JSON_SCHEMA } from '../utils/testSuite.js';
 
 const MANUAL_PROMPT = `You are an expert manual QA Engineer. Generate comprehensive test cases from JIRA issue descriptions.
 
 **Context:** You will receive JIRA issue details including title, description, comments, and acceptance criteria. Use ONLY this information - never invent requirements.
 
 **Output Requirements:**
-1. Use proper markdown with ## for main headings and - for bullet points
-2. Include a title: "# Test Cases for [JIRA-ID]: [Issue Title]"
-3. Structure by categories: ## **Functional Requirements**, ## **UI & Visual Validation**, ## **Edge Cases**, ## **Data Integrity** (if applicable)
-4. Include blank lines before and after lists
-5. Each test case should be:
-   - Clear and actionable
-   - Cover specific acceptance criteria
-   - Include preconditions, steps, and expected results
-   - Prioritized (High/Medium/Low)
+1. Respond with a single JSON object following the provided schema - no markdown and no prose
+2. Set "title" to "Test Cases for [JIRA-ID]: [Issue Title]"
+3. Group test cases with "category": Functional Requirements, UI & Visual Validation, Edge Cases, Data Integrity (if applicable)
+4. Number test cases sequentially: TC-001, TC-002, ...
+5. Each test case should:
+   - Be clear and actionable
+   - Cover a specific acceptance criterion, quoted in "acceptanceCriterion" (null when it covers none)
+   - List its preconditions, one action per step, and the expected results
+   - Be prioritized (High/Medium/Low)
 
 **Must NOT:**
 - Never mention specific individual names
@@ -34,89 +36,279 @@ const MANUAL_PROMPT = `You are an expert manual QA Engineer. Generate comprehens
 
 Generate comprehensive test cases now.`;
 
+const PLAYWRIGHT_PROMPT = `You are an expert QA Automation Engineer. Generate runnable Playwright end-to-end tests from JIRA issue descriptions.
 
-export default class OpenAIService {
+**Context:** You will receive JIRA issue details including title, description, comments, and acceptance criteria. Use ONLY this information - never invent requirements.
 
-  constructor(){
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey){
-      throw new Error('OPENAI_API_KEY must be set in environment variables');
-    }
+**Output Requirements:**
+1. Output a single TypeScript file using \`@playwright/test\` - code only, no prose and no markdown fences
+2. Start the file with a comment: "// Automated tests for [JIRA-ID]: [Issue Title]"
+3. Wrap the tests in one \`test.describe\` block named after the JIRA issue
+4. Read the application URL from \`process.env.BASE_URL\` and navigate with relative paths
+5. Prefer user-facing locators (\`getByRole\`, \`getByLabel\`, \`getByText\`) over CSS or XPath selectors
+6. Each test should:
+   - Cover one specific acceptance criterion or scenario
+   - Use web-first assertions (\`await expect(...)\`)
+   - Be independent of the other tests
+   - Have a descriptive title that includes its priority (High/Medium/Low)
 
-    this.client = new OpenAI({
-      apiKey: apiKey
-    });
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    this.maxCompletionTokens = 8000;
+**Must NOT:**
+- Never mention specific individual names
+- Never use fixed waits (\`waitForTimeout\`)
+- Never invent requirements not in the JIRA issue
+
+**Coverage:**
+- Positive and negative scenarios
+- Form validations and error messages
+- User workflows and state transitions
+- Accessibility checks where relevant
+
+Generate the Playwright test file now.`;
+
+const API_PROMPT = `You are an expert QA Automation Engineer. Generate runnable API tests from JIRA issue descriptions.
+
+**Context:** You will receive JIRA issue details including title, description, comments, and acceptance criteria. Use ONLY this information - never invent requirements.
+
+**Output Requirements:**
+1. Output a single JavaScript (ES module) file using \`supertest\` with \`describe\`/\`it\` blocks - code only, no prose and no markdown fences
+2. Start the file with a comment: "// Automated tests for [JIRA-ID]: [Issue Title]"
+3. Target the service with \`request(process.env.API_BASE_URL)\` - never import application code
+4. Read credentials or tokens from environment variables, never hard-code them
+5. Each test should:
+   - Cover one specific acceptance criterion or scenario
+   - Assert status codes, response body shape and relevant field values
+   - Be independent of the other tests
+   - Have a descriptive title that includes its priority (High/Medium/Low)
+
+**Must NOT:**
+- Never mention specific individual names
+- Never guess endpoints or fields that are not described in the JIRA issue - leave a TODO comment instead
+- Never invent requirements not in the JIRA issue
+
+**Coverage:**
+- Positive and negative test cases
+- Input validation and boundary values
+- Authentication and authorization errors (if applicable)
+- Error handling and status codes
+
+Generate the API test file now.`;
+
+const REFINE_PROMPT = `**Refinement:** You are revising output you generated earlier for this JIRA issue. Apply the reviewer's instruction to the current version and return the complete updated output in the same format. Keep everything the instruction doesn't touch unchanged, including test case ids. Follow the instruction only as far as the JIRA issue supports it - never invent requirements.`;
+
+const AUTO_PROMPTS = {
+  playwright: PLAYWRIGHT_PROMPT,
+  api: API_PROMPT,
+};
+
+// Output metadata for each automation target
+export const AUTOMATION_TARGETS = {
+  playwright: { framework: 'playwright', language: 'typescript', extension: 'spec.ts' },
+  api: { framework: 'supertest', language: 'javascript', extension: 'api.test.js' },
+};
+
+// System prompt for a generation request
+export function getSystemPrompt(autoMode = false, automationTarget = 'playwright') {
+  return autoMode
+    ? AUTO_PROMPTS[automationTarget] || AUTO_PROMPTS.playwright
+    : MANUAL_PROMPT;
+}
+
+// Manual generations return a structured test suite, automation returns plain code
+export function getResponseFormat(autoMode = false) {
+  if (autoMode) return undefined;
+  return {
+    type: 'json_schema',
+    json_schema: { name: 'test_suite', strict: true, schema: TEST_SUITE_JSON_SCHEMA },
+  };
+}
+
+// Build the user message text for a generation request
+export function buildIssueMessage(context, issueKey) {
+  return `\n\n### JIRA Issue: ${issueKey}\n\n${context}`;
+}
+
+/**
+ * Build the chat messages asking the model to revise an earlier output
+ * @param {Object} options
+ * @param {string} options.context - JIRA issue context, may be empty
+ * @param {string} options.issueKey - JIRA issue key
+ * @param {string} options.currentContent - Current output (test suite JSON or code)
+ * @param {string} options.instruction - Reviewer's instruction
+ * @param {boolean} options.autoMode - Whether the output is automation code
+ * @param {string} [options.automationTarget] - Key of AUTOMATION_TARGETS
+ * @param {Object} [options.prompt] - Rendered prompt template { system, user } replacing the built-in prompt
+ * @returns {Array<Object>} Chat messages
+ */
+export function buildRefineMessages({ context, issueKey, currentContent, instruction, autoMode = false, automationTarget = 'playwright', prompt = null }) {
+  const issueMessage = prompt
+    ? prompt.user
+    : buildIssueMessage(context || 'Issue details are unavailable, rely on the current version.', issueKey);
+  return [
+    { role: 'system', content: `${prompt ? prompt.system : getSystemPrompt(autoMode, automationTarget)}\n\n${REFINE_PROMPT}` },
+    { role: 'user', content: issueMessage },
+    { role: 'assistant', content: currentContent },
+    { role: 'user', content: `Instruction: ${instruction}\n\nReturn the complete revised ${autoMode ? 'test file' : 'test suite'}.` },
+  ];
+}
+
+// Remove markdown code fences the model may wrap code in despite instructions
+export function stripCodeFences(content) {
+  const match = content.trim().match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+  return match ? match[1] : content;
+}
+
+
+/**
+ * Test case generation on top of an LLM provider (see ./llm). Despite its name
+ * it talks to whichever provider it was created for.
+ */
+export default class OpenAIService {
+
+  /**
+   * @param {Object} [selection] - Result of resolveLLMSelection
+   * @param {string} [selection.provider] - Provider name, the default provider when omitted
+   * @param {string} [selection.model] - Model name, the provider's default when omitted
+   */
+  constructor({ provider, model } = {}){
+    this.provider = getProvider(provider);
+    this.model = model || this.provider.defaultModel;
+    this.maxCompletionTokens = openaiConfig.maxCompletionTokens;
     this.maxRetries = 3;
   }
 
-  async generateTestCases(context, issueKey, autoMode = false, image = []) {
-    try {
-      const systemPrompt = autoMode ? AUTO_PROMPT : MANUAL_PROMPT;
+  // Build the chat messages for a generation request, images are { mimeType, data } with base64 data.
+  // A rendered prompt template { system, user } replaces the built-in prompt.
+  buildMessages(context, issueKey, autoMode = false, automationTarget = 'playwright', images = [], prompt = null) {
+    const systemPrompt = prompt ? prompt.system : getSystemPrompt(autoMode, automationTarget);
 
-      // Build user message content
-      const issueContext = `\n\n### JIRA Issue: ${issueKey}\n\n${context}`;
-      const messages = [
+    // Build user message content
+    const issueContext = prompt ? prompt.user : buildIssueMessage(context, issueKey);
+    if (!images || images.length === 0) {
+      return [
         { role: 'system', content: systemPrompt },
-      ]
-      
-      let userMessage = {
+        { role: 'user', content: issueContext },
+      ];
+    }
+
+    // Send attached mockups/screenshots as image content parts
+    return [
+      { role: 'system', content: systemPrompt },
+      {
         role: 'user',
-        content: issueContext
-      };
-      messages.push(userMessage);
-
-      // Retry logic
-      let retryCount = 0;
-      let lastError;
-
-      while (retryCount < this.maxRetries) {
-        try {
-          logger.info(`Calling OpenAI API (attempt ${retryCount +1}/${this.maxRetries})`);
-
-          const response = await this.client.chat.completions.create({
-            model: this.model,
-            messages: messages,
-            max_completion_tokens: this.maxCompletionTokens,
-            temperature: 0.7,
-          });
-          const content = response.choices[0]?.message?.content || '';
-          if (!content) {
-            throw new Error('Empty response from OpenAI');
-          }
-          logger.info(`OpenAI API generation successfully (${response.usage?.total_tokens || 0} tokens used)`);
-
-          // Get real token usage
-          const usage = response.usage || {};
-          const tokenUsage = {
-            promptTokens: usage.prompt_tokens || 0,
-            completionTokens: usage.completion_tokens || 0,
-            totalTokens: usage.total_tokens || 0,
-          }
-
-          // Calculate cost based on model pricing (gpt-4o-mini: $0.15 per 1M input tokens, $0.60 per 1M output tokens)
-          const inputCost = (tokenUsage.promptTokens / 1_000_000) * 0.15;
-          const outputCost = (tokenUsage.completionTokens / 1_000_000) * 0.60;
-          const totalCost = inputCost + outputCost;
-
-          logger.info(`OpenAI API cost estimation: $${totalCost.toFixed(4)}`);
-          return { content, tokenUsage, cost: totalCost  };
-        } catch (error) {
-          lastError = error;
-          retryCount++;
-          if(retryCount === this.maxRetries){
-            logger.error(`OpenAI API generation failed after ${this.maxRetries} attempts: ${error.message}`);
-            throw error;
-          }
+        content: [
+          { type: 'text', text: `${issueContext}\n\nThe attached images are mockups or screenshots from the JIRA issue.` },
+          ...images.map((image) => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+          })),
+        ],
+      },
+    ];
+  }
+
+  // Ask the model whether an issue is UI-related, used as a tie-break when keywords are inconclusive
+  async checkIsUiStory(context) {
+    const response = await this.provider.complete({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You classify JIRA issues. Answer with exactly one word: "UI" if testing the issue requires interacting with a user interface, otherwise "BACKEND".',
+        },
+        { role: 'user', content: context },
+      ],
+      maxTokens: 5,
+      temperature: 0,
+    });
+    const answer = response.content.trim().toUpperCase();
+    logger.info(`${this.provider.name} UI story classification: ${answer}`);
+    if (answer !== 'UI' && answer !== 'BACKEND') {
+      throw new Error(`Unexpected classification answer: ${answer}`);
+    }
+    return answer === 'UI';
+  }
+
+  /**
+   * Revise an earlier output following a reviewer's instruction
+   * @param {Object} options - See buildRefineMessages
+   * @returns {Promise<Object>} { content, tokenUsage, cost, model }
+   */
+  async refineTestCases(options) {
+    const messages = buildRefineMessages(options);
+
+    let retryCount = 0;
+    while (true) {
+      try {
+        logger.info(`Calling ${this.provider.name} API to refine ${options.issueKey} (attempt ${retryCount + 1}/${this.maxRetries})`);
+        const response = await this.provider.complete({
+          model: this.model,
+          messages,
+          maxTokens: this.maxCompletionTokens,
+          temperature: 0.4,
+          responseFormat: getResponseFormat(options.autoMode),
+        });
+
+        let content = response.content;
+        if (options.autoMode) {
+          content = stripCodeFences(content);
+        }
+        if (!content) {
+          throw new Error(`Empty response from ${this.provider.name}`);
+        }
+        return { ...response, content };
+      } catch (error) {
+        retryCount++;
+        if (retryCount === this.maxRetries) {
+          logger.error(`${this.provider.name} refinement failed for ${options.issueKey} after ${retryCount} attempts: ${error.message}`);
+          throw error;
         }
-        throw lastError || new Error('OpenAI generation failed');
       }
-
-    } catch (error) {
-      logger.error(`Generation error for ${issueKey}: ${error.message}`);
-      throw error;
     }
+  }
+
+  /**
+   * Generate test cases, calling onDelta with each content delta as it arrives.
+   * Resolves with { content, tokenUsage, cost, model }.
+   * Retries only happen before the first delta was forwarded.
+   */
+  async generateTestCasesStream(context, issueKey, autoMode = false, image = [], automationTarget = 'playwright', onDelta = () => {}, prompt = null) {
+    const messages = this.buildMessages(context, issueKey, autoMode, automationTarget, image, prompt);
 
+    let retryCount = 0;
+    while (true) {
+      let streamed = false;
+      try {
+        logger.info(`Calling ${this.provider.name} streaming API with ${this.model} (attempt ${retryCount + 1}/${this.maxRetries})`);
+
+        const response = await this.provider.stream({
+          model: this.model,
+          messages: messages,
+          maxTokens: this.maxCompletionTokens,
+          temperature: 0.7,
+          responseFormat: getResponseFormat(autoMode),
+          onDelta: (delta) => {
+            streamed = true;
+            onDelta(delta);
+          },
+        });
+
+        let content = response.content;
+        if (autoMode) {
+          content = stripCodeFences(content);
+        }
+        if (!content) {
+          throw new Error(`Empty response from ${this.provider.name}`);
+        }
+        logger.info(`${this.provider.name} API streaming generation successfully (${response.tokenUsage.totalTokens} tokens used)`);
+
+        return { ...response, content };
+      } catch (error) {
+        retryCount++;
+        if (streamed || retryCount === this.maxRetries) {
+          logger.error(`${this.provider.name} API streaming generation failed for ${issueKey} after ${retryCount} attempts: ${error.message}`);
+          throw error;
+        }
+      }
+    }
   }
 }
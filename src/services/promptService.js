@@ -0,0 +1,177 @@
+import PromptTemplate from '../models/PromptTemplate.js';
+import { logger } from '../utils/logger.js';
+import { getSystemPrompt } from './openAIService.js';
+
+/**
+ * Prompt templates stored in Mongo. A template has a system and a user prompt
+ * with {{variable}} placeholders and an append-only version history. A
+ * generation uses its project's template for the purpose, else the purpose's
+ * default template, else the built-in prompt.
+ */
+
+export const PROMPT_PURPOSES = ['manual', 'playwright', 'api'];
+
+// Variables available to templates
+export const TEMPLATE_VARIABLES = {
+  issueKey: 'JIRA issue key, e.g. PROJ-123',
+  title: 'Issue summary',
+  context: 'Issue details: description, acceptance criteria, comments and linked issues',
+  projectKey: 'JIRA project key',
+  projectName: 'Project name, the project key when unnamed',
+  conventions: "Project conventions, empty when the project doesn't set any",
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+// The built-in prompts as templates; the issue context goes in the user prompt
+const BUILT_IN_USER_PROMPT = '### JIRA Issue: {{issueKey}}\n\n{{context}}';
+
+// Error for invalid templates, carrying the HTTP status to answer with
+export class PromptTemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Purpose of a generation: manual test cases or the automation target
+export function getPromptPurpose(autoMode, automationTarget) {
+  return autoMode ? (automationTarget === 'api' ? 'api' : 'playwright') : 'manual';
+}
+
+// Built-in prompt of a purpose as template text { systemPrompt, userPrompt }
+export function getBuiltInTemplate(purpose) {
+  return {
+    systemPrompt: `${getSystemPrompt(purpose !== 'manual', purpose)}\n\n{{conventions}}`,
+    userPrompt: BUILT_IN_USER_PROMPT,
+  };
+}
+
+/**
+ * Check the text of a template
+ * @param {Object} text - { systemPrompt, userPrompt }
+ * @throws {PromptTemplateError} When a prompt is empty, uses an unknown variable or leaves out the issue context
+ */
+export function validateTemplateText({ systemPrompt, userPrompt }) {
+  for (const [name, value] of Object.entries({ systemPrompt, userPrompt })) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new PromptTemplateError(`${name} must be a non-empty string`);
+    }
+  }
+  const used = [...`${systemPrompt}\n${userPrompt}`.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+  const unknown = [...new Set(used.filter((name) => !(name in TEMPLATE_VARIABLES)))];
+  if (unknown.length > 0) {
+    throw new PromptTemplateError(
+      `Unknown template variables: ${unknown.join(', ')}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`,
+    );
+  }
+  if (!used.includes('context')) {
+    throw new PromptTemplateError('The template must include {{context}}, otherwise the model never sees the issue');
+  }
+}
+
+/**
+ * Replace the {{variable}} placeholders of a text
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by variable name, missing values render empty
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => (
+    name in TEMPLATE_VARIABLES ? String(variables[name] ?? '') : placeholder
+  )).trim();
+}
+
+// Template variables for an issue of a project
+export function buildTemplateVariables({ issueKey, title, context, project }) {
+  return {
+    issueKey,
+    title: title || '',
+    context: context || '',
+    projectKey: project?.projectKey || issueKey?.split('-')[0] || '',
+    projectName: project?.name || project?.projectKey || '',
+    conventions: project?.conventions || '',
+  };
+}
+
+/**
+ * Get a version of a template
+ * @param {Object} template - PromptTemplate document
+ * @param {number} [version] - Version number, the current version when omitted
+ * @returns {Object|null} Version entry, null when it doesn't exist
+ */
+export function getTemplateVersion(template, version = template.currentVersion) {
+  return template.versions.find((entry) => entry.version === version) || null;
+}
+
+/**
+ * Find the template a generation should use
+ * @param {string} purpose - One of PROMPT_PURPOSES
+ * @param {Object|null} [project] - Project document, its override wins over the default
+ * @returns {Promise<Object|null>} PromptTemplate document, null when there is none
+ */
+export async function resolvePromptTemplate(purpose, project = null) {
+  const overrideId = project?.promptTemplates?.[purpose];
+  if (overrideId) {
+    const override = await PromptTemplate.findOne({ _id: overrideId, archived: false });
+    if (override) return override;
+    logger.warn(`Prompt template ${overrideId} of project ${project.projectKey} not found, using the default`);
+  }
+  return PromptTemplate.findOne({ purpose, isDefault: true, archived: false });
+}
+
+/**
+ * Render the prompt of a generation
+ * @param {Object} options
+ * @param {string} options.purpose - One of PROMPT_PURPOSES
+ * @param {Object|null} [options.project] - Project document
+ * @param {string} options.issueKey - JIRA issue key
+ * @param {string} [options.title] - Issue summary
+ * @param {string} options.context - Issue context
+ * @param {Object} [options.templateRef] - { id, version } to render a recorded template version
+ * instead of resolving one, falls back to resolving when it no longer exists
+ * @returns {Promise<Object>} { system, user, template } with template { id, name, version },
+ * null for the built-in prompt
+ */
+export async function buildPrompt({ purpose, project = null, issueKey, title, context, templateRef = null }) {
+  let template = null;
+  let entry = null;
+  if (templateRef?.id) {
+    template = await PromptTemplate.findById(templateRef.id);
+    entry = template ? getTemplateVersion(template, templateRef.version) : null;
+  }
+  if (!entry) {
+    template = await resolvePromptTemplate(purpose, project);
+    entry = template ? getTemplateVersion(template) : null;
+  }
+
+  const text = entry || getBuiltInTemplate(purpose);
+  const variables = buildTemplateVariables({ issueKey, title, context, project });
+  return {
+    system: renderTemplate(text.systemPrompt, variables),
+    user: renderTemplate(text.userPrompt, variables),
+    template: entry ? { id: template._id, name: template.name, version: entry.version } : null,
+  };
+}
+
+// Create a default template from the built-in prompt for each purpose that has none
+export async function ensureDefaultPromptTemplates() {
+  for (const purpose of PROMPT_PURPOSES) {
+    if (await PromptTemplate.exists({ purpose, isDefault: true })) continue;
+    try {
+      await PromptTemplate.create({
+        name: `Default ${purpose}`,
+        description: `Built-in ${purpose} prompt`,
+        purpose,
+        isDefault: true,
+        currentVersion: 1,
+        versions: [{ version: 1, ...getBuiltInTemplate(purpose), notes: 'Created from the built-in prompt', createdBy: 'system' }],
+        createdBy: 'system',
+      });
+      logger.info(`Created default ${purpose} prompt template`);
+    } catch (error) {
+      // Another instance created it first, or the name is taken by a non-default template
+      logger.warn(`Could not create the default ${purpose} prompt template: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,253 @@
+import Generation from '../models/Generation.js';
+import User from '../models/User.js';
+import { generationConfig, openaiConfig, quotaConfig } from '../config/index.js';
+import { calculateCost } from '../utils/pricing.js';
+import { getPricingModel } from './llm/index.js';
+
+/**
+ * Generation quotas: an hourly generation rate limit per user and monthly
+ * dollar budgets per user and per project. A limit of 0 means unlimited.
+ * Batch generations are bounded by the batch size instead of the rate limit,
+ * but count against the budgets. Pending and running generations count with
+ * their reserved, estimated cost until their actual cost is known.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Error for exhausted quotas: 429 for the rate limit, 402 for budgets
+export class QuotaError extends Error {
+  constructor(message, status, usage) {
+    super(message);
+    this.status = status;
+    this.usage = usage;
+  }
+}
+
+// First instant of the current month (UTC), when monthly budgets reset
+function startOfMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function startOfNextMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+function resolveLimit(override, fallback) {
+  return override ?? fallback ?? 0;
+}
+
+async function sumCost(filter) {
+  const cost = {
+    $cond: [
+      { $in: ['$status', ['pending', 'running']] },
+      { $ifNull: ['$reservedCost', 0] },
+      { $add: [{ $ifNull: ['$cost', 0] }, { $ifNull: ['$refinementReservedCost', 0] }] },
+    ],
+  };
+  const [result] = await Generation.aggregate([
+    { $match: filter },
+    { $group: { _id: null, cost: { $sum: cost } } },
+  ]);
+  return result?.cost || 0;
+}
+
+function buildBudget(limit, spent, resetAt) {
+  return {
+    limit: limit || null,
+    spent: Math.round(spent * 1_000_000) / 1_000_000,
+    remaining: limit ? Math.max(0, Math.round((limit - spent) * 1_000_000) / 1_000_000) : null,
+    resetAt,
+  };
+}
+
+/**
+ * Current quota usage of a user, and of a project when given
+ * @param {Object} user - req.user ({ userId, email })
+ * @param {Object|null} project - Project document
+ * @returns {Promise<Object>} { rateLimit, userBudget, projectBudget } where unlimited quotas have limit null
+ */
+export async function getQuotaUsage(user, project = null) {
+  const now = new Date();
+  const monthStart = startOfMonth(now);
+  const monthEnd = startOfNextMonth(now);
+  const windowStart = new Date(now.getTime() - HOUR_MS);
+
+  const userDoc = await User.findById(user.userId).select('generationsPerHour monthlyBudgetUsd');
+  const rateLimit = resolveLimit(userDoc?.generationsPerHour, quotaConfig.generationsPerHour);
+  const userLimit = resolveLimit(userDoc?.monthlyBudgetUsd, quotaConfig.userMonthlyBudgetUsd);
+  const projectLimit = project
+    ? resolveLimit(project.monthlyBudgetUsd, quotaConfig.projectMonthlyBudgetUsd)
+    : 0;
+
+  const [recent, userSpent, projectSpent] = await Promise.all([
+    rateLimit
+      ? Generation.find({ email: user.email, batch: null, createdAt: { $gte: windowStart } })
+        .select('createdAt')
+        .sort({ createdAt: 1 })
+      : [],
+    userLimit ? sumCost({ email: user.email, createdAt: { $gte: monthStart } }) : 0,
+    projectLimit ? sumCost({ project: project._id, createdAt: { $gte: monthStart } }) : 0,
+  ]);
+
+  // Sliding window: the oldest generation in the last hour frees the next slot
+  const used = recent.length;
+  const resetAt = used > 0
+    ? new Date(recent[Math.max(0, used - rateLimit)].createdAt.getTime() + HOUR_MS)
+    : now;
+
+  return {
+    rateLimit: {
+      limit: rateLimit || null,
+      used,
+      remaining: rateLimit ? Math.max(0, rateLimit - used) : null,
+      resetAt,
+    },
+    userBudget: buildBudget(userLimit, userSpent, monthEnd),
+    projectBudget: project ? buildBudget(projectLimit, projectSpent, monthEnd) : null,
+  };
+}
+
+/**
+ * Smallest remaining budget (user or project) in USD
+ * @param {Object} usage - Result of getQuotaUsage
+ * @returns {number|null} Remaining USD, or null when no budget applies
+ */
+export function getRemainingBudget(usage) {
+  const remaining = [usage.userBudget, usage.projectBudget]
+    .filter((budget) => budget?.limit)
+    .map((budget) => budget.remaining);
+  return remaining.length > 0 ? Math.min(...remaining) : null;
+}
+
+/**
+ * Upper bound of a generation's cost, reserved against the budgets while it runs:
+ * a full context budget of prompt tokens and the maximum completion
+ * @param {string} model - Model of the generation
+ * @returns {number} Estimated cost in USD, 0 when the model has no pricing
+ */
+export function estimateGenerationCost(model) {
+  return calculateCost(model, {
+    promptTokens: generationConfig.contextTokenBudget,
+    completionTokens: openaiConfig.maxCompletionTokens,
+  }) ?? 0;
+}
+
+/**
+ * Check that a user may start a generation in a project
+ * @param {Object} user - req.user ({ userId, email })
+ * @param {Object|null} project - Project document
+ * @param {Object} [options]
+ * @param {boolean} [options.rateLimit] - Whether the rate limit applies, false for batches
+ * @param {Object} [options.reservation] - Saved generation or refinement already included in the usage,
+ * see reserveGeneration and reserveRefinement
+ * @returns {Promise<Object>} Quota usage when allowed
+ * @throws {QuotaError} When the rate limit or a budget is exhausted
+ */
+export async function checkGenerationQuota(user, project = null, { rateLimit = true, reservation = null } = {}) {
+  const usage = await getQuotaUsage(user, project);
+
+  // A reserved generation only has to fit into what was left before it,
+  // a reserved refinement doesn't count as a generation
+  const ownGenerations = reservation && !reservation.batch && !reservation.refinement ? 1 : 0;
+  const ownCost = reservation?.reservedCost || 0;
+  const exhausted = (budget) => budget?.limit && budget.spent - ownCost >= budget.limit;
+
+  if (rateLimit && usage.rateLimit.limit && usage.rateLimit.used - ownGenerations >= usage.rateLimit.limit) {
+    throw new QuotaError(
+      `Rate limit exceeded: at most ${usage.rateLimit.limit} generations per hour`,
+      429,
+      usage,
+    );
+  }
+  if (exhausted(usage.userBudget)) {
+    throw new QuotaError(
+      `Monthly budget of $${usage.userBudget.limit} exhausted for ${user.email}`,
+      402,
+      usage,
+    );
+  }
+  if (exhausted(usage.projectBudget)) {
+    throw new QuotaError(
+      `Monthly budget of $${usage.projectBudget.limit} exhausted for project ${project.projectKey}`,
+      402,
+      usage,
+    );
+  }
+  return usage;
+}
+
+/**
+ * Save a pending generation with its estimated cost reserved, then check the
+ * quotas with it counted. Concurrent requests see each other's reservations,
+ * so a burst can't pass the check before any of its generations is saved.
+ * The generation is removed again when a quota is exhausted.
+ * @param {Object} generation - Unsaved pending Generation document
+ * @param {Object} user - req.user ({ userId, email })
+ * @param {Object|null} project - Project document
+ * @param {Object} [options] - See checkGenerationQuota
+ * @returns {Promise<Object>} Quota usage, including the generation, when allowed
+ * @throws {QuotaError} When the rate limit or a budget is exhausted
+ */
+export async function reserveGeneration(generation, user, project = null, { rateLimit = true } = {}) {
+  generation.reservedCost = estimateGenerationCost(getPricingModel(generation.provider, generation.requestedModel));
+  await generation.save();
+  try {
+    return await checkGenerationQuota(user, project, { rateLimit, reservation: generation });
+  } catch (error) {
+    await Generation.deleteOne({ _id: generation._id });
+    throw error;
+  }
+}
+
+/**
+ * Reserve the estimated cost of a refinement on its generation, then check the
+ * quotas with it counted, like reserveGeneration does for new generations.
+ * The reservation is released again when a quota is exhausted; otherwise the
+ * caller releases it with releaseRefinement once the refinement is done.
+ * @param {Object} generation - Completed Generation document being refined
+ * @param {Object} user - req.user ({ userId, email })
+ * @param {Object|null} project - Project document
+ * @param {Object} llm - { provider, model } of the refinement
+ * @returns {Promise<Object>} { usage, reservedCost }
+ * @throws {QuotaError} When the rate limit or a budget is exhausted
+ */
+export async function reserveRefinement(generation, user, project, llm) {
+  const reservedCost = estimateGenerationCost(getPricingModel(llm.provider, llm.model));
+  await Generation.updateOne({ _id: generation._id }, { $inc: { refinementReservedCost: reservedCost } });
+  try {
+    const usage = await checkGenerationQuota(user, project, { reservation: { reservedCost, refinement: true } });
+    return { usage, reservedCost };
+  } catch (error) {
+    await releaseRefinement(generation._id, reservedCost);
+    throw error;
+  }
+}
+
+/**
+ * Release the reservation of a finished or abandoned refinement
+ * @param {string} generationId - Id of the refined Generation
+ * @param {number} reservedCost - Result of reserveRefinement
+ */
+export async function releaseRefinement(generationId, reservedCost) {
+  await Generation.updateOne({ _id: generationId }, { $inc: { refinementReservedCost: -reservedCost } });
+}
+
+/**
+ * Set rate limit and remaining budget headers on a response
+ * @param {Object} res - Express response
+ * @param {Object} usage - Result of getQuotaUsage
+ */
+export function setQuotaHeaders(res, usage) {
+  const { rateLimit, userBudget, projectBudget } = usage;
+  if (rateLimit.limit) {
+    res.setHeader('X-RateLimit-Limit', rateLimit.limit);
+    res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(rateLimit.resetAt.getTime() / 1000));
+  }
+  if (userBudget.limit) {
+    res.setHeader('X-Budget-User-Remaining', userBudget.remaining.toFixed(4));
+  }
+  if (projectBudget?.limit) {
+    res.setHeader('X-Budget-Project-Remaining', projectBudget.remaining.toFixed(4));
+  }
+}
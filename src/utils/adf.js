@@ -0,0 +1,114 @@
+/**
+ * Atlassian Document Format (ADF) utilities for writing content back to JIRA
+ */
+
+// Convert inline markdown (**bold**, `code`) into ADF text nodes
+function inlineNodes(text) {
+  const nodes = [];
+  const pattern = /(\*\*[^*]+\*\*|`[^`]+`)/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+    const token = match[0];
+    if (token.startsWith('**')) {
+      nodes.push({ type: 'text', text: token.slice(2, -2), marks: [{ type: 'strong' }] });
+    } else {
+      nodes.push({ type: 'text', text: token.slice(1, -1), marks: [{ type: 'code' }] });
+    }
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < text.length) {
+    nodes.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+  return nodes;
+}
+
+function paragraph(text) {
+  return { type: 'paragraph', content: inlineNodes(text) };
+}
+
+/**
+ * Convert markdown to an ADF document. Supports headings, bullet and numbered
+ * lists (flattened), fenced code blocks, paragraphs and bold/code marks.
+ * @param {string} markdown - Markdown text
+ * @returns {Object} ADF document
+ */
+export function markdownToADF(markdown) {
+  const content = [];
+  const lines = (markdown || '').split('\n');
+  let list = null;
+  let codeBlock = null;
+
+  const closeList = () => {
+    if (list) content.push(list);
+    list = null;
+  };
+
+  for (const line of lines) {
+    if (codeBlock) {
+      if (line.trim().startsWith('```')) {
+        content.push(codeBlock);
+        codeBlock = null;
+      } else {
+        const text = codeBlock.content[0].text;
+        codeBlock.content[0].text = text ? `${text}\n${line}` : line;
+      }
+      continue;
+    }
+
+    const fence = line.trim().match(/^```([\w-]*)/);
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (fence) {
+      closeList();
+      codeBlock = { type: 'codeBlock', attrs: fence[1] ? { language: fence[1] } : {}, content: [{ type: 'text', text: '' }] };
+    } else if (heading) {
+      closeList();
+      content.push({ type: 'heading', attrs: { level: heading[1].length }, content: inlineNodes(heading[2].trim()) });
+    } else if (bullet || numbered) {
+      const type = bullet ? 'bulletList' : 'orderedList';
+      if (!list || list.type !== type) {
+        closeList();
+        list = { type, content: [] };
+      }
+      list.content.push({ type: 'listItem', content: [paragraph((bullet || numbered)[1])] });
+    } else if (line.trim() === '') {
+      closeList();
+    } else {
+      closeList();
+      content.push(paragraph(line.trim()));
+    }
+  }
+  closeList();
+  if (codeBlock) content.push(codeBlock);
+
+  // ADF rejects empty text nodes: pad empty code blocks and drop empty paragraphs
+  content.forEach((node) => {
+    if (node.type === 'codeBlock' && !node.content[0].text) node.content[0].text = ' ';
+  });
+
+  return {
+    type: 'doc',
+    version: 1,
+    content: content.filter((node) => !node.content || node.content.length > 0),
+  };
+}
+
+/**
+ * Wrap source code in an ADF document with a single code block
+ * @param {string} code - Source code
+ * @param {string} language - Language of the code block
+ * @param {string} [intro] - Optional paragraph placed before the code
+ * @returns {Object} ADF document
+ */
+export function codeToADF(code, language, intro = null) {
+  const content = [];
+  if (intro) content.push(paragraph(intro));
+  content.push({ type: 'codeBlock', attrs: { language }, content: [{ type: 'text', text: code || ' ' }] });
+  return { type: 'doc', version: 1, content };
+}
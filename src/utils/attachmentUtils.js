@@ -0,0 +1,24 @@
+/**
+ * Attachment utilities for picking JIRA images to send to the model
+ */
+
+// Image formats accepted by the OpenAI vision API
+export const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Prompt tokens of one high-detail 1024x1024 image, used for estimates before images are downloaded
+export const IMAGE_TOKEN_ESTIMATE = 765;
+
+/**
+ * Select the image attachments that can be sent to the model
+ * @param {Array<Object>} attachments - JIRA attachment metadata (fields.attachment)
+ * @param {Object} limits
+ * @param {number} limits.maxImages - Maximum number of images
+ * @param {number} limits.maxImageBytes - Maximum size of a single image
+ * @returns {Array<Object>} Attachments within the limits, in JIRA order
+ */
+export function selectImageAttachments(attachments = [], { maxImages, maxImageBytes }) {
+  return attachments
+    .filter((attachment) => SUPPORTED_IMAGE_TYPES.includes(attachment.mimeType))
+    .filter((attachment) => !attachment.size || attachment.size <= maxImageBytes)
+    .slice(0, maxImages);
+}
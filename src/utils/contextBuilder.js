@@ -0,0 +1,221 @@
+/**
+ * Context builder utilities for turning a JIRA issue into the prompt context
+ */
+
+import { extractJiraData } from './uiDetection.js';
+import { generationConfig, jiraConfig } from '../config/index.js';
+import { getTokenizer } from './tokenizer.js';
+
+const TRUNCATION_MARKER = '... [truncated]';
+
+/**
+ * Rough token estimate: 1 token ~ 4 characters
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Convert a JIRA field value (ADF, string, option or array) to plain text
+ * @param {*} value - Raw JIRA field value
+ * @param {Function} extractTextFromADF - Function to extract text from ADF format
+ * @returns {string} Plain text
+ */
+function fieldToText(value, extractTextFromADF) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => fieldToText(item, extractTextFromADF)).filter(Boolean).join('\n');
+  }
+  if (typeof value === 'object') {
+    if (value.type === 'doc' && extractTextFromADF) return extractTextFromADF(value) || '';
+    return value.value || value.name || '';
+  }
+  return String(value);
+}
+
+/**
+ * Find acceptance criteria stored in custom fields, either configured by id
+ * or detected by field name when the issue was fetched with expand=names
+ * @param {Object} issue - JIRA issue object
+ * @param {string[]} fieldIds - Configured acceptance criteria field ids
+ * @param {Function} extractTextFromADF - Function to extract text from ADF format
+ * @returns {string[]} Acceptance criteria texts
+ */
+function extractCustomAcceptanceCriteria(issue, fieldIds, extractTextFromADF) {
+  const fields = issue.fields || {};
+  const names = issue.names || {};
+  const ids = new Set(fieldIds);
+  Object.entries(names).forEach(([id, name]) => {
+    if (/acceptance\s*criteria/i.test(name)) ids.add(id);
+  });
+
+  return [...ids]
+    .map((id) => fieldToText(fields[id], extractTextFromADF).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collect the context sections of a JIRA issue, ordered from highest to lowest priority.
+ * Text sections are truncated as a whole, list sections drop their last items first.
+ * @param {Object} issue - JIRA issue object
+ * @param {Object} options - See buildIssueContext
+ * @returns {Array<Object>} Sections with name, heading and text or items
+ */
+function collectSections(issue, { extractTextFromADF, acceptanceCriteriaFields }) {
+  const fields = issue.fields || {};
+  const issueData = extractJiraData(issue, extractTextFromADF);
+
+  const acceptanceCriteria = extractCustomAcceptanceCriteria(issue, acceptanceCriteriaFields, extractTextFromADF);
+  if (issueData.acceptanceCriteria && !acceptanceCriteria.includes(issueData.acceptanceCriteria)) {
+    acceptanceCriteria.push(issueData.acceptanceCriteria);
+  }
+
+  const labels = fields.labels || [];
+  const components = (fields.components || []).map((component) => component.name).filter(Boolean);
+  const classification = [];
+  if (labels.length > 0) classification.push(`Labels: ${labels.join(', ')}`);
+  if (components.length > 0) classification.push(`Components: ${components.join(', ')}`);
+
+  // Most recent comments first; authors are left out on purpose
+  const comments = (fields.comment?.comments || [])
+    .slice()
+    .reverse()
+    .map((comment) => fieldToText(comment.body, extractTextFromADF).trim())
+    .filter(Boolean)
+    .map((text) => `- ${text}`);
+
+  const linkedIssues = (fields.issuelinks || [])
+    .map((link) => {
+      const linked = link.outwardIssue || link.inwardIssue;
+      if (!linked) return null;
+      const relation = link.outwardIssue ? link.type?.outward : link.type?.inward;
+      const status = linked.fields?.status?.name;
+      return `- ${relation || 'relates to'} ${linked.key}: ${linked.fields?.summary || ''}${status ? ` (${status})` : ''}`;
+    })
+    .filter(Boolean);
+
+  const attachments = (fields.attachment || [])
+    .map((attachment) => `- ${attachment.filename}${attachment.mimeType ? ` (${attachment.mimeType})` : ''}`);
+
+  return [
+    { name: 'title', heading: 'Title', text: issueData.title },
+    { name: 'description', heading: 'Description', text: issueData.description },
+    { name: 'acceptanceCriteria', heading: 'Acceptance Criteria', text: acceptanceCriteria.join('\n\n') },
+    { name: 'classification', heading: 'Classification', items: classification },
+    { name: 'comments', heading: 'Comments', items: comments },
+    { name: 'linkedIssues', heading: 'Linked Issues', items: linkedIssues },
+    { name: 'attachments', heading: 'Attachments', items: attachments },
+  ];
+}
+
+function renderSection(section, body) {
+  return section.items ? `${section.heading}:\n${body}` : `${section.heading}: ${body}`;
+}
+
+/**
+ * Fit a section into the remaining token budget
+ * @returns {Object} Rendered text (or null when nothing fits) and whether it was truncated
+ */
+function fitSection(section, remaining, tokenizer) {
+  if (section.items) {
+    // Sum per-item counts instead of re-tokenizing the growing list
+    const kept = [];
+    let used = tokenizer(`${section.heading}:\n`);
+    for (const item of section.items) {
+      used += tokenizer(`${item}\n`);
+      if (used > remaining) break;
+      kept.push(item);
+    }
+    return {
+      text: kept.length > 0 ? renderSection(section, kept.join('\n')) : null,
+      truncated: kept.length < section.items.length,
+    };
+  }
+
+  const full = renderSection(section, section.text);
+  if (tokenizer(full) <= remaining) {
+    return { text: full, truncated: false };
+  }
+
+  // Binary search the longest prefix of the text that still fits
+  let low = 0;
+  let high = section.text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tokenizer(renderSection(section, section.text.slice(0, mid) + TRUNCATION_MARKER)) <= remaining) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return {
+    text: low > 0 ? renderSection(section, section.text.slice(0, low) + TRUNCATION_MARKER) : null,
+    truncated: true,
+  };
+}
+
+/**
+ * Build the prompt context for a JIRA issue within a token budget.
+ * Sections are filled in priority order (title, description, acceptance criteria,
+ * labels/components, comments, linked issues, attachments), so the lowest-priority
+ * sections are truncated or dropped first when the budget runs out.
+ * @param {Object} issue - JIRA issue object
+ * @param {Object} options
+ * @param {Function} options.extractTextFromADF - Function to extract text from ADF format
+ * @param {number} options.tokenBudget - Maximum tokens for the whole context
+ * @param {string[]} [options.acceptanceCriteriaFields] - Custom field ids holding acceptance criteria
+ * @param {Function} [options.tokenizer] - Token counting function, defaults to estimateTokens
+ * @returns {Object} context text, estimated tokens and per-section report
+ */
+export function buildIssueContext(issue, {
+  extractTextFromADF = null,
+  tokenBudget = Infinity,
+  acceptanceCriteriaFields = [],
+  tokenizer = estimateTokens,
+} = {}) {
+  const sections = collectSections(issue, { extractTextFromADF, acceptanceCriteriaFields })
+    .filter((section) => (section.items ? section.items.length > 0 : Boolean(section.text)));
+
+  const separatorTokens = tokenizer('\n\n');
+  let remaining = tokenBudget;
+  const parts = [];
+  const report = [];
+
+  for (const section of sections) {
+    const { text, truncated } = fitSection(section, remaining, tokenizer);
+    const tokens = text ? tokenizer(text) : 0;
+    if (text) {
+      parts.push(text);
+      remaining -= tokens + separatorTokens;
+    }
+    report.push({ name: section.name, tokens, truncated, dropped: !text });
+  }
+
+  const context = parts.join('\n\n');
+  return {
+    context,
+    estimatedTokens: tokenizer(context),
+    truncated: report.some((section) => section.truncated),
+    sections: report,
+  };
+}
+
+/**
+ * Build the context the way a generation does: configured budget and
+ * acceptance criteria fields, counted with the model's tokenizer
+ * @param {Object} issue - JIRA issue object
+ * @param {Object} jira - JiraService used for ADF extraction
+ * @param {string} model - Model the context is built for
+ * @returns {Object} See buildIssueContext
+ */
+export function buildGenerationContext(issue, jira, model) {
+  return buildIssueContext(issue, {
+    extractTextFromADF: (adf) => jira.extractTextFromADF(adf),
+    tokenBudget: generationConfig.contextTokenBudget,
+    acceptanceCriteriaFields: jiraConfig.acceptanceCriteriaFields,
+    tokenizer: getTokenizer(model),
+  });
+}
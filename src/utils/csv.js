@@ -0,0 +1,25 @@
+/**
+ * CSV utilities
+ */
+
+// Quote a value when it contains a delimiter, quote or line break
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<string|Object>} columns - Keys, or { key, header } pairs, in column order
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(rows, columns) {
+  const normalized = columns.map((column) => (typeof column === 'string' ? { key: column, header: column } : column));
+  const lines = [normalized.map((column) => escapeCsvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(normalized.map((column) => escapeCsvValue(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
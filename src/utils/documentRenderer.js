@@ -0,0 +1,70 @@
+/**
+ * Render generation documents (markdown test cases or automation code)
+ * to HTML or PDF, for downloads and JIRA attachments
+ */
+
+import { renderHtml } from './htmlRenderer.js';
+import { renderPdf } from './pdfRenderer.js';
+import { parseMarkdownBlocks, toPlainText } from './markdownBlocks.js';
+
+export const DOCUMENT_FORMATS = {
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+};
+
+/**
+ * Metadata shown in the document header
+ * @param {Object} generation - Generation document
+ * @param {Object|null} project - The generation's project
+ * @param {Object} [options]
+ * @param {string} [options.issueUrl] - Browse URL of the JIRA issue
+ * @returns {Object} title, issueKey, project, version, author and published status
+ */
+export function buildDocumentMeta(generation, project = null, { issueUrl = null } = {}) {
+  const markdown = generation.result?.markdown?.content;
+  const titleBlock = markdown
+    ? parseMarkdownBlocks(markdown).find((block) => block.type === 'heading' && block.level === 1)
+    : null;
+  const fallbackTitle = generation.result?.code
+    ? `Automated tests for ${generation.issueKey}`
+    : `Test Cases for ${generation.issueKey}`;
+
+  return {
+    title: titleBlock ? toPlainText(titleBlock.text) : fallbackTitle,
+    issueKey: generation.issueKey,
+    issueUrl,
+    projectKey: project?.projectKey || generation.issueKey?.split('-')[0] || null,
+    projectName: project?.name || null,
+    version: generation.currentVersion || 1,
+    author: generation.email,
+    published: Boolean(generation.published),
+    publishedAt: generation.publishedAt || null,
+    publishedBy: generation.publishedBy || null,
+    updatedAt: generation.updatedAt || generation.completedAt || null,
+  };
+}
+
+/**
+ * Render a generation's current output to HTML or PDF
+ * @param {Object} generation - Completed Generation document
+ * @param {string} format - 'html' or 'pdf'
+ * @param {Object} [options]
+ * @param {Object} [options.project] - The generation's project, for the header
+ * @param {string} [options.issueUrl] - Browse URL of the JIRA issue
+ * @returns {Promise<Object>} { body, extension, contentType } with a string (HTML) or Buffer (PDF) body
+ */
+export async function renderGenerationDocument(generation, format, { project = null, issueUrl = null } = {}) {
+  const documentFormat = DOCUMENT_FORMATS[format];
+  if (!documentFormat) {
+    throw new Error(`Unsupported document format: ${format}`);
+  }
+
+  const code = generation.result?.code;
+  const content = code?.content || generation.result?.markdown?.content || '';
+  const meta = buildDocumentMeta(generation, project, { issueUrl });
+  const body = format === 'pdf'
+    ? await renderPdf(content, meta, { code: Boolean(code) })
+    : renderHtml(content, meta, { code: Boolean(code), language: code?.language });
+
+  return { body, ...documentFormat };
+}
@@ -0,0 +1,256 @@
+/**
+ * Export structured test suites to the import formats of test management tools
+ */
+
+import ExcelJS from 'exceljs';
+import { toCsv } from './csv.js';
+
+// Pair steps with expected results: one per step when the counts match,
+// otherwise all expected results go on the last step
+function pairStepsWithResults(testCase) {
+  const { steps, expectedResults } = testCase;
+  if (steps.length === expectedResults.length) {
+    return steps.map((step, index) => ({ step, expected: expectedResults[index] }));
+  }
+  return steps.map((step, index) => ({
+    step,
+    expected: index === steps.length - 1 ? expectedResults.join('\n') : '',
+  }));
+}
+
+function numbered(items) {
+  return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * TestRail CSV ("Test Case (Steps)" template): one row per step,
+ * rows without a title continue the previous test case
+ */
+function toTestRailCsv(testSuite, { issueKey }) {
+  const rows = testSuite.testCases.flatMap((testCase) =>
+    pairStepsWithResults(testCase).map(({ step, expected }, index) => (index === 0
+      ? {
+        title: `${testCase.id}: ${testCase.title}`,
+        section: testCase.category,
+        priority: testCase.priority || 'Medium',
+        type: 'Functional',
+        preconditions: testCase.preconditions.join('\n'),
+        references: issueKey,
+        step,
+        expected,
+      }
+      : { step, expected })));
+
+  return toCsv(rows, [
+    { key: 'title', header: 'Title' },
+    { key: 'section', header: 'Section' },
+    { key: 'priority', header: 'Priority' },
+    { key: 'type', header: 'Type' },
+    { key: 'preconditions', header: 'Preconditions' },
+    { key: 'references', header: 'References' },
+    { key: 'step', header: 'Steps (Step)' },
+    { key: 'expected', header: 'Steps (Expected Result)' },
+  ]);
+}
+
+/**
+ * Zephyr Scale CSV: one row per step, the first row carries the test case fields
+ */
+function toZephyrCsv(testSuite, { issueKey }) {
+  const rows = testSuite.testCases.flatMap((testCase) =>
+    pairStepsWithResults(testCase).map(({ step, expected }, index) => (index === 0
+      ? {
+        name: `${testCase.id}: ${testCase.title}`,
+        objective: testCase.acceptanceCriterion || '',
+        precondition: testCase.preconditions.join('\n'),
+        folder: `/${issueKey}/${testCase.category}`,
+        status: 'Draft',
+        priority: testCase.priority || 'Normal',
+        labels: slug(testCase.category),
+        coverage: issueKey,
+        step,
+        expected,
+      }
+      : { step, expected })));
+
+  return toCsv(rows, [
+    { key: 'name', header: 'Name' },
+    { key: 'objective', header: 'Objective' },
+    { key: 'precondition', header: 'Precondition' },
+    { key: 'folder', header: 'Folder' },
+    { key: 'status', header: 'Status' },
+    { key: 'priority', header: 'Priority' },
+    { key: 'labels', header: 'Labels' },
+    { key: 'coverage', header: 'Coverage (Issues)' },
+    { key: 'step', header: 'Test Script (Step-by-Step) - Step' },
+    { key: 'testData', header: 'Test Script (Step-by-Step) - Test Data' },
+    { key: 'expected', header: 'Test Script (Step-by-Step) - Expected Result' },
+  ]);
+}
+
+/**
+ * Xray test import JSON: manual tests linked to the story they cover
+ */
+function toXrayJson(testSuite, { issueKey, projectKey }) {
+  const tests = testSuite.testCases.map((testCase) => ({
+    testtype: 'Manual',
+    fields: {
+      summary: `${testCase.id}: ${testCase.title}`,
+      project: { key: projectKey },
+      ...(testCase.priority ? { priority: { name: testCase.priority } } : {}),
+      labels: [slug(testCase.category)],
+      description: [
+        testCase.acceptanceCriterion ? `Acceptance criterion: ${testCase.acceptanceCriterion}` : null,
+        testCase.preconditions.length > 0 ? `Preconditions:\n${testCase.preconditions.map((item) => `- ${item}`).join('\n')}` : null,
+      ].filter(Boolean).join('\n\n'),
+    },
+    update: {
+      issuelinks: [{ add: { type: { name: 'Test' }, outwardIssue: { key: issueKey } } }],
+    },
+    steps: pairStepsWithResults(testCase).map(({ step, expected }) => ({
+      action: step,
+      data: '',
+      result: expected,
+    })),
+  }));
+  return JSON.stringify(tests, null, 2);
+}
+
+/**
+ * JUnit XML skeleton: one skipped testcase per test case, grouped by category,
+ * to be replaced as tests get automated
+ */
+function toJUnitXml(testSuite, { issueKey }) {
+  const categories = new Map();
+  for (const testCase of testSuite.testCases) {
+    if (!categories.has(testCase.category)) categories.set(testCase.category, []);
+    categories.get(testCase.category).push(testCase);
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(testSuite.title || issueKey)}" tests="${testSuite.testCases.length}" skipped="${testSuite.testCases.length}">`,
+  ];
+  for (const [category, testCases] of categories) {
+    lines.push(`  <testsuite name="${escapeXml(category)}" tests="${testCases.length}" skipped="${testCases.length}">`);
+    for (const testCase of testCases) {
+      lines.push(
+        `    <testcase classname="${escapeXml(`${issueKey}.${slug(category)}`)}" name="${escapeXml(`${testCase.id}: ${testCase.title}`)}">`,
+        '      <properties>',
+        `        <property name="requirement" value="${escapeXml(issueKey)}"/>`,
+        ...(testCase.priority ? [`        <property name="priority" value="${escapeXml(testCase.priority)}"/>`] : []),
+        ...(testCase.acceptanceCriterion ? [`        <property name="acceptanceCriterion" value="${escapeXml(testCase.acceptanceCriterion)}"/>`] : []),
+        '      </properties>',
+        '      <skipped message="Not automated yet"/>',
+        `      <system-out>${escapeXml(`Steps:\n${numbered(testCase.steps)}\n\nExpected results:\n${numbered(testCase.expectedResults)}`)}</system-out>`,
+        '    </testcase>',
+      );
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Gherkin feature file: one scenario per test case, preconditions as Given,
+ * steps as When and expected results as Then
+ */
+function toGherkin(testSuite, { issueKey }) {
+  const keywordLines = (keyword, items) =>
+    items.map((item, index) => `    ${index === 0 ? keyword : 'And'} ${item.replace(/\s*\n\s*/g, ' ')}`);
+
+  const lines = [`@${issueKey}`, `Feature: ${testSuite.title || `Test Cases for ${issueKey}`}`];
+  for (const testCase of testSuite.testCases) {
+    const tags = [testCase.id, testCase.priority, testCase.category].filter(Boolean).map((tag) => `@${slug(tag)}`);
+    lines.push('', `  ${tags.join(' ')}`, `  Scenario: ${testCase.title}`);
+    if (testCase.acceptanceCriterion) {
+      lines.push(`    # Acceptance criterion: ${testCase.acceptanceCriterion.replace(/\s*\n\s*/g, ' ')}`);
+    }
+    lines.push(
+      ...keywordLines('Given', testCase.preconditions),
+      ...keywordLines('When', testCase.steps),
+      ...keywordLines('Then', testCase.expectedResults),
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Excel workbook with one row per test case
+async function toXlsx(testSuite, { issueKey }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Test Cases');
+  sheet.columns = [
+    { header: 'ID', key: 'id', width: 10 },
+    { header: 'Title', key: 'title', width: 40 },
+    { header: 'Category', key: 'category', width: 24 },
+    { header: 'Priority', key: 'priority', width: 10 },
+    { header: 'Preconditions', key: 'preconditions', width: 40 },
+    { header: 'Steps', key: 'steps', width: 60 },
+    { header: 'Expected Results', key: 'expectedResults', width: 50 },
+    { header: 'Acceptance Criterion', key: 'acceptanceCriterion', width: 40 },
+    { header: 'Requirement', key: 'requirement', width: 14 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const testCase of testSuite.testCases) {
+    const row = sheet.addRow({
+      ...testCase,
+      preconditions: testCase.preconditions.join('\n'),
+      steps: numbered(testCase.steps),
+      expectedResults: numbered(testCase.expectedResults),
+      requirement: issueKey,
+    });
+    row.alignment = { vertical: 'top', wrapText: true };
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Supported export formats with their file extension and content type
+export const EXPORT_FORMATS = {
+  'testrail-csv': { extension: 'testrail.csv', contentType: 'text/csv; charset=utf-8', render: toTestRailCsv },
+  'zephyr-csv': { extension: 'zephyr.csv', contentType: 'text/csv; charset=utf-8', render: toZephyrCsv },
+  'xray-json': { extension: 'xray.json', contentType: 'application/json; charset=utf-8', render: toXrayJson },
+  'junit-xml': { extension: 'junit.xml', contentType: 'application/xml; charset=utf-8', render: toJUnitXml },
+  gherkin: { extension: 'feature', contentType: 'text/plain; charset=utf-8', render: toGherkin },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: toXlsx,
+  },
+};
+
+/**
+ * Export a test suite to one of EXPORT_FORMATS
+ * @param {Object} testSuite - { title, testCases }
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options
+ * @param {string} options.issueKey - JIRA issue the test cases cover
+ * @param {string} [options.projectKey] - JIRA project the tests are imported into
+ * @returns {Promise<Object>} { body, extension, contentType } with a string or Buffer body
+ */
+export async function exportTestSuite(testSuite, format, { issueKey, projectKey = null }) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  const body = await exporter.render(testSuite, {
+    issueKey,
+    projectKey: projectKey || issueKey.split('-')[0],
+  });
+  return { body, extension: exporter.extension, contentType: exporter.contentType };
+}
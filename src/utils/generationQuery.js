@@ -0,0 +1,229 @@
+/**
+ * Query parameters of the generation list: filters, sorting, opaque cursors
+ * and field projections
+ */
+
+import mongoose from 'mongoose';
+import Generation from '../models/Generation.js';
+
+const STATUSES = ['pending', 'running', 'completed', 'failed'];
+const MODES = ['manual', 'auto'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+export const SORT_FIELDS = ['createdAt', 'updatedAt', 'cost', 'generationTimeSeconds'];
+// Dates as written by Date.prototype.toISOString
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Error for invalid list parameters
+export class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new ListQueryError(`${name} must be a number`);
+  return number;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ListQueryError(`${name} must be an ISO date`);
+  return date;
+}
+
+// Comma separated list restricted to the allowed values
+function parseList(value, allowed, name) {
+  if (value === undefined || value === '') return undefined;
+  const values = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+  const invalid = values.filter((item) => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new ListQueryError(`Invalid ${name}: ${invalid.join(', ')}. Expected ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function range(min, max) {
+  return { ...(min !== undefined ? { $gte: min } : {}), ...(max !== undefined ? { $lte: max } : {}) };
+}
+
+/**
+ * Parse the projectKey filter
+ * @param {string} [value] - Project key, case-insensitive
+ * @returns {string|undefined} Uppercased project key
+ * @throws {ListQueryError} When the key is invalid
+ */
+export function parseProjectKey(value) {
+  if (value === undefined || value === '') return undefined;
+  const projectKey = String(value).trim().toUpperCase();
+  if (!/^[A-Z][A-Z0-9]+$/.test(projectKey)) throw new ListQueryError(`Invalid project key: "${value}"`);
+  return projectKey;
+}
+
+/**
+ * Mongo conditions for the list filters
+ * @param {Object} query - req.query with status, mode, projectKey, issueKey (prefix),
+ * author, published, minCost, maxCost, from and to
+ * @param {Object} [options]
+ * @param {Object|null} [options.project] - Project of query.projectKey, null when it doesn't exist
+ * @returns {Array<Object>} Conditions to combine with $and
+ * @throws {ListQueryError} When a parameter is invalid
+ */
+export function buildListFilters(query, { project = null } = {}) {
+  const conditions = [];
+
+  const statuses = parseList(query.status, STATUSES, 'status');
+  if (statuses) conditions.push({ status: { $in: statuses } });
+
+  const modes = parseList(query.mode, MODES, 'mode');
+  if (modes) conditions.push({ mode: { $in: modes } });
+
+  if (parseProjectKey(query.projectKey)) {
+    // Generations reference their project, an unknown project matches nothing
+    conditions.push({ project: project ? project._id : { $in: [] } });
+  }
+
+  if (query.issueKey) {
+    const prefix = String(query.issueKey).trim().toUpperCase();
+    if (!/^[A-Z0-9-]+$/.test(prefix)) throw new ListQueryError(`Invalid issue key: "${query.issueKey}"`);
+    conditions.push({ issueKey: new RegExp(`^${prefix}`) });
+  }
+
+  if (query.author) {
+    conditions.push({ email: String(query.author).trim().toLowerCase() });
+  }
+
+  if (query.published !== undefined && query.published !== '') {
+    if (!['true', 'false'].includes(query.published)) throw new ListQueryError('published must be true or false');
+    // Older generations may not store the flag
+    conditions.push(query.published === 'true' ? { published: true } : { published: { $ne: true } });
+  }
+
+  const minCost = parseNumber(query.minCost, 'minCost');
+  const maxCost = parseNumber(query.maxCost, 'maxCost');
+  if (minCost !== undefined || maxCost !== undefined) conditions.push({ cost: range(minCost, maxCost) });
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from || to) conditions.push({ createdAt: range(from, to) });
+
+  return conditions;
+}
+
+/**
+ * Parse the sort parameter: a field of SORT_FIELDS, descending with a leading "-"
+ * @param {string} [value] - e.g. "-cost" or "updatedAt"
+ * @returns {Object} { field, direction } with direction 1 or -1
+ */
+export function parseSort(value) {
+  if (value === undefined || value === '') return { field: 'createdAt', direction: -1 };
+  const field = String(value).replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ListQueryError(`Invalid sort: ${value}. Expected one of ${SORT_FIELDS.join(', ')}, with "-" for descending`);
+  }
+  return { field, direction: String(value).startsWith('-') ? -1 : 1 };
+}
+
+// Mongo sort with the id as tie-breaker so cursors are stable
+export function toMongoSort({ field, direction }) {
+  return { [field]: direction, _id: direction };
+}
+
+/**
+ * Opaque cursor pointing after a generation in the given sort order
+ * @param {Object} generation - Last generation of a page
+ * @param {Object} sort - Result of parseSort
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(generation, sort) {
+  const value = generation[sort.field];
+  return Buffer.from(JSON.stringify({
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: String(generation._id),
+  })).toString('base64url');
+}
+
+// Cursor for offset based pages, used by search results ranked by relevance
+export function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+// The sort value of a cursor ends up in a query, so it must be null or of the field's type
+function isValidCursorValue(field, value) {
+  if (value === null) return true;
+  if (DATE_SORT_FIELDS.includes(field)) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+  }
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Decode a cursor made by encodeCursor or encodeOffsetCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} Decoded cursor
+ * @throws {ListQueryError} When the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const isOffset = Number.isInteger(decoded?.o) && decoded.o >= 0;
+    const isPosition = SORT_FIELDS.includes(decoded?.f) && mongoose.isValidObjectId(decoded.id) &&
+      isValidCursorValue(decoded.f, decoded.v);
+    if (isOffset || isPosition) {
+      return decoded;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new ListQueryError('Invalid cursor');
+}
+
+/**
+ * Condition selecting the generations after a cursor. Missing values sort
+ * first, so they come last in descending order.
+ * @param {Object} cursor - Result of decodeCursor
+ * @param {Object} sort - Result of parseSort, must match the cursor
+ * @returns {Object} Mongo condition
+ */
+export function buildCursorFilter(cursor, sort) {
+  if (cursor.f !== sort.field || cursor.d !== sort.direction) {
+    throw new ListQueryError('The cursor belongs to a different sort order');
+  }
+  const { field, direction } = sort;
+  const value = cursor.v !== null && DATE_SORT_FIELDS.includes(field) ? new Date(cursor.v) : cursor.v;
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const after = direction === -1 ? '$lt' : '$gt';
+
+  if (value === null) {
+    return direction === -1
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      { [field]: value, _id: { [after]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+}
+
+/**
+ * Parse the fields parameter into a projection of top-level Generation fields
+ * @param {string} [value] - Comma separated field names
+ * @returns {Array<string>|null} Field names, null for all fields
+ * @throws {ListQueryError} When a field doesn't exist
+ */
+export function parseFields(value) {
+  if (value === undefined || value === '') return null;
+  const known = new Set(Object.keys(Generation.schema.paths).map((path) => path.split('.')[0]));
+  const fields = String(value).split(',').map((field) => field.trim()).filter(Boolean);
+  const unknown = fields.filter((field) => !known.has(field));
+  if (unknown.length > 0) throw new ListQueryError(`Unknown fields: ${unknown.join(', ')}`);
+  return fields;
+}
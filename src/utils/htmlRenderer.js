@@ -0,0 +1,148 @@
+/**
+ * HTML rendering of generated test case documents: a standalone page with
+ * inline styles, a metadata header and a table of contents
+ */
+
+import { buildToc, parseInline, parseMarkdownBlocks } from './markdownBlocks.js';
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; line-height: 1.5; max-width: 960px; margin: 0 auto; padding: 32px; }
+  header.doc-header { border-bottom: 2px solid #0052cc; padding-bottom: 16px; margin-bottom: 24px; }
+  header.doc-header h1 { margin: 0 0 12px; font-size: 1.8em; }
+  dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; font-size: 0.92em; }
+  dl.meta dt { font-weight: 600; color: #57606a; }
+  dl.meta dd { margin: 0; }
+  .badge { display: inline-block; padding: 0 8px; border-radius: 10px; font-size: 0.85em; font-weight: 600; }
+  .badge.published { background: #dafbe1; color: #116329; }
+  .badge.draft { background: #fff8c5; color: #7d4e00; }
+  nav.toc { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 24px; margin-bottom: 32px; }
+  nav.toc h2 { font-size: 1.1em; margin: 4px 0 8px; }
+  nav.toc ol { margin: 0; padding-left: 20px; }
+  nav.toc a { color: #0969da; text-decoration: none; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 4px; margin-top: 32px; }
+  h3 { margin-top: 24px; }
+  code { font-family: SFMono-Regular, Consolas, "Liberation Mono", monospace; font-size: 0.9em; background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+  pre { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; overflow-x: auto; }
+  pre code { background: none; padding: 0; }
+  blockquote { margin: 0; padding: 0 12px; border-left: 4px solid #d0d7de; color: #57606a; }
+  @media print { body { padding: 0; } nav.toc { page-break-after: always; } h2, h3 { page-break-after: avoid; } }
+`;
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderInline(text) {
+  return parseInline(text).map((span) => {
+    const escaped = escapeHtml(span.text);
+    if (span.bold) return `<strong>${escaped}</strong>`;
+    if (span.italic) return `<em>${escaped}</em>`;
+    if (span.code) return `<code>${escaped}</code>`;
+    if (span.href) return `<a href="${escapeHtml(span.href)}" rel="noopener noreferrer">${escaped}</a>`;
+    return escaped;
+  }).join('');
+}
+
+// Nested lists are rebuilt from item depths; a list type change at the same depth starts a new list
+function renderList(items, renderItem = (item) => renderInline(item.text)) {
+  const html = [];
+  const open = [];
+  for (const item of items) {
+    const tag = item.ordered ? 'ol' : 'ul';
+    while (open.length > item.depth + 1 || (open.length === item.depth + 1 && open[open.length - 1] !== tag)) {
+      html.push(`</li></${open.pop()}>`);
+    }
+    if (open.length === item.depth + 1) {
+      html.push('</li>');
+    }
+    while (open.length < item.depth + 1) {
+      html.push(`<${tag}>`);
+      open.push(tag);
+    }
+    html.push(`<li>${renderItem(item)}`);
+  }
+  while (open.length > 0) {
+    html.push(`</li></${open.pop()}>`);
+  }
+  return html.join('');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level} id="${escapeHtml(block.id)}">${renderInline(block.text)}</h${block.level}>`;
+    case 'list':
+      return renderList(block.items);
+    case 'code':
+      return `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+    case 'quote':
+      return `<blockquote><p>${renderInline(block.text)}</p></blockquote>`;
+    case 'rule':
+      return '<hr>';
+    default:
+      return `<p>${renderInline(block.text)}</p>`;
+  }
+}
+
+function renderToc(entries) {
+  if (entries.length === 0) return '';
+  const items = entries.map((entry) => ({ ...entry, depth: Math.max(0, entry.level - 2), ordered: true }));
+  const html = renderList(items, (item) => `<a href="#${escapeHtml(item.id)}">${escapeHtml(item.title)}</a>`);
+  return `<nav class="toc"><h2>Contents</h2>${html}</nav>`;
+}
+
+function renderHeader(meta) {
+  const status = meta.published
+    ? `<span class="badge published">Published</span>${meta.publishedAt ? ` on ${escapeHtml(meta.publishedAt.toISOString().slice(0, 10))}` : ''}${meta.publishedBy ? ` by ${escapeHtml(meta.publishedBy)}` : ''}`
+    : '<span class="badge draft">Draft</span>';
+  const rows = [
+    ['Issue', meta.issueUrl ? `<a href="${escapeHtml(meta.issueUrl)}">${escapeHtml(meta.issueKey)}</a>` : escapeHtml(meta.issueKey)],
+    ['Project', escapeHtml(meta.projectName ? `${meta.projectName} (${meta.projectKey})` : meta.projectKey || '-')],
+    ['Version', escapeHtml(meta.version)],
+    ['Author', escapeHtml(meta.author || '-')],
+    ['Status', status],
+    ['Updated', escapeHtml(meta.updatedAt ? meta.updatedAt.toISOString().replace('T', ' ').slice(0, 16) : '-')],
+  ];
+  return `<header class="doc-header"><h1>${escapeHtml(meta.title)}</h1><dl class="meta">${rows
+    .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+    .join('')}</dl></header>`;
+}
+
+/**
+ * Render a generated document to a standalone HTML page
+ * @param {string} content - Markdown or source code
+ * @param {Object} meta - Document metadata, see buildDocumentMeta
+ * @param {Object} [options]
+ * @param {boolean} [options.code] - Render the whole content as a code block
+ * @param {string} [options.language] - Language of the code
+ * @returns {string} HTML document
+ */
+export function renderHtml(content, meta, { code = false, language = null } = {}) {
+  const blocks = code
+    ? [{ type: 'code', language, text: content || '' }]
+    : parseMarkdownBlocks(content).filter((block, index) => !(index === 0 && block.type === 'heading' && block.level === 1));
+  const toc = renderToc(buildToc(blocks));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(meta.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${renderHeader(meta)}
+${toc}
+<main>
+${blocks.map(renderBlock).join('\n')}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Minimal markdown parser shared by the HTML and PDF renderers.
+ * Covers what generated documents use: headings, paragraphs, nested lists,
+ * code blocks, block quotes, rules and inline emphasis, code and links.
+ */
+
+const INLINE_PATTERN = /(\*\*|__)(.+?)\1|(\*|_)(?!\s)(.+?)\3|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+/**
+ * Split inline markdown into styled spans
+ * @param {string} text - Inline markdown
+ * @returns {Array<Object>} Spans with text and optional bold, italic, code and href
+ */
+export function parseInline(text) {
+  const spans = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) spans.push({ text: text.slice(lastIndex, match.index) });
+    if (match[2] !== undefined) spans.push({ text: match[2], bold: true });
+    else if (match[4] !== undefined) spans.push({ text: match[4], italic: true });
+    else if (match[5] !== undefined) spans.push({ text: match[5], code: true });
+    else spans.push({ text: match[6], href: match[7] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) spans.push({ text: text.slice(lastIndex) });
+  return spans;
+}
+
+// Inline markdown without its markup
+export function toPlainText(text) {
+  return parseInline(text).map((span) => span.text).join('');
+}
+
+function slugify(text) {
+  return toPlainText(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+/**
+ * Parse a markdown document into blocks
+ * @param {string} markdown - Markdown document
+ * @returns {Array<Object>} Blocks: heading (level, text, id), paragraph (text), quote (text),
+ * list (items with text, depth and ordered), code (language, text) and rule
+ */
+export function parseMarkdownBlocks(markdown) {
+  const blocks = [];
+  const usedIds = new Map();
+  let paragraph = null;
+  let list = null;
+  let code = null;
+
+  const flush = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (const line of (markdown || '').split('\n')) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        code = null;
+      } else {
+        code.lines.push(line);
+      }
+      continue;
+    }
+
+    const fence = line.match(/^\s*```\s*([\w-]*)/);
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+
+    if (fence) {
+      flush();
+      code = { type: 'code', language: fence[1] || null, lines: [] };
+      blocks.push(code);
+    } else if (heading) {
+      flush();
+      // Anchors are unique so repeated headings still link to the right place
+      const base = slugify(heading[2]);
+      const count = usedIds.get(base) || 0;
+      usedIds.set(base, count + 1);
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        text: heading[2],
+        id: count === 0 ? base : `${base}-${count + 1}`,
+      });
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (listItem) {
+      paragraph = null;
+      if (!list) {
+        list = { type: 'list', items: [] };
+        blocks.push(list);
+      }
+      list.items.push({
+        text: listItem[3],
+        depth: Math.floor(listItem[1].replace(/\t/g, '  ').length / 2),
+        ordered: /\d/.test(listItem[2]),
+      });
+    } else if (quote) {
+      flush();
+      blocks.push({ type: 'quote', text: quote[1] });
+    } else if (line.trim() === '') {
+      flush();
+    } else if (list && /^\s+/.test(line)) {
+      // Indented continuation of the previous list item
+      list.items[list.items.length - 1].text += ` ${line.trim()}`;
+    } else if (paragraph) {
+      paragraph.text += ` ${line.trim()}`;
+    } else {
+      list = null;
+      paragraph = { type: 'paragraph', text: line.trim() };
+      blocks.push(paragraph);
+    }
+  }
+
+  return blocks.map((block) => (block.type === 'code'
+    ? { type: 'code', language: block.language, text: block.lines.join('\n') }
+    : block));
+}
+
+/**
+ * Table of contents entries: every heading below the document title
+ * @param {Array<Object>} blocks - Result of parseMarkdownBlocks
+ * @param {number} [maxLevel] - Deepest heading level to include
+ * @returns {Array<Object>} Entries with level, title (plain text) and id
+ */
+export function buildToc(blocks, maxLevel = 3) {
+  return blocks
+    .filter((block) => block.type === 'heading' && block.level >= 2 && block.level <= maxLevel)
+    .map((block) => ({ level: block.level, title: toPlainText(block.text), id: block.id }));
+}
@@ -0,0 +1,266 @@
+/**
+ * PDF rendering of generated test case documents with a metadata header,
+ * a linked table of contents and page footers. Embeds the DejaVu fonts shipped
+ * with the dejavu-fonts-ttf package, so rendering needs no browser or network
+ * access and covers Latin, Greek, Cyrillic and common symbols; characters the
+ * fonts lack, such as CJK, are printed as "?".
+ */
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import * as fontkit from 'fontkit';
+import PDFDocument from 'pdfkit';
+import { buildToc, parseInline, parseMarkdownBlocks, toPlainText } from './markdownBlocks.js';
+
+const require = createRequire(import.meta.url);
+
+// Font files by the name documents register them under
+const FONT_FILES = {
+  regular: 'DejaVuSans.ttf',
+  bold: 'DejaVuSans-Bold.ttf',
+  italic: 'DejaVuSans-Oblique.ttf',
+  code: 'DejaVuSansMono.ttf',
+};
+const FONTS = Object.fromEntries(Object.entries(FONT_FILES).map(([name, file]) => {
+  const data = readFileSync(require.resolve(`dejavu-fonts-ttf/ttf/${file}`));
+  return [name, { data, face: fontkit.create(data) }];
+}));
+
+const HEADING_SIZES = { 1: 20, 2: 16, 3: 13, 4: 12, 5: 11, 6: 11 };
+const BODY_SIZE = 10;
+const CODE_SIZE = 9;
+const MARGIN = 50;
+const ACCENT = '#0052cc';
+const MUTED = '#57606a';
+
+function spanFont(span) {
+  if (span.code) return 'code';
+  if (span.bold) return 'bold';
+  if (span.italic) return 'italic';
+  return 'regular';
+}
+
+// Replace the characters a font has no glyph for, which would otherwise print as empty boxes
+function printable(text, font) {
+  const { face } = FONTS[font];
+  return Array.from(String(text), (char) => (
+    /\s/.test(char) || face.hasGlyphForCodePoint(char.codePointAt(0)) ? char : '?'
+  )).join('');
+}
+
+// Index of the page being written, 0-based
+function currentPage(doc) {
+  const range = doc.bufferedPageRange();
+  return range.start + range.count - 1;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Write styled inline spans as one paragraph starting at the given indent
+function writeSpans(doc, spans, { indent = 0, size = BODY_SIZE, prefix = null, color = 'black' } = {}) {
+  const parts = prefix ? [{ text: prefix }, ...spans] : spans;
+  const x = doc.page.margins.left + indent;
+  const width = contentWidth(doc) - indent;
+  if (parts.length === 0) return;
+
+  parts.forEach((span, index) => {
+    const font = spanFont(span);
+    doc.font(font).fontSize(size).fillColor(span.href ? ACCENT : color);
+    const options = {
+      continued: index < parts.length - 1,
+      link: span.href || null,
+      underline: Boolean(span.href),
+    };
+    if (index === 0) {
+      doc.text(printable(span.text, font), x, doc.y, { ...options, width });
+    } else {
+      doc.text(printable(span.text, font), options);
+    }
+  });
+  doc.fillColor('black');
+  doc.x = doc.page.margins.left;
+}
+
+function writeHeader(doc, meta) {
+  doc.font('bold').fontSize(HEADING_SIZES[1]).fillColor('black').text(printable(meta.title, 'bold'));
+  doc.moveDown(0.5);
+
+  const status = meta.published
+    ? `Published${meta.publishedAt ? ` on ${meta.publishedAt.toISOString().slice(0, 10)}` : ''}${meta.publishedBy ? ` by ${meta.publishedBy}` : ''}`
+    : 'Draft';
+  const rows = [
+    ['Issue', meta.issueKey],
+    ['Project', meta.projectName ? `${meta.projectName} (${meta.projectKey})` : meta.projectKey || '-'],
+    ['Version', String(meta.version)],
+    ['Author', meta.author || '-'],
+    ['Status', status],
+    ['Updated', meta.updatedAt ? meta.updatedAt.toISOString().replace('T', ' ').slice(0, 16) : '-'],
+  ];
+
+  const labelWidth = 70;
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font('bold').fontSize(BODY_SIZE).fillColor(MUTED)
+      .text(label, MARGIN, y, { width: labelWidth });
+    doc.font('regular').fillColor(label === 'Issue' && meta.issueUrl ? ACCENT : 'black')
+      .text(printable(value, 'regular'), MARGIN + labelWidth, y, {
+        width: contentWidth(doc) - labelWidth,
+        link: label === 'Issue' ? meta.issueUrl || null : null,
+      });
+  }
+
+  doc.fillColor('black').moveDown(0.5);
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(2).strokeColor(ACCENT).stroke();
+  doc.moveDown(1);
+}
+
+// Table of contents; page numbers are blank on the first pass
+function writeToc(doc, entries, headingPages) {
+  if (entries.length === 0) return;
+  doc.font('bold').fontSize(HEADING_SIZES[2]).text('Contents', MARGIN, doc.y);
+  doc.moveDown(0.5);
+
+  const numberWidth = 40;
+  for (const entry of entries) {
+    const indent = (entry.level - 2) * 15;
+    const y = doc.y;
+    const page = headingPages?.get(entry.id);
+    const font = entry.level === 2 ? 'bold' : 'regular';
+    doc.font(font).fontSize(BODY_SIZE).fillColor(ACCENT)
+      .text(printable(entry.title, font), MARGIN + indent, y, {
+        width: contentWidth(doc) - indent - numberWidth,
+        height: BODY_SIZE * 1.3,
+        ellipsis: true,
+        goTo: entry.id,
+      });
+    doc.fillColor('black').text(page !== undefined ? String(page + 1) : '', doc.page.width - MARGIN - numberWidth, y, {
+      width: numberWidth,
+      align: 'right',
+    });
+    doc.y = Math.max(doc.y, y + BODY_SIZE * 1.4);
+  }
+  doc.x = MARGIN;
+  doc.addPage();
+}
+
+function writeCode(doc, text) {
+  doc.moveDown(0.3);
+  doc.font('code').fontSize(CODE_SIZE).fillColor('#24292f')
+    .text(printable(text || ' ', 'code'), MARGIN + 8, doc.y, { width: contentWidth(doc) - 16 });
+  doc.fillColor('black').moveDown(0.5);
+  doc.x = MARGIN;
+}
+
+function writeBlocks(doc, blocks, headingPages) {
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        // Keep headings together with the text that follows them
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+        doc.moveDown(block.level <= 2 ? 0.8 : 0.5);
+        doc.addNamedDestination(block.id);
+        headingPages.set(block.id, currentPage(doc));
+        doc.font('bold').fontSize(HEADING_SIZES[block.level])
+          .fillColor(block.level === 2 ? ACCENT : 'black')
+          .text(printable(toPlainText(block.text), 'bold'), MARGIN, doc.y, { width: contentWidth(doc) });
+        doc.fillColor('black').moveDown(0.3);
+        break;
+      case 'list': {
+        const counters = [];
+        for (const item of block.items) {
+          counters.length = item.depth + 1;
+          counters[item.depth] = (counters[item.depth] || 0) + 1;
+          writeSpans(doc, parseInline(item.text), {
+            indent: 10 + item.depth * 15,
+            prefix: item.ordered ? `${counters[item.depth]}. ` : '• ',
+          });
+        }
+        doc.moveDown(0.4);
+        break;
+      }
+      case 'code':
+        writeCode(doc, block.text);
+        break;
+      case 'quote':
+        writeSpans(doc, parseInline(block.text), { indent: 15, color: MUTED });
+        doc.moveDown(0.4);
+        break;
+      case 'rule':
+        doc.moveDown(0.3);
+        doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(0.5).strokeColor('#d0d7de').stroke();
+        doc.moveDown(0.5);
+        break;
+      default:
+        writeSpans(doc, parseInline(block.text));
+        doc.moveDown(0.4);
+    }
+  }
+}
+
+// Footer with the issue key and page numbers on every page
+function writeFooters(doc, meta) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise trigger a page break
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('regular').fontSize(8).fillColor(MUTED)
+      .text(`${meta.issueKey} · v${meta.version} · Page ${index + 1} of ${range.count}`, MARGIN, doc.page.height - 35, {
+        width: contentWidth(doc),
+        align: 'center',
+        lineBreak: false,
+      });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+function renderPass(blocks, meta, tocEntries, headingPages) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: meta.title, Author: meta.author || '', Subject: meta.issueKey },
+    });
+    Object.entries(FONTS).forEach(([name, { data }]) => doc.registerFont(name, data));
+    const chunks = [];
+    const pages = new Map();
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), headingPages: pages }));
+    doc.on('error', reject);
+
+    try {
+      writeHeader(doc, meta);
+      writeToc(doc, tocEntries, headingPages);
+      writeBlocks(doc, blocks, pages);
+      writeFooters(doc, meta);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Render a generated document to a PDF buffer
+ * @param {string} content - Markdown or source code
+ * @param {Object} meta - Document metadata, see buildDocumentMeta
+ * @param {Object} [options]
+ * @param {boolean} [options.code] - Render the whole content as monospaced code
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export async function renderPdf(content, meta, { code = false } = {}) {
+  const blocks = code
+    ? [{ type: 'code', text: content || '' }]
+    : parseMarkdownBlocks(content).filter((block, index) => !(index === 0 && block.type === 'heading' && block.level === 1));
+  const tocEntries = buildToc(blocks);
+
+  // The layout doesn't depend on the page numbers, so a first pass finds
+  // where each heading lands and the second one prints them in the contents
+  const firstPass = await renderPass(blocks, meta, tocEntries, null);
+  if (tocEntries.length === 0) return firstPass.buffer;
+  const { buffer } = await renderPass(blocks, meta, tocEntries, firstPass.headingPages);
+  return buffer;
+}
@@ -0,0 +1,77 @@
+/**
+ * Model pricing registry and cost calculation
+ */
+
+import { logger } from './logger.js';
+
+// USD per 1M tokens: input, cached input and output
+const MODEL_PRICING = {
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10.0 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2.0 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-4.1': { input: 2.0, cachedInput: 0.5, output: 8.0 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  'o3': { input: 2.0, cachedInput: 0.5, output: 8.0 },
+  'o3-mini': { input: 1.1, cachedInput: 0.55, output: 4.4 },
+  'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4 },
+  'gpt-4-turbo': { input: 10.0, cachedInput: 10.0, output: 30.0 },
+  'gpt-3.5-turbo': { input: 0.5, cachedInput: 0.5, output: 1.5 },
+  // Anthropic; cache writes are charged as regular input
+  'claude-opus-4-1': { input: 15.0, cachedInput: 1.5, output: 75.0 },
+  'claude-opus-4': { input: 15.0, cachedInput: 1.5, output: 75.0 },
+  'claude-sonnet-4-5': { input: 3.0, cachedInput: 0.3, output: 15.0 },
+  'claude-sonnet-4': { input: 3.0, cachedInput: 0.3, output: 15.0 },
+  'claude-haiku-4-5': { input: 1.0, cachedInput: 0.1, output: 5.0 },
+  'claude-3-5-haiku': { input: 0.8, cachedInput: 0.08, output: 4.0 },
+};
+
+// Extra or overridden prices from MODEL_PRICING_JSON, e.g. {"my-model":{"input":1,"cachedInput":0.5,"output":2}}
+function loadPricingOverrides() {
+  if (!process.env.MODEL_PRICING_JSON) return {};
+  try {
+    return JSON.parse(process.env.MODEL_PRICING_JSON);
+  } catch (error) {
+    logger.error(`Invalid MODEL_PRICING_JSON, ignoring it: ${error.message}`);
+    return {};
+  }
+}
+
+const pricing = { ...MODEL_PRICING, ...loadPricingOverrides() };
+
+// Dated snapshot suffixes: OpenAI's "-2024-07-18" and Anthropic's "-20250929"
+const SNAPSHOT_SUFFIX = /-(\d{4}-\d{2}-\d{2}|\d{8})$/;
+
+/**
+ * Look up the pricing of a model. Dated snapshots such as "gpt-4o-mini-2024-07-18"
+ * resolve to their model; other variants ("gpt-5-pro", "gpt-4o-audio-preview")
+ * are priced differently and stay unknown until registered.
+ * @param {string} model - Model name
+ * @returns {Object|null} { model, input, cachedInput, output } or null when unknown
+ */
+export function getModelPricing(model) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+  const base = name.replace(SNAPSHOT_SUFFIX, '');
+  const match = pricing[name] ? name : pricing[base] ? base : null;
+  return match ? { model: match, ...pricing[match] } : null;
+}
+
+/**
+ * Calculate the cost of a request
+ * @param {string} model - Model name
+ * @param {Object} tokenUsage - { promptTokens, cachedTokens, completionTokens }; cached tokens are part of promptTokens
+ * @returns {number|null} Cost in USD, or null when the model's pricing is unknown
+ */
+export function calculateCost(model, { promptTokens = 0, cachedTokens = 0, completionTokens = 0 } = {}) {
+  const rates = getModelPricing(model);
+  if (!rates) return null;
+  const cachedInput = rates.cachedInput ?? rates.input;
+  return (
+    ((promptTokens - cachedTokens) / 1_000_000) * rates.input +
+    (cachedTokens / 1_000_000) * cachedInput +
+    (completionTokens / 1_000_000) * rates.output
+  );
+}
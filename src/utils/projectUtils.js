@@ -9,6 +9,15 @@ export function extractProjectKey(issueKey) {
     return match ? match[1].toUpperCase() : null;
 }
 
+// Uppercase a JIRA issue key such as "proj-123", null when it isn't one
+export function normalizeIssueKey(issueKey) {
+    if (typeof issueKey !== 'string') {
+        return null;
+    }
+    const normalizedKey = issueKey.trim().toUpperCase();
+    return /^[A-Z][A-Z0-9]+-\d+$/.test(normalizedKey) ? normalizedKey : null;
+}
+
 export async function findOrCreateProject(projectKey, userEmail) {
     const Project = (await import('../models/Project.js')).default;
 
@@ -0,0 +1,83 @@
+/**
+ * Highlighted snippets for full-text search results. MongoDB ranks the
+ * matches but doesn't say where they are, so the terms are located again here.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Terms of a $text search string: quoted phrases and words, without negated ones
+ * @param {string} query - Search string as passed to $text
+ * @returns {Array<string>} Lowercase terms
+ */
+export function getSearchTerms(query) {
+  const terms = [];
+  for (const match of (query || '').matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim().toLowerCase();
+    if (!negated && term) terms.push(term);
+  }
+  return [...new Set(terms)];
+}
+
+// Text search stems words, so "resetting" also matches "reset": strip common suffixes
+function stem(term) {
+  const stemmed = term.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : term;
+}
+
+/**
+ * Snippets of a text around the search terms
+ * @param {string} text - Text that matched the search
+ * @param {Array<string>} terms - Result of getSearchTerms
+ * @param {Object} [options]
+ * @param {number} [options.radius] - Characters kept on each side of a match
+ * @param {number} [options.maxSnippets] - Most snippets returned
+ * @returns {Array<Object>} Snippets { text, highlights } where highlights are
+ * { start, end } offsets of the matches within the snippet text
+ */
+export function buildSnippets(text, terms, { radius = 80, maxSnippets = 3 } = {}) {
+  if (!text || terms.length === 0) return [];
+
+  // Phrases match as written, words also match their other forms
+  const alternatives = terms
+    .map((term) => (term.includes(' ') ? escapeRegExp(term) : `${escapeRegExp(stem(term))}\\w*`))
+    .sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+  const matches = [...text.matchAll(pattern)].map((match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  // Matches close to each other share a snippet
+  const windows = [];
+  for (const match of matches) {
+    const last = windows[windows.length - 1];
+    if (last && match.start - radius <= last.end) {
+      last.end = Math.min(text.length, match.end + radius);
+      last.matches.push(match);
+    } else {
+      if (windows.length === maxSnippets) break;
+      windows.push({
+        start: Math.max(0, match.start - radius),
+        end: Math.min(text.length, match.end + radius),
+        matches: [match],
+      });
+    }
+  }
+
+  return windows.map((window) => {
+    const prefix = window.start > 0 ? '…' : '';
+    const suffix = window.end < text.length ? '…' : '';
+    const snippet = text.slice(window.start, window.end).replace(/\s/g, ' ');
+    return {
+      text: `${prefix}${snippet}${suffix}`,
+      highlights: window.matches.map((match) => ({
+        start: match.start - window.start + prefix.length,
+        end: match.end - window.start + prefix.length,
+      })),
+    };
+  });
+}
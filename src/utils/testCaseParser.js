@@ -0,0 +1,71 @@
+/**
+ * Test case parsing utilities for generated markdown documents
+ */
+
+const PRIORITY_PATTERN = /priority\**\s*[:\-]?\s*\**\s*(high|medium|low)/i;
+
+// Strip markdown emphasis and list markers from a heading or bullet
+function cleanText(text) {
+  return text
+    .replace(/^#+\s*/, '')
+    .replace(/^[-*+]\s+/, '')
+    .replace(/\*\*|__/g, '')
+    .trim();
+}
+
+function toTestCase(category, title, bodyLines, index) {
+  const body = bodyLines.join('\n').trim();
+  const priorityMatch = `${title}\n${body}`.match(PRIORITY_PATTERN);
+  const idMatch = title.match(/^((?:TC|Test Case)[\s_-]*\d+)\s*[:.\-]?\s*/i);
+  return {
+    id: idMatch ? idMatch[1].replace(/\s+/g, '-').toUpperCase() : `TC-${String(index).padStart(3, '0')}`,
+    title: idMatch ? title.slice(idMatch[0].length).trim() || title : title,
+    category,
+    priority: priorityMatch ? priorityMatch[1][0].toUpperCase() + priorityMatch[1].slice(1).toLowerCase() : null,
+    body,
+  };
+}
+
+/**
+ * Parse a generated markdown document into individual test cases.
+ * "##" headings are categories; inside a category each "###" heading is a test case,
+ * or each top-level bullet when the category has no "###" headings.
+ * @param {string} markdown - Generated markdown content
+ * @returns {Array<Object>} Test cases with id, title, category, priority and markdown body
+ */
+export function parseTestCases(markdown) {
+  const lines = (markdown || '').split('\n');
+
+  // Group lines by "##" category
+  const categories = [];
+  let current = null;
+  for (const line of lines) {
+    if (/^##\s+/.test(line) && !/^###/.test(line)) {
+      current = { name: cleanText(line), lines: [] };
+      categories.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  const testCases = [];
+  for (const category of categories) {
+    const hasSubheadings = category.lines.some((line) => /^###\s+/.test(line));
+    const isCaseStart = hasSubheadings
+      ? (line) => /^###\s+/.test(line)
+      : (line) => /^[-*+]\s+/.test(line);
+
+    let testCase = null;
+    for (const line of category.lines) {
+      if (isCaseStart(line)) {
+        testCase = { title: cleanText(line), lines: [] };
+        testCases.push({ category: category.name, testCase });
+      } else if (testCase) {
+        testCase.lines.push(line);
+      }
+    }
+  }
+
+  return testCases.map(({ category, testCase }, index) =>
+    toTestCase(category, testCase.title, testCase.lines, index + 1));
+}
@@ -0,0 +1,237 @@
+/**
+ * Structured test suites: the JSON schema manual generations are asked for,
+ * validation, and conversion to and from the markdown representation
+ */
+
+import { parseTestCases } from './testCaseParser.js';
+
+export const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// JSON schema for OpenAI structured outputs (strict mode: every property required, no extras)
+export const TEST_SUITE_JSON_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'testCases'],
+  properties: {
+    title: { type: 'string', description: 'Test Cases for [JIRA-ID]: [Issue Title]' },
+    testCases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'title', 'category', 'priority', 'preconditions', 'steps', 'expectedResults', 'acceptanceCriterion'],
+        properties: {
+          id: { type: 'string', description: 'Sequential id: TC-001, TC-002, ...' },
+          title: { type: 'string' },
+          category: { type: 'string', description: 'e.g. Functional Requirements, UI & Visual Validation, Edge Cases, Data Integrity' },
+          priority: { type: 'string', enum: PRIORITIES },
+          preconditions: { type: 'array', items: { type: 'string' } },
+          steps: { type: 'array', items: { type: 'string' } },
+          expectedResults: { type: 'array', items: { type: 'string' } },
+          acceptanceCriterion: {
+            type: ['string', 'null'],
+            description: 'The acceptance criterion this test case covers, quoted from the issue, or null',
+          },
+        },
+      },
+    },
+  },
+};
+
+function normalizePriority(priority) {
+  if (typeof priority !== 'string') return null;
+  return PRIORITIES.find((value) => value.toLowerCase() === priority.trim().toLowerCase()) || null;
+}
+
+function toStringList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter((item) => typeof item === 'string').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalise a test suite object
+ * @param {*} data - Parsed JSON from the model or a client
+ * @returns {Object} { valid, errors, testSuite } with the normalised suite when valid
+ */
+export function validateTestSuite(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Test suite must be an object'], testSuite: null };
+  }
+  if (!Array.isArray(data.testCases) || data.testCases.length === 0) {
+    return { valid: false, errors: ['testCases must be a non-empty array'], testSuite: null };
+  }
+
+  const seenIds = new Set();
+  const testCases = data.testCases.map((testCase, index) => {
+    const path = `testCases[${index}]`;
+    if (!testCase || typeof testCase !== 'object') {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+    const title = typeof testCase.title === 'string' ? testCase.title.trim() : '';
+    if (!title) errors.push(`${path}.title is required`);
+    const steps = toStringList(testCase.steps);
+    if (steps.length === 0) errors.push(`${path}.steps must contain at least one step`);
+    const expectedResults = toStringList(testCase.expectedResults);
+    if (expectedResults.length === 0) errors.push(`${path}.expectedResults must contain at least one result`);
+    const priority = normalizePriority(testCase.priority);
+    if (testCase.priority && !priority) errors.push(`${path}.priority must be one of: ${PRIORITIES.join(', ')}`);
+
+    // Ids must be unique, missing or duplicated ones are renumbered
+    let id = typeof testCase.id === 'string' ? testCase.id.trim().toUpperCase() : '';
+    if (!id || seenIds.has(id)) id = `TC-${String(index + 1).padStart(3, '0')}`;
+    seenIds.add(id);
+
+    return {
+      id,
+      title,
+      category: (typeof testCase.category === 'string' && testCase.category.trim()) || 'General',
+      priority,
+      preconditions: toStringList(testCase.preconditions),
+      steps,
+      expectedResults,
+      acceptanceCriterion: (typeof testCase.acceptanceCriterion === 'string' && testCase.acceptanceCriterion.trim()) || null,
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, testSuite: null };
+  }
+  return {
+    valid: true,
+    errors: [],
+    testSuite: { title: typeof data.title === 'string' ? data.title.trim() : '', testCases },
+  };
+}
+
+/**
+ * Parse and validate a model response holding a test suite as JSON
+ * @param {string} content - Raw model output
+ * @returns {Object} See validateTestSuite
+ */
+export function parseTestSuiteJson(content) {
+  const json = (content || '').trim().replace(/^```(?:json)?\n([\s\S]*?)\n?```$/, '$1');
+  try {
+    return validateTestSuite(JSON.parse(json));
+  } catch (error) {
+    return { valid: false, errors: [`Invalid JSON: ${error.message}`], testSuite: null };
+  }
+}
+
+/**
+ * Render the markdown body of a single test case (everything below its heading)
+ * @param {Object} testCase - Structured test case
+ * @returns {string} Markdown
+ */
+export function renderTestCaseBody(testCase) {
+  const lines = [];
+  if (testCase.priority) lines.push(`**Priority:** ${testCase.priority}`, '');
+  if (testCase.acceptanceCriterion) lines.push(`**Acceptance Criterion:** ${testCase.acceptanceCriterion}`, '');
+  if (testCase.preconditions?.length > 0) {
+    lines.push('**Preconditions:**', '', ...testCase.preconditions.map((item) => `- ${item}`), '');
+  }
+  lines.push('**Steps:**', '', ...testCase.steps.map((step, index) => `${index + 1}. ${step}`), '');
+  lines.push('**Expected Results:**', '', ...testCase.expectedResults.map((item) => `- ${item}`));
+  return lines.join('\n');
+}
+
+/**
+ * Render a structured test suite as the markdown document shown to users
+ * @param {Object} testSuite - { title, testCases }
+ * @param {Object} [options]
+ * @param {string} [options.fallbackTitle] - Title used when the suite has none
+ * @returns {string} Markdown
+ */
+export function renderTestSuiteMarkdown(testSuite, { fallbackTitle = 'Test Cases' } = {}) {
+  const sections = [`# ${testSuite.title || fallbackTitle}`];
+
+  // Test cases keep their order, a category heading starts wherever the category changes
+  let category = null;
+  for (const testCase of testSuite.testCases) {
+    if (testCase.category !== category) {
+      category = testCase.category;
+      sections.push(`## **${category}**`);
+    }
+    sections.push(`### ${testCase.id}: ${testCase.title}\n\n${renderTestCaseBody(testCase)}`);
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+// Split a test case body into its labelled sections ("**Steps:**" etc.)
+function splitLabelledSections(body) {
+  const sections = {};
+  let current = null;
+  for (const line of body.split('\n')) {
+    const label = line.match(/^\s*(?:[-*+]\s+)?\*\*([^*]+?):?\*\*:?\s*(.*)$/);
+    if (label) {
+      current = label[1].trim().toLowerCase();
+      sections[current] = label[2].trim() ? [label[2].trim()] : [];
+    } else if (current && line.trim()) {
+      sections[current].push(line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, ''));
+    }
+  }
+  return sections;
+}
+
+/**
+ * Rebuild a structured test suite from an edited markdown document.
+ * Test cases without labelled steps keep their whole body as a single step;
+ * ones without labelled expected results make the suite invalid.
+ * @param {string} markdown - Markdown document
+ * @returns {Object} See validateTestSuite
+ */
+export function testSuiteFromMarkdown(markdown) {
+  const title = (markdown || '').match(/^#\s+(.+)$/m)?.[1].trim() || '';
+  const testCases = parseTestCases(markdown).map((testCase) => {
+    const sections = splitLabelledSections(testCase.body);
+    const pick = (...labels) => labels.map((label) => sections[label]).find(Boolean) || [];
+    const steps = pick('steps', 'test steps');
+    return {
+      id: testCase.id,
+      title: testCase.title,
+      category: testCase.category,
+      priority: testCase.priority,
+      preconditions: pick('preconditions', 'precondition'),
+      steps: steps.length > 0 ? steps : [testCase.body || testCase.title],
+      expectedResults: pick('expected results', 'expected result', 'expected'),
+      acceptanceCriterion: pick('acceptance criterion', 'acceptance criteria')[0] || null,
+    };
+  });
+  return validateTestSuite({ title, testCases });
+}
+
+/**
+ * Test cases of a generation with their markdown body, from the structured
+ * suite when present, otherwise parsed from the markdown output
+ * @param {Object} generation - Generation document
+ * @returns {Array<Object>} Test cases with id, title, category, priority and body
+ */
+export function getGenerationTestCases(generation) {
+  const structured = generation.result?.testSuite?.testCases;
+  if (structured?.length > 0) {
+    return structured.map((testCase) => ({
+      ...(typeof testCase.toObject === 'function' ? testCase.toObject() : testCase),
+      body: renderTestCaseBody(testCase),
+    }));
+  }
+  return parseTestCases(generation.result?.markdown?.content);
+}
+
+/**
+ * Structured test suite of a generation; documents generated before structured
+ * output are rebuilt from their markdown
+ * @param {Object} generation - Generation document
+ * @returns {Object|null} { title, testCases } or null when no test cases can be found
+ */
+export function getGenerationTestSuite(generation) {
+  const stored = generation.result?.testSuite;
+  if (stored?.testCases?.length > 0) {
+    return typeof stored.toObject === 'function' ? stored.toObject() : stored;
+  }
+  const markdown = generation.result?.markdown?.content;
+  if (!markdown) return null;
+  const derived = testSuiteFromMarkdown(markdown);
+  return derived.valid ? derived.testSuite : null;
+}
@@ -0,0 +1,50 @@
+/**
+ * Tokenizer utilities for counting tokens the way the model does
+ */
+
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+
+// Encoding used for models tiktoken doesn't know (e.g. self-hosted models)
+const FALLBACK_ENCODING = 'o200k_base';
+
+const encodings = new Map();
+
+/**
+ * Get the name of the tiktoken encoding for a model
+ * @param {string} model - Model name
+ * @returns {string} Encoding name
+ */
+export function getEncodingName(model) {
+  try {
+    return getEncodingNameForModel(model);
+  } catch {
+    return FALLBACK_ENCODING;
+  }
+}
+
+/**
+ * Get a token counting function for a model
+ * @param {string} model - Model name
+ * @returns {Function} (text) => number of tokens
+ */
+export function getTokenizer(model) {
+  const name = getEncodingName(model);
+  if (!encodings.has(name)) {
+    encodings.set(name, getEncoding(name));
+  }
+  const encoding = encodings.get(name);
+  // Special token strings such as <|endoftext|> in issue text are counted as plain text
+  return (text) => (text ? encoding.encode(text, [], []).length : 0);
+}
+
+/**
+ * Count the prompt tokens of a chat request, including the per-message overhead
+ * @param {Array<Object>} messages - Chat messages with string content
+ * @param {string} model - Model name
+ * @returns {number} Prompt tokens
+ */
+export function countMessageTokens(messages, model) {
+  const tokenizer = getTokenizer(model);
+  // Every message is wrapped in ~3 formatting tokens, and the reply is primed with 3 more
+  return messages.reduce((total, message) => total + 3 + tokenizer(message.content), 3);
+}
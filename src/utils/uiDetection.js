@@ -78,41 +78,64 @@ export function extractJiraData(issue, extractTextFromADF = null) {
   };
 }
 
+// Plural and verb endings a keyword may carry: "button" matches "buttons", "click" "clicked",
+// "drag" "dragging" and "cache" "cached", but "log" doesn't match "login" nor "form" "format"
+function keywordEndings(keyword) {
+  if (!/[a-z]$/.test(keyword)) return '';
+  const verbEndings = keyword.endsWith('e') ? 'd|r|rs' : `${keyword.slice(-1)}?(?:ed|ing|er|ers)`;
+  return `(?:s|es|ment|ments|${verbEndings})?`;
+}
+
 /**
- * Check if a JIRA issue is UI-related using keyword analysis and optional OpenAI
+ * Find the keywords present in a text as words (so "UI" doesn't match "build"),
+ * allowing plural and verb endings
+ * @param {string} text - Lowercased text to search
+ * @param {string[]} keywords - Keywords to look for
+ * @returns {string[]} Matched keywords
+ */
+function matchKeywords(text, keywords) {
+  return keywords.filter((keyword) => {
+    const lower = keyword.toLowerCase();
+    const escaped = lower.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}${keywordEndings(lower)}($|[^a-z0-9])`).test(text);
+  });
+}
+
+/**
+ * Analyze whether a JIRA issue is UI-related and explain the decision
  * @param {Object} issue - JIRA issue object
- * @param {Function} openaiCheckFn - Optional async function to call OpenAI for final check
+ * @param {Function} openaiCheckFn - Optional async function to call OpenAI when keywords are inconclusive
  * @param {Function} extractTextFromADF - Optional function to extract text from ADF format
- * @returns {Promise<boolean>} True if UI-related
+ * @returns {Promise<Object>} isUiStory, matched uiKeywords/backendKeywords, decidedBy ('keywords', 'llm' or 'fallback') and reason
  */
-export async function checkIfUiStory(issue, openaiCheckFn = null, extractTextFromADF = null) {
+export async function analyzeUiStory(issue, openaiCheckFn = null, extractTextFromADF = null) {
   // Extract issue data
   const issueData = extractJiraData(issue, extractTextFromADF);
 
   // Combine all text for keyword analysis
   const combinedText = `${issueData.title} ${issueData.description} ${issueData.acceptanceCriteria}`.toLowerCase();
 
-  // Check for backend keywords
-  const backendKeywords = BACKEND_KEYWORDS.filter(keyword => combinedText.includes(keyword.toLowerCase()));
+  // Check for backend and UI keywords
+  const backendKeywords = matchKeywords(combinedText, BACKEND_KEYWORDS);
   const backendKeywordCount = backendKeywords.length;
-
-  // Check for UI keywords
-  const uiKeywords = UI_KEYWORDS.filter(keyword => combinedText.includes(keyword.toLowerCase()));
+  const uiKeywords = matchKeywords(combinedText, UI_KEYWORDS);
   const uiKeywordCount = uiKeywords.length;
 
+  const decision = (isUiStory, decidedBy, reason) => ({ isUiStory, uiKeywords, backendKeywords, decidedBy, reason });
+
   // Quick decision: If we have strong UI indicators, return true immediately
   if (uiKeywordCount > 2) {
-    return true;
+    return decision(true, 'keywords', `Strong UI indicators: ${uiKeywordCount} UI keywords matched`);
   }
 
   // Quick decision: If there are many backend keywords and no UI indicators, likely not UI
   if (backendKeywordCount > 5 && uiKeywordCount === 0) {
-    return false;
+    return decision(false, 'keywords', `${backendKeywordCount} backend keywords and no UI keywords matched`);
   }
 
   // Decision based on keyword comparison
   if (backendKeywordCount > uiKeywordCount) {
-    return false;
+    return decision(false, 'keywords', `More backend keywords (${backendKeywordCount}) than UI keywords (${uiKeywordCount})`);
   }
 
   // If we have an OpenAI check function, use it for final determination
@@ -120,15 +143,27 @@ export async function checkIfUiStory(issue, openaiCheckFn = null, extractTextFro
     try {
       const context = `Title: ${issueData.title}\n\nDescription: ${issueData.description}\n\nAcceptance Criteria: ${issueData.acceptanceCriteria}`;
       const isUiStory = await openaiCheckFn(context);
-      return isUiStory;
+      return decision(isUiStory, 'llm', `Keywords inconclusive (${uiKeywordCount} UI, ${backendKeywordCount} backend), classified by the model`);
     } catch (error) {
       // Fallback to keyword-based decision if OpenAI fails
-      return uiKeywordCount >= backendKeywordCount;
+      return decision(uiKeywordCount >= backendKeywordCount, 'fallback', `Model check failed (${error.message}), UI keywords >= backend keywords`);
     }
   }
 
   // Final fallback: if UI keywords >= backend keywords, consider it UI
-  return uiKeywordCount >= backendKeywordCount;
+  return decision(uiKeywordCount >= backendKeywordCount, 'fallback', `Keywords inconclusive (${uiKeywordCount} UI, ${backendKeywordCount} backend), defaulting to UI`);
+}
+
+/**
+ * Check if a JIRA issue is UI-related using keyword analysis and optional OpenAI
+ * @param {Object} issue - JIRA issue object
+ * @param {Function} openaiCheckFn - Optional async function to call OpenAI for final check
+ * @param {Function} extractTextFromADF - Optional function to extract text from ADF format
+ * @returns {Promise<boolean>} True if UI-related
+ */
+export async function checkIfUiStory(issue, openaiCheckFn = null, extractTextFromADF = null) {
+  const analysis = await analyzeUiStory(issue, openaiCheckFn, extractTextFromADF);
+  return analysis.isUiStory;
 }
 
 export { BACKEND_KEYWORDS, UI_KEYWORDS };
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Version history of generation content: the current content is version
+ * currentVersion, earlier contents are snapshots in generation.versions
+ */
+
+import { createTwoFilesPatch, structuredPatch } from 'diff';
+import mongoose from 'mongoose';
+
+function toPlain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+// The output that holds the editable content: automation code or markdown
+function getOutput(generation) {
+  return generation.result?.code || generation.result?.markdown || null;
+}
+
+// The current content as a version entry
+function currentVersionEntry(generation) {
+  return {
+    versionNumber: generation.currentVersion || 1,
+    content: getOutput(generation)?.content || '',
+    testSuite: toPlain(generation.result?.testSuite) || null,
+    updatedBy: generation.lastEditedBy || generation.email,
+    releaseDate: generation.lastEditedAt || generation.completedAt || generation.createdAt,
+    notes: generation.versionNotes || null,
+    current: true,
+  };
+}
+
+/**
+ * All versions of a generation, newest first. Older documents may hold
+ * duplicated snapshots of a version; the first one is kept.
+ * @param {Object} generation - Generation document
+ * @returns {Array<Object>} Versions with versionNumber, content, testSuite, updatedBy, releaseDate, notes and current
+ */
+export function getVersions(generation) {
+  const current = currentVersionEntry(generation);
+  const byNumber = new Map([[current.versionNumber, current]]);
+  for (const version of generation.versions || []) {
+    const number = Number(version.versionNumber);
+    if (!Number.isInteger(number) || byNumber.has(number)) continue;
+    byNumber.set(number, {
+      versionNumber: number,
+      content: version.content,
+      testSuite: toPlain(version.testSuite) || null,
+      updatedBy: version.updatedBy,
+      releaseDate: version.releaseDate,
+      notes: version.notes || null,
+      current: false,
+    });
+  }
+  return [...byNumber.values()].sort((a, b) => b.versionNumber - a.versionNumber);
+}
+
+/**
+ * A single version of a generation
+ * @param {Object} generation - Generation document
+ * @param {number} versionNumber - Version to get
+ * @returns {Object|null} Version entry, see getVersions
+ */
+export function getVersion(generation, versionNumber) {
+  return getVersions(generation).find((version) => version.versionNumber === versionNumber) || null;
+}
+
+// Version entry without its content, for listings
+export function summarizeVersion(version) {
+  const { content, testSuite, ...summary } = version;
+  return {
+    ...summary,
+    lines: content ? content.split('\n').length : 0,
+    characters: content ? content.length : 0,
+    testCases: testSuite?.testCases?.length ?? null,
+  };
+}
+
+/**
+ * Replace the content of a generation, keeping the current content as a version.
+ * Does nothing when the content is unchanged.
+ * @param {Object} generation - Generation document, saved by the caller
+ * @param {Object} update
+ * @param {string} update.content - New content
+ * @param {Object|null} [update.testSuite] - Structured test suite matching the content
+ * @param {string} update.author - Email of the user making the change
+ * @param {string} [update.notes] - Notes describing the new version
+ * @returns {boolean} True when a new version was created
+ */
+export function applyContentUpdate(generation, { content, testSuite = null, author, notes = null }) {
+  const current = currentVersionEntry(generation);
+  if (current.content === content) {
+    return false;
+  }
+
+  if (current.content) {
+    generation.versions = (generation.versions || [])
+      .filter((version) => Number(version.versionNumber) !== current.versionNumber);
+    generation.versions.push({
+      versionNumber: current.versionNumber,
+      content: current.content,
+      testSuite: current.testSuite || undefined,
+      updatedBy: current.updatedBy,
+      releaseDate: current.releaseDate,
+      notes: current.notes || undefined,
+    });
+  }
+
+  if (!generation.result) {
+    generation.result = {};
+  }
+  if (!getOutput(generation)) {
+    generation.result.markdown = {};
+  }
+  getOutput(generation).content = content;
+  if (generation.result.testSuite || testSuite) {
+    // Content without recognisable test cases drops the stale structured copy
+    generation.result.testSuite = testSuite;
+  }
+
+  generation.currentVersion = current.versionNumber + 1;
+  generation.lastEditedBy = author;
+  generation.lastEditedAt = new Date();
+  generation.versionNotes = notes || undefined;
+  return true;
+}
+
+// Compare the structured test cases of two versions by id
+function diffTestCases(fromSuite, toSuite) {
+  const fromCases = new Map((fromSuite?.testCases || []).map((testCase) => [testCase.id, testCase]));
+  const toCases = new Map((toSuite?.testCases || []).map((testCase) => [testCase.id, testCase]));
+  const fields = ['title', 'category', 'priority', 'preconditions', 'steps', 'expectedResults', 'acceptanceCriterion'];
+
+  const changed = [];
+  for (const [id, toCase] of toCases) {
+    const fromCase = fromCases.get(id);
+    if (!fromCase) continue;
+    const changedFields = fields.filter((field) => JSON.stringify(fromCase[field] ?? null) !== JSON.stringify(toCase[field] ?? null));
+    if (changedFields.length > 0) changed.push({ id, title: toCase.title, fields: changedFields });
+  }
+
+  return {
+    added: [...toCases.values()].filter((testCase) => !fromCases.has(testCase.id)).map(({ id, title }) => ({ id, title })),
+    removed: [...fromCases.values()].filter((testCase) => !toCases.has(testCase.id)).map(({ id, title }) => ({ id, title })),
+    changed,
+  };
+}
+
+/**
+ * Line-level diff between two versions
+ * @param {Object} from - Older version entry
+ * @param {Object} to - Newer version entry
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines around each hunk
+ * @returns {Object} { unified, structured } with a unified diff text and its hunks, line
+ * stats and, when both versions have structured test cases, a per test case comparison
+ */
+export function diffVersions(from, to, { context = 3 } = {}) {
+  const oldName = `v${from.versionNumber}`;
+  const newName = `v${to.versionNumber}`;
+  const oldHeader = from.releaseDate ? new Date(from.releaseDate).toISOString() : undefined;
+  const newHeader = to.releaseDate ? new Date(to.releaseDate).toISOString() : undefined;
+
+  const patch = structuredPatch(oldName, newName, from.content, to.content, oldHeader, newHeader, { context });
+  const hunks = patch.hunks.map((hunk) => ({
+    oldStart: hunk.oldStart,
+    oldLines: hunk.oldLines,
+    newStart: hunk.newStart,
+    newLines: hunk.newLines,
+    lines: hunk.lines.filter((line) => !line.startsWith('\\')).map((line) => ({
+      type: line[0] === '+' ? 'added' : line[0] === '-' ? 'removed' : 'context',
+      text: line.slice(1),
+    })),
+  }));
+  const allLines = hunks.flatMap((hunk) => hunk.lines);
+
+  return {
+    unified: createTwoFilesPatch(oldName, newName, from.content, to.content, oldHeader, newHeader, { context }),
+    structured: {
+      from: from.versionNumber,
+      to: to.versionNumber,
+      stats: {
+        additions: allLines.filter((line) => line.type === 'added').length,
+        deletions: allLines.filter((line) => line.type === 'removed').length,
+      },
+      hunks,
+      testCases: from.testSuite && to.testSuite ? diffTestCases(from.testSuite, to.testSuite) : null,
+    },
+  };
+}
+
+/**
+ * Entity tag of a generation's current content version
+ * @param {Object} generation - Generation document
+ * @returns {string} Quoted ETag value
+ */
+export function getContentETag(generation) {
+  return `"${generation._id}-v${generation.currentVersion || 1}"`;
+}
+
+/**
+ * Check an If-Match header against a generation's current version
+ * @param {string} header - If-Match header value, possibly a list or "*"
+ * @param {Object} generation - Generation document
+ * @returns {boolean} True when the header matches
+ */
+export function matchesETag(header, generation) {
+  const etag = getContentETag(generation);
+  return header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === '*' || value === etag);
+}
+
+/**
+ * Save a content update only if nobody else changed the version since the
+ * document was loaded. Call after applyContentUpdate.
+ * @param {Object} generation - Modified Generation document
+ * @param {number} baseVersion - currentVersion the document was loaded with
+ * @returns {Promise<boolean>} False when the stored version moved on, or the document was
+ * saved concurrently (nothing was saved, the changes stay on the document)
+ */
+export async function saveVersionedUpdate(generation, baseVersion) {
+  // save() with an extra filter, so the document is clean afterwards like after any save.
+  // Documents created before versioning may not store currentVersion yet
+  generation.$where = { currentVersion: baseVersion === 1 ? { $in: [1, null] } : baseVersion };
+  try {
+    await generation.save();
+    return true;
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError) {
+      return false;
+    }
+    throw error;
+  } finally {
+    generation.$where = undefined;
+  }
+}
@@ -0,0 +1,21 @@
+const request = require('supertest');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const API_TOKEN = process.env.API_TOKEN;
+
+describe('TEST-2 GET /api/orders/export', () => {
+  it('returns the orders of a date range as CSV', async () => {
+    const response = await request(BASE_URL)
+      .get('/api/orders/export?from=2024-01-01&to=2024-01-31')
+      .set('Authorization', `Bearer ${API_TOKEN}`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+  });
+
+  it('rejects an invalid date range', async () => {
+    const response = await request(BASE_URL)
+      .get('/api/orders/export?from=2024-02-01&to=2024-01-01')
+      .set('Authorization', `Bearer ${API_TOKEN}`);
+    expect(response.status).toBe(400);
+  });
+});
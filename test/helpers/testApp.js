@@ -0,0 +1,128 @@
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+/**
+ * Integration test harness: the app on an in-memory Mongo with the fake JIRA
+ * and LLM services answering from test/fixtures. Every test file runs in its
+ * own process, so each gets a fresh app and database. mongodb-memory-server
+ * downloads mongod on first use; set MONGOMS_SYSTEM_BINARY to the path of a
+ * local mongod where it can't be downloaded.
+ */
+
+export const ADMIN_EMAIL = 'admin@example.com';
+export const PASSWORD = 'correct-horse-battery';
+
+// Mongo of this test file, started when the harness is loaded
+let mongo = null;
+
+/**
+ * Why the suites of this file are skipped, false when mongod started. Pass it
+ * as the skip option of the top-level describe so a missing mongod reports
+ * skipped suites locally. On CI (CI set) a missing mongod fails the file
+ * instead, so the integration suites can't silently stop running.
+ */
+export const skipWithoutMongo = await MongoMemoryServer.create().then(
+  (server) => {
+    mongo = server;
+    return false;
+  },
+  (error) => {
+    const reason = `mongod is not available (${error.message}); set MONGOMS_SYSTEM_BINARY to a local mongod binary`;
+    if (process.env.CI) throw new Error(reason);
+    return reason;
+  },
+);
+
+/**
+ * Start the app. The configuration is read when the app is first imported,
+ * so the environment is set before importing it.
+ * @returns {Promise<Object>} { app, jira, llm, stop } with the fake services
+ */
+export async function startTestApp() {
+  Object.assign(process.env, {
+    MONGODB_URI: mongo.getUri('test-assistant'),
+    FAKE_SERVICES: 'true',
+    LLM_PROVIDER: 'fake',
+    JWT_SECRET_KEY: 'test-secret',
+    JWT_ACCESS_TOKEN_TTL_SEC: '900',
+    JWT_REFRESH_TOKEN_TTL_SEC: '86400',
+    ADMIN_EMAILS: ADMIN_EMAIL,
+    GENERATIONS_PER_HOUR: '0',
+    USER_MONTHLY_BUDGET_USD: '0',
+    PROJECT_MONTHLY_BUDGET_USD: '0',
+  });
+
+  const { default: app } = await import('../../src/app.js');
+  const { getJiraService } = await import('../../src/services/index.js');
+  const { getProvider } = await import('../../src/services/llm/index.js');
+  const { default: PromptTemplate } = await import('../../src/models/PromptTemplate.js');
+  await mongoose.connection.asPromise();
+
+  // The app seeds the default prompt templates once connected; wait so every generation records one
+  const deadline = Date.now() + 10000;
+  while (await PromptTemplate.countDocuments({ isDefault: true }) < 3) {
+    if (Date.now() > deadline) throw new Error('Default prompt templates were not created');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  return {
+    app,
+    jira: getJiraService(),
+    llm: getProvider('fake'),
+    async stop() {
+      await mongoose.disconnect();
+      await mongo.stop();
+    },
+  };
+}
+
+/**
+ * Register a user
+ * @returns {Promise<Object>} { user, accessToken, refreshToken }
+ */
+export async function registerUser(app, email, password = PASSWORD) {
+  const response = await request(app)
+    .post('/auth/register')
+    .send({ email, name: email.split('@')[0], password })
+    .expect(201);
+  return response.body.data;
+}
+
+// Authorization header value for an access token
+export function bearer(accessToken) {
+  return `Bearer ${accessToken}`;
+}
+
+/**
+ * Poll a generation until the worker completed or failed it
+ * @returns {Promise<Object>} Status endpoint data
+ */
+export async function waitForGeneration(app, accessToken, generationId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await request(app)
+      .get(`/generations/${generationId}/status`)
+      .set('Authorization', bearer(accessToken))
+      .expect(200);
+    if (['completed', 'failed'].includes(response.body.data.status)) {
+      return response.body.data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Generation ${generationId} did not finish within ${timeoutMs}ms`);
+}
+
+/**
+ * Start a generation and wait for it
+ * @param {Object} body - POST /generations/testcases body
+ * @returns {Promise<Object>} Status endpoint data
+ */
+export async function generate(app, accessToken, body) {
+  const response = await request(app)
+    .post('/generations/testcases')
+    .set('Authorization', bearer(accessToken))
+    .send(body)
+    .expect(202);
+  return waitForGeneration(app, accessToken, response.body.data.generationId);
+}
@@ -0,0 +1,79 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { ADMIN_EMAIL, PASSWORD, bearer, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('auth', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  it('registers a user and returns tokens', async () => {
+    const data = await registerUser(app, 'Alice@Example.com');
+    assert.equal(data.user.email, 'alice@example.com');
+    assert.ok(data.accessToken);
+    assert.ok(data.refreshToken);
+  });
+
+  it('rejects a second registration with the same email', async () => {
+    const response = await request(app)
+      .post('/auth/register')
+      .send({ email: 'alice@example.com', password: PASSWORD })
+      .expect(409);
+    assert.equal(response.body.success, false);
+  });
+
+  it('requires email and password to register', async () => {
+    await request(app).post('/auth/register').send({ email: 'bob@example.com' }).expect(400);
+  });
+
+  it('logs in with the right password only', async () => {
+    await request(app)
+      .post('/auth/login')
+      .send({ email: 'alice@example.com', password: 'wrong-password' })
+      .expect(401);
+
+    const response = await request(app)
+      .post('/auth/login')
+      .send({ email: 'alice@example.com', password: PASSWORD })
+      .expect(200);
+    assert.equal(response.body.data.user.email, 'alice@example.com');
+    assert.ok(response.body.data.accessToken);
+  });
+
+  it('rejects requests without a valid access token', async () => {
+    await request(app).get('/generations').expect(401);
+    await request(app).get('/generations').set('Authorization', 'Bearer not-a-token').expect(401);
+  });
+
+  it('never accepts a refresh token as an access token', async () => {
+    const { refreshToken } = await registerUser(app, 'carol@example.com');
+    await request(app).get('/generations').set('Authorization', bearer(refreshToken)).expect(401);
+  });
+
+  it('rotates refresh tokens and rejects a reused one', async () => {
+    const { refreshToken } = await registerUser(app, 'dave@example.com');
+
+    const rotated = await request(app).post('/auth/refresh').send({ refreshToken }).expect(200);
+    assert.ok(rotated.body.data.accessToken);
+    assert.notEqual(rotated.body.data.refreshToken, refreshToken);
+
+    await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('makes configured admin emails admins', async () => {
+    const admin = await registerUser(app, ADMIN_EMAIL);
+    const member = await registerUser(app, 'erin@example.com');
+
+    await request(app).get('/users').set('Authorization', bearer(admin.accessToken)).expect(200);
+    await request(app).get('/users').set('Authorization', bearer(member.accessToken)).expect(403);
+  });
+});
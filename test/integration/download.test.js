@@ -0,0 +1,80 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { bearer, generate, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('GET /generations/:id/download', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+  let token;
+  let manualId;
+  let autoId;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+    ({ accessToken: token } = await registerUser(app, 'alice@example.com'));
+    ({ generationId: manualId } = await generate(app, token, { issueKey: 'TEST-1' }));
+    ({ generationId: autoId } = await generate(app, token, { issueKey: 'TEST-1', autoMode: true }));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function download(generationId, format) {
+    return request(app)
+      .get(`/generations/${generationId}/download`)
+      .query(format ? { format } : {})
+      .set('Authorization', bearer(token));
+  }
+
+  it('downloads manual test cases as markdown', async () => {
+    const response = await download(manualId).expect(200);
+    assert.match(response.headers['content-type'], /text\/markdown/);
+    assert.match(response.headers['content-disposition'], /attachment/);
+    assert.match(response.text, /TC-001/);
+  });
+
+  it('downloads automation code with its language content type', async () => {
+    const response = await download(autoId).expect(200);
+    assert.match(response.headers['content-type'], /application\/typescript/);
+    assert.match(response.headers['content-disposition'], /\.spec\.ts"/);
+  });
+
+  it('renders HTML and PDF documents', async () => {
+    const html = await download(manualId, 'html').expect(200);
+    assert.match(html.headers['content-type'], /text\/html/);
+    assert.match(html.text, /Remember me keeps the session for 30 days/);
+
+    const pdf = await download(manualId, 'pdf').responseType('blob').expect(200);
+    assert.equal(pdf.headers['content-type'], 'application/pdf');
+    assert.equal(pdf.body.subarray(0, 4).toString(), '%PDF');
+  });
+
+  it('exports test cases for test management tools', async () => {
+    const csv = await download(manualId, 'testrail-csv').expect(200);
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.text, /Sign in with valid credentials/);
+
+    const junit = await download(manualId, 'junit-xml').expect(200);
+    assert.match(junit.text, /<testsuite/);
+  });
+
+  it('only exports manual test cases', async () => {
+    await download(autoId, 'testrail-csv').expect(400);
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await download(manualId, 'docx').expect(400);
+    assert.match(response.body.error, /Format must be one of/);
+  });
+
+  it('hides generations from users who may not see them', async () => {
+    const { accessToken: other } = await registerUser(app, 'bob@example.com');
+    await request(app)
+      .get(`/generations/${manualId}/download`)
+      .set('Authorization', bearer(other))
+      .expect(404);
+  });
+});
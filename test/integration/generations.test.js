@@ -0,0 +1,143 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { ADMIN_EMAIL, bearer, generate, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('POST /generations/testcases', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+  let token;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+    ({ accessToken: token } = await registerUser(app, 'alice@example.com'));
+  });
+
+  beforeEach(() => {
+    harness.llm.reset();
+    harness.jira.reset();
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function view(generationId) {
+    return request(app)
+      .get(`/generations/${generationId}/view`)
+      .set('Authorization', bearer(token))
+      .expect(200)
+      .then((response) => response.body.data);
+  }
+
+  it('generates a manual test suite', async () => {
+    const status = await generate(app, token, { issueKey: 'TEST-1' });
+    assert.equal(status.status, 'completed');
+    assert.equal(status.model, 'gpt-4o-mini');
+    assert.equal(status.costKnown, true);
+    assert.ok(status.cost > 0);
+
+    const data = await view(status.generationId);
+    assert.equal(data.mode, 'manual');
+    assert.equal(data.testSuite.testCases.length, 3);
+    assert.equal(data.testSuite.testCases[0].id, 'TC-001');
+    assert.match(data.content, /Sign in with valid credentials/);
+    assert.equal(data.promptTemplate.name, 'Default manual');
+    assert.equal(data.promptTemplate.version, 1);
+
+    // The prompt carried the issue context
+    const [sent] = harness.llm.requests;
+    assert.match(sent.messages[1].content, /Login page with remember me option/);
+  });
+
+  it('generates Playwright tests for UI stories and API tests otherwise', async () => {
+    const ui = await generate(app, token, { issueKey: 'TEST-1', autoMode: true });
+    assert.equal(ui.status, 'completed');
+    const uiData = await view(ui.generationId);
+    assert.equal(uiData.framework, 'playwright');
+    assert.match(uiData.content, /@playwright\/test/);
+
+    const backend = await generate(app, token, { issueKey: 'TEST-2', autoMode: true });
+    assert.equal(backend.status, 'completed');
+    const backendData = await view(backend.generationId);
+    assert.equal(backendData.framework, 'supertest');
+    assert.match(backendData.content, /orders\/export/);
+  });
+
+  it('fails when the issue does not exist', async () => {
+    const status = await generate(app, token, { issueKey: 'TEST-404' });
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /not found/);
+    assert.equal(harness.llm.requests.length, 0);
+  });
+
+  it('fails and records the cost when the model returns an invalid test suite', async () => {
+    harness.llm.queueResponse('{"title": "Missing test cases"}');
+
+    const status = await generate(app, token, { issueKey: 'TEST-1' });
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /invalid test suite/);
+    assert.ok(status.cost > 0);
+  });
+
+  it('fails after the provider errors on every attempt', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      harness.llm.queueResponse(new Error('upstream unavailable'));
+    }
+
+    const status = await generate(app, token, { issueKey: 'TEST-1' });
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /upstream unavailable/);
+    assert.equal(harness.llm.requests.length, 3);
+  });
+
+  it('retries a failed provider call', async () => {
+    harness.llm.queueResponse(new Error('rate limited'));
+
+    const status = await generate(app, token, { issueKey: 'TEST-1' });
+    assert.equal(status.status, 'completed');
+    assert.equal(harness.llm.requests.length, 2);
+  });
+
+  it("uses the project's prompt template and conventions", async () => {
+    const { accessToken: adminToken } = await registerUser(app, ADMIN_EMAIL);
+    const created = await request(app)
+      .post('/prompt-templates')
+      .set('Authorization', bearer(adminToken))
+      .send({
+        name: 'Checkout team',
+        purpose: 'manual',
+        systemPrompt: 'Write test cases for {{projectName}}.\n\n{{conventions}}',
+        userPrompt: '{{issueKey}}: {{title}}\n\n{{context}}',
+      })
+      .expect(201);
+    const templateId = created.body.data.template._id;
+
+    // The first generation created the TEST project
+    await request(app)
+      .patch('/projects/TEST')
+      .set('Authorization', bearer(adminToken))
+      .send({ conventions: 'Prefix test case titles with [WEB].', promptTemplates: { manual: templateId } })
+      .expect(200);
+
+    const status = await generate(app, token, { issueKey: 'TEST-1' });
+    assert.equal(status.status, 'completed');
+
+    const [sent] = harness.llm.requests;
+    assert.equal(sent.messages[0].content, 'Write test cases for TEST.\n\nPrefix test case titles with [WEB].');
+    assert.match(sent.messages[1].content, /^TEST-1: Login page with remember me option/);
+
+    const data = await view(status.generationId);
+    assert.equal(String(data.promptTemplate.id), templateId);
+    assert.equal(data.promptTemplate.version, 1);
+  });
+
+  it('requires an issue key', async () => {
+    await request(app)
+      .post('/generations/testcases')
+      .set('Authorization', bearer(token))
+      .send({})
+      .expect(400);
+  });
+});
@@ -0,0 +1,56 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { bearer, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('POST /generations/prelight', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+  let token;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+    ({ accessToken: token } = await registerUser(app, 'alice@example.com'));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function prelight(body) {
+    return request(app).post('/generations/prelight').set('Authorization', bearer(token)).send(body);
+  }
+
+  it('estimates tokens and cost of a UI story with the fake provider', async () => {
+    const response = await prelight({ issueKey: 'TEST-1' }).expect(200);
+    const data = response.body;
+
+    assert.equal(data.issueKey, 'TEST-1');
+    assert.equal(data.title, 'Login page with remember me option');
+    assert.equal(data.isUiStory, true);
+    assert.equal(data.provider, 'fake');
+    assert.equal(data.model, 'gpt-4o-mini');
+    assert.ok(data.estimatedTokens > 0);
+    assert.equal(data.tokenBreakdown.prompt, data.estimatedTokens);
+    assert.equal(data.costKnown, true);
+    assert.ok(Number(data.estimatedCost) > 0);
+    assert.equal(data.promptTemplate.name, 'Default manual');
+    assert.equal(data.promptTemplate.version, 1);
+  });
+
+  it('detects backend stories', async () => {
+    const response = await prelight({ issueKey: 'TEST-2', autoMode: true }).expect(200);
+    assert.equal(response.body.isUiStory, false);
+    assert.equal(response.body.promptTemplate.name, 'Default api');
+  });
+
+  it('answers 404 for an issue JIRA does not know', async () => {
+    const response = await prelight({ issueKey: 'TEST-404' }).expect(404);
+    assert.match(response.body.error, /not found/);
+  });
+
+  it('requires an issue key', async () => {
+    await prelight({}).expect(400);
+  });
+});
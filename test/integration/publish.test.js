@@ -0,0 +1,79 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { bearer, generate, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('publishing', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+  let owner;
+  let other;
+  let generationId;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+    ({ accessToken: owner } = await registerUser(app, 'alice@example.com'));
+    ({ accessToken: other } = await registerUser(app, 'bob@example.com'));
+    ({ generationId } = await generate(app, owner, { issueKey: 'TEST-1' }));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function as(token, method, path) {
+    return request(app)[method](`/generations/${generationId}${path}`).set('Authorization', bearer(token));
+  }
+
+  it('keeps unpublished generations private to their owner', async () => {
+    await as(owner, 'get', '/view').expect(200);
+    await as(other, 'get', '/view').expect(404);
+  });
+
+  it('lets the owner publish, making the generation readable by others', async () => {
+    const response = await as(owner, 'put', '/publish').send({ published: true }).expect(200);
+    assert.equal(response.body.data.published, true);
+    assert.equal(response.body.data.publishedBy, 'alice@example.com');
+
+    await as(other, 'get', '/view').expect(200);
+    await as(other, 'get', '/download').expect(200);
+    // Readers can't change someone else's generation
+    await as(other, 'put', '/publish').send({ published: false }).expect(403);
+  });
+
+  it('lets the owner unpublish', async () => {
+    await as(owner, 'put', '/publish').send({ published: false }).expect(200);
+    await as(other, 'get', '/view').expect(404);
+  });
+
+  it('requires a boolean published flag', async () => {
+    await as(owner, 'put', '/publish').send({ published: 'yes' }).expect(400);
+  });
+
+  it('publishes the test cases as a JIRA comment and updates it on republish', async () => {
+    const first = await as(owner, 'post', '/jira/comment').expect(200);
+    const { commentId } = first.body.data;
+    assert.equal(first.body.data.issueKey, 'TEST-1');
+    assert.equal(harness.jira.comments.get(commentId).issueKey, 'TEST-1');
+
+    const second = await as(owner, 'post', '/jira/comment').expect(200);
+    assert.equal(second.body.data.commentId, commentId);
+    assert.ok(harness.jira.calls.some((call) => call.method === 'PUT' && call.target === `TEST-1/comment/${commentId}`));
+  });
+
+  it('publishes one JIRA sub-task per test case', async () => {
+    const response = await as(owner, 'post', '/jira/subtasks').expect(200);
+    assert.equal(response.body.data.subtasks.length, 3);
+    assert.deepEqual(response.body.data.failures, []);
+    assert.deepEqual(response.body.data.orphaned, []);
+    assert.equal(harness.jira.subtasks.size, 3);
+  });
+
+  it('attaches the PDF document to the issue', async () => {
+    const response = await as(owner, 'post', '/jira/attachment').expect(200);
+    const attachment = harness.jira.attachments.get(response.body.data.attachmentId);
+    assert.equal(attachment.issueKey, 'TEST-1');
+    assert.equal(attachment.buffer.subarray(0, 4).toString(), '%PDF');
+  });
+});
@@ -0,0 +1,89 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { bearer, generate, registerUser, skipWithoutMongo, startTestApp } from '../helpers/testApp.js';
+
+describe('generation versions', { skip: skipWithoutMongo }, () => {
+  let harness;
+  let app;
+  let token;
+  let generationId;
+  let original;
+
+  before(async () => {
+    harness = await startTestApp();
+    app = harness.app;
+    ({ accessToken: token } = await registerUser(app, 'alice@example.com'));
+    ({ generationId } = await generate(app, token, { issueKey: 'TEST-1' }));
+  });
+
+  after(async () => {
+    await harness.stop();
+  });
+
+  function authed(method, path) {
+    return request(app)[method](`/generations/${generationId}${path}`).set('Authorization', bearer(token));
+  }
+
+  it('serves the first version with an ETag', async () => {
+    const response = await authed('get', '/view').expect(200);
+    assert.equal(response.headers.etag, `"${generationId}-v1"`);
+    assert.equal(response.body.data.currentVersion, 1);
+    original = response.body.data;
+  });
+
+  it('saves an edit of the test suite as a new version', async () => {
+    const testSuite = structuredClone(original.testSuite);
+    testSuite.testCases[0].title = 'Sign in with a valid email and password';
+
+    const response = await authed('put', '/content')
+      .set('If-Match', `"${generationId}-v1"`)
+      .send({ testSuite, notes: 'Clearer title' })
+      .expect(200);
+    assert.equal(response.headers.etag, `"${generationId}-v2"`);
+    assert.equal(response.body.data.currentVersion, 2);
+    assert.match(response.body.data.content, /Sign in with a valid email and password/);
+  });
+
+  it('rejects an edit based on a stale version', async () => {
+    const response = await authed('put', '/content')
+      .set('If-Match', `"${generationId}-v1"`)
+      .send({ content: '# Overwritten' })
+      .expect(409);
+    assert.equal(response.body.data.currentVersion, 2);
+    assert.match(response.body.data.content, /Sign in with a valid email and password/);
+  });
+
+  it('rejects markdown that is no longer a complete test suite', async () => {
+    const response = await authed('put', '/content')
+      .set('If-Match', `"${generationId}-v2"`)
+      .send({ content: '# Suite\n\n## Checks\n\n### TC-001: Login\n\nJust log in' })
+      .expect(400);
+    assert.deepEqual(response.body.details, ['testCases[0].expectedResults must contain at least one result']);
+  });
+
+  it('lists versions and serves each one', async () => {
+    const list = await authed('get', '/versions').expect(200);
+    assert.equal(list.body.data.currentVersion, 2);
+    assert.deepEqual(list.body.data.versions.map((version) => version.versionNumber).sort(), [1, 2]);
+
+    const first = await authed('get', '/versions/1').expect(200);
+    assert.equal(first.body.data.version.content, original.content);
+
+    await authed('get', '/versions/9').expect(404);
+  });
+
+  it('diffs two versions', async () => {
+    const response = await authed('get', '/diff?from=1&to=2').expect(200);
+    assert.match(response.body.data.unified, /\+.*Sign in with a valid email and password/);
+  });
+
+  it('restores an earlier version as a new version', async () => {
+    const response = await authed('post', '/versions/1/restore').expect(200);
+    assert.equal(response.body.data.currentVersion, 3);
+    assert.equal(response.body.data.restoredFrom, 1);
+
+    const current = await authed('get', '/view').expect(200);
+    assert.equal(current.body.data.content, original.content);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnthropicProvider } from '../../src/services/llm/anthropicProvider.js';
+
+// A provider whose API answers with the given server-sent event stream, cut into byte chunks
+function streamingProvider(chunks) {
+  const provider = new AnthropicProvider({
+    apiKey: 'key',
+    baseUrl: 'https://anthropic.test',
+    apiVersion: '2023-06-01',
+    defaultModel: 'claude-haiku-4-5',
+  });
+  provider.post = async () => ({
+    body: (async function* body() {
+      yield* chunks;
+    })(),
+  });
+  return provider;
+}
+
+function sse(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+describe('Anthropic provider', () => {
+  it('streams characters split across network chunks intact', async () => {
+    const bytes = Buffer.from([
+      sse({ type: 'message_start', message: { model: 'claude-haiku-4-5', usage: { input_tokens: 10 } } }),
+      sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Anmeldung prüfen → ✓' } }),
+      sse({ type: 'message_delta', usage: { output_tokens: 5 } }),
+    ].join(''));
+    // Split inside the two bytes of "ü" and the three bytes of "→"
+    const splitAt = [bytes.indexOf('ü') + 1, bytes.indexOf(Buffer.from('→')) + 2];
+    const chunks = [bytes.subarray(0, splitAt[0]), bytes.subarray(splitAt[0], splitAt[1]), bytes.subarray(splitAt[1])];
+
+    const deltas = [];
+    const result = await streamingProvider(chunks).stream({
+      model: 'claude-haiku-4-5',
+      messages: [{ role: 'user', content: 'Write tests' }],
+      maxTokens: 100,
+      onDelta: (delta) => deltas.push(delta),
+    });
+    assert.equal(result.content, 'Anmeldung prüfen → ✓');
+    assert.deepEqual(deltas, ['Anmeldung prüfen → ✓']);
+    assert.equal(result.tokenUsage.totalTokens, 15);
+  });
+
+  it('fails on error events', async () => {
+    const provider = streamingProvider([Buffer.from(sse({ type: 'error', error: { message: 'overloaded' } }))]);
+    await assert.rejects(
+      provider.stream({ model: 'claude-haiku-4-5', messages: [{ role: 'user', content: 'x' }], maxTokens: 10 }),
+      /Anthropic API error: overloaded/,
+    );
+  });
+});
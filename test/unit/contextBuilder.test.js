@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIssueContext, estimateTokens } from '../../src/utils/contextBuilder.js';
+import { getTokenizer } from '../../src/utils/tokenizer.js';
+
+const issue = {
+  key: 'PROJ-1',
+  fields: {
+    summary: 'Export orders as CSV',
+    description: 'Admins can export the order list.',
+    labels: ['reports'],
+    components: [{ name: 'Backend' }],
+    comment: { comments: [{ body: 'Older comment' }, { body: 'Newest comment' }] },
+    issuelinks: [{
+      type: { outward: 'blocks' },
+      outwardIssue: { key: 'PROJ-2', fields: { summary: 'Order API', status: { name: 'Done' } } },
+    }],
+    attachment: [{ filename: 'mockup.png', mimeType: 'image/png' }],
+    customfield_100: 'Only admins see the button',
+  },
+};
+
+describe('issue context', () => {
+  it('renders every section in priority order', () => {
+    const { context, truncated, sections } = buildIssueContext(issue, { acceptanceCriteriaFields: ['customfield_100'] });
+    assert.equal(truncated, false);
+    assert.deepEqual(sections.map((section) => section.name), [
+      'title', 'description', 'acceptanceCriteria', 'classification', 'comments', 'linkedIssues', 'attachments',
+    ]);
+    assert.equal(context, [
+      'Title: Export orders as CSV',
+      'Description: Admins can export the order list.',
+      'Acceptance Criteria: Only admins see the button',
+      'Classification:\nLabels: reports\nComponents: Backend',
+      'Comments:\n- Newest comment\n- Older comment',
+      'Linked Issues:\n- blocks PROJ-2: Order API (Done)',
+      'Attachments:\n- mockup.png (image/png)',
+    ].join('\n\n'));
+  });
+
+  it('drops and truncates the lowest priority sections first', () => {
+    const tokenizer = getTokenizer('gpt-4o-mini');
+    const { context, truncated, sections, estimatedTokens } = buildIssueContext(issue, { tokenBudget: 25, tokenizer });
+    assert.equal(truncated, true);
+    assert.ok(estimatedTokens <= 25);
+    assert.match(context, /^Title: Export orders as CSV/);
+    assert.equal(sections.find((section) => section.name === 'attachments').dropped, true);
+  });
+
+  it('cuts a text section that does not fit', () => {
+    const description = 'word '.repeat(200);
+    const { context, sections } = buildIssueContext({ fields: { summary: 'T', description } }, { tokenBudget: 40 });
+    assert.match(context, /\.\.\. \[truncated\]$/);
+    assert.equal(sections[1].truncated, true);
+    assert.ok(estimateTokens(context) <= 40);
+  });
+});
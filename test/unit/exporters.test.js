@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { EXPORT_FORMATS, exportTestSuite } from '../../src/utils/exporters.js';
+
+const testSuite = {
+  title: 'Test Cases for PROJ-1: Checkout',
+  testCases: [
+    {
+      id: 'TC-001',
+      title: 'Pay with a "saved" card',
+      category: 'Functional Requirements',
+      priority: 'High',
+      preconditions: ['A saved card'],
+      steps: ['Open checkout', 'Pick the card'],
+      expectedResults: ['Checkout opens', 'The order is paid'],
+      acceptanceCriterion: 'Saved cards can pay',
+    },
+    {
+      id: 'TC-002',
+      title: 'Card declined',
+      category: 'Edge Cases',
+      priority: null,
+      preconditions: [],
+      steps: ['Pay with a declined card', 'Read the message'],
+      expectedResults: ['An error <b>is</b> shown'],
+      acceptanceCriterion: null,
+    },
+  ],
+};
+
+function exportAs(format) {
+  return exportTestSuite(testSuite, format, { issueKey: 'PROJ-1' });
+}
+
+describe('exporters', () => {
+  it('writes one TestRail row per step, pairing results with steps', async () => {
+    const { body, contentType } = await exportAs('testrail-csv');
+    assert.match(contentType, /text\/csv/);
+    const lines = body.trim().split('\r\n');
+    assert.equal(lines.length, 5);
+    assert.equal(lines[1], '"TC-001: Pay with a ""saved"" card",Functional Requirements,High,Functional,A saved card,PROJ-1,Open checkout,Checkout opens');
+    // Unequal counts put every expected result on the last step
+    assert.equal(lines[3], 'TC-002: Card declined,Edge Cases,Medium,Functional,,PROJ-1,Pay with a declined card,');
+    assert.equal(lines[4], ',,,,,,Read the message,An error <b>is</b> shown');
+  });
+
+  it('files Zephyr test cases under the issue and category', async () => {
+    const { body } = await exportAs('zephyr-csv');
+    assert.match(body, /\/PROJ-1\/Functional Requirements,Draft,High,functional-requirements,PROJ-1/);
+  });
+
+  it('links Xray tests to the issue in the project of its key', async () => {
+    const tests = JSON.parse((await exportAs('xray-json')).body);
+    assert.equal(tests.length, 2);
+    assert.equal(tests[0].fields.project.key, 'PROJ');
+    assert.deepEqual(tests[0].update.issuelinks[0].add.outwardIssue, { key: 'PROJ-1' });
+    assert.deepEqual(tests[0].steps[1], { action: 'Pick the card', data: '', result: 'The order is paid' });
+    assert.equal(tests[1].fields.priority, undefined);
+  });
+
+  it('escapes JUnit XML and groups test cases by category', async () => {
+    const { body } = await exportAs('junit-xml');
+    assert.match(body, /<testsuites name="Test Cases for PROJ-1: Checkout" tests="2" skipped="2">/);
+    assert.match(body, /<testsuite name="Edge Cases" tests="1" skipped="1">/);
+    assert.match(body, /Pay with a &quot;saved&quot; card/);
+    assert.match(body, /An error &lt;b&gt;is&lt;\/b&gt; shown/);
+  });
+
+  it('writes Gherkin scenarios with Given, When and Then', async () => {
+    const { body } = await exportAs('gherkin');
+    assert.match(body, /^@PROJ-1\nFeature: Test Cases for PROJ-1: Checkout/);
+    assert.match(body, /@tc-001 @high @functional-requirements\n {2}Scenario: Pay with a "saved" card/);
+    assert.match(body, / {4}Given A saved card\n {4}When Open checkout\n {4}And Pick the card\n {4}Then Checkout opens/);
+  });
+
+  it('writes an Excel sheet with one row per test case', async () => {
+    const { body } = await exportAs('xlsx');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const sheet = workbook.getWorksheet('Test Cases');
+    assert.equal(sheet.rowCount, 3);
+    assert.equal(sheet.getRow(2).getCell(6).value, '1. Open checkout\n2. Pick the card');
+  });
+
+  it('rejects unknown formats', async () => {
+    assert.ok(!('docx' in EXPORT_FORMATS));
+    await assert.rejects(exportAs('docx'), /Unsupported export format: docx/);
+  });
+});
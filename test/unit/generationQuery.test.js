@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ListQueryError,
+  buildCursorFilter,
+  buildListFilters,
+  decodeCursor,
+  encodeCursor,
+  encodeOffsetCursor,
+  parseFields,
+  parseProjectKey,
+  parseSort,
+  toMongoSort,
+} from '../../src/utils/generationQuery.js';
+
+const ID = '507f1f77bcf86cd799439011';
+
+function rawCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+describe('generation list queries', () => {
+  it('builds filters from query parameters', () => {
+    const conditions = buildListFilters({
+      status: 'completed,failed',
+      mode: 'manual',
+      author: ' Alice@Example.com ',
+      published: 'false',
+      minCost: '0.5',
+      from: '2026-01-01',
+    });
+    assert.deepEqual(conditions, [
+      { status: { $in: ['completed', 'failed'] } },
+      { mode: { $in: ['manual'] } },
+      { email: 'alice@example.com' },
+      { published: { $ne: true } },
+      { cost: { $gte: 0.5 } },
+      { createdAt: { $gte: new Date('2026-01-01') } },
+    ]);
+    assert.deepEqual(buildListFilters({}), []);
+  });
+
+  it('filters by the project of a project key', () => {
+    assert.equal(parseProjectKey(' web '), 'WEB');
+    assert.deepEqual(buildListFilters({ projectKey: 'web' }, { project: { _id: ID } }), [{ project: ID }]);
+    assert.deepEqual(buildListFilters({ projectKey: 'web' }), [{ project: { $in: [] } }]);
+  });
+
+  it('rejects invalid filters', () => {
+    assert.throws(() => buildListFilters({ status: 'done' }), /Invalid status: done/);
+    assert.throws(() => buildListFilters({ projectKey: 'a b' }), ListQueryError);
+    assert.throws(() => buildListFilters({ issueKey: '.*' }), ListQueryError);
+    assert.throws(() => buildListFilters({ published: 'yes' }), /published must be true or false/);
+    assert.throws(() => buildListFilters({ maxCost: 'lots' }), /maxCost must be a number/);
+    assert.throws(() => buildListFilters({ to: 'tomorrow' }), /to must be an ISO date/);
+  });
+
+  it('parses the sort order with the id as tie-breaker', () => {
+    assert.deepEqual(parseSort(undefined), { field: 'createdAt', direction: -1 });
+    assert.deepEqual(parseSort('-cost'), { field: 'cost', direction: -1 });
+    assert.deepEqual(toMongoSort(parseSort('updatedAt')), { updatedAt: 1, _id: 1 });
+    assert.throws(() => parseSort('email'), /Invalid sort: email/);
+  });
+
+  it('round-trips cursors', () => {
+    const sort = { field: 'createdAt', direction: -1 };
+    const createdAt = new Date('2026-03-01T10:00:00.000Z');
+    const cursor = decodeCursor(encodeCursor({ _id: ID, createdAt }, sort));
+    assert.deepEqual(cursor, { f: 'createdAt', d: -1, v: createdAt.toISOString(), id: ID });
+    assert.deepEqual(decodeCursor(encodeOffsetCursor(40)), { o: 40 });
+
+    const filter = buildCursorFilter(cursor, sort);
+    assert.deepEqual(filter.$or[0], { createdAt: { $lt: createdAt } });
+    assert.equal(String(filter.$or[1]._id.$lt), ID);
+    assert.deepEqual(filter.$or[2], { createdAt: null });
+  });
+
+  it('continues after generations without a sort value', () => {
+    const sort = { field: 'cost', direction: 1 };
+    const filter = buildCursorFilter(decodeCursor(encodeCursor({ _id: ID }, sort)), sort);
+    assert.equal(filter.$or.length, 2);
+    assert.deepEqual(filter.$or[1], { cost: { $ne: null } });
+  });
+
+  it('rejects malformed cursors and operator injection', () => {
+    assert.throws(() => decodeCursor('not a cursor'), /Invalid cursor/);
+    assert.throws(() => decodeCursor(rawCursor({ f: 'cost', d: -1, v: { $gt: 0 }, id: ID })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(rawCursor({ f: 'createdAt', d: -1, v: 5, id: ID })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(rawCursor({ f: 'createdAt', d: -1, v: 'yesterday', id: ID })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(rawCursor({ o: -1 })), /Invalid cursor/);
+
+    const cursor = decodeCursor(encodeCursor({ _id: ID, cost: 1 }, { field: 'cost', direction: -1 }));
+    assert.throws(() => buildCursorFilter(cursor, { field: 'cost', direction: 1 }), /different sort order/);
+  });
+
+  it('projects known top-level fields', () => {
+    assert.equal(parseFields(undefined), null);
+    assert.deepEqual(parseFields('issueKey, status'), ['issueKey', 'status']);
+    assert.throws(() => parseFields('issueKey,secret'), /Unknown fields: secret/);
+  });
+});
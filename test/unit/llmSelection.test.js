@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AZURE_OPENAI_ENDPOINT = 'https://example.openai.azure.com';
+process.env.AZURE_OPENAI_API_KEY = 'key';
+process.env.AZURE_OPENAI_DEPLOYMENT = 'tests-default';
+process.env.AZURE_OPENAI_DEPLOYMENT_MODELS = JSON.stringify({ 'tests-default': 'gpt-4o', 'tests-mini': 'gpt-4o-mini' });
+const { getPricingModel, LLMSelectionError, resolveLLMSelection } = await import('../../src/services/llm/index.js');
+
+describe('LLM selection', () => {
+  it('prices Azure deployments as their base model', () => {
+    assert.equal(getPricingModel('azure', 'tests-mini'), 'gpt-4o-mini');
+    assert.equal(getPricingModel('azure', 'gpt-4o'), 'gpt-4o');
+    assert.equal(getPricingModel('openai', 'tests-mini'), 'tests-mini');
+  });
+
+  it('accepts mapped Azure deployments', () => {
+    assert.deepEqual(resolveLLMSelection({ provider: 'azure', model: 'tests-mini' }), { provider: 'azure', model: 'tests-mini' });
+    assert.deepEqual(resolveLLMSelection({ provider: 'azure' }), { provider: 'azure', model: 'tests-default' });
+  });
+
+  it('rejects unpriced Azure deployments', () => {
+    assert.throws(
+      () => resolveLLMSelection({ provider: 'azure', model: 'tests-unknown' }),
+      (error) => error instanceof LLMSelectionError && /AZURE_OPENAI_DEPLOYMENT_MODELS/.test(error.message),
+    );
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCost, getModelPricing } from '../../src/utils/pricing.js';
+
+describe('pricing', () => {
+  it('looks up models case-insensitively', () => {
+    assert.deepEqual(getModelPricing('GPT-4o-mini'), { model: 'gpt-4o-mini', input: 0.15, cachedInput: 0.075, output: 0.6 });
+    assert.equal(getModelPricing(''), null);
+    assert.equal(getModelPricing(null), null);
+  });
+
+  it('resolves dated snapshots to their model', () => {
+    assert.equal(getModelPricing('gpt-4o-mini-2024-07-18').model, 'gpt-4o-mini');
+    assert.equal(getModelPricing('claude-sonnet-4-5-20250929').model, 'claude-sonnet-4-5');
+  });
+
+  it('leaves other variants unpriced', () => {
+    assert.equal(getModelPricing('gpt-5-pro'), null);
+    assert.equal(getModelPricing('gpt-4o-audio-preview'), null);
+    assert.equal(getModelPricing('llama3.1'), null);
+  });
+
+  it('charges cached prompt tokens at the cached rate', () => {
+    const cost = calculateCost('gpt-4o-mini', { promptTokens: 1_000_000, cachedTokens: 400_000, completionTokens: 100_000 });
+    assert.ok(Math.abs(cost - (0.6 * 0.15 + 0.4 * 0.075 + 0.1 * 0.6)) < 1e-12);
+    assert.equal(calculateCost('gpt-4o-mini'), 0);
+    assert.equal(calculateCost('unknown-model', { promptTokens: 10 }), null);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PromptTemplateError,
+  buildTemplateVariables,
+  getBuiltInTemplate,
+  getPromptPurpose,
+  renderTemplate,
+  validateTemplateText,
+} from '../../src/services/promptService.js';
+
+describe('prompt templates', () => {
+  it('picks the purpose of a generation', () => {
+    assert.equal(getPromptPurpose(false, null), 'manual');
+    assert.equal(getPromptPurpose(true, 'playwright'), 'playwright');
+    assert.equal(getPromptPurpose(true, 'api'), 'api');
+  });
+
+  it('renders variables and leaves unknown placeholders alone', () => {
+    const variables = buildTemplateVariables({
+      issueKey: 'PROJ-1',
+      title: 'Checkout',
+      context: 'Details',
+      project: { projectKey: 'PROJ', conventions: 'Use Given/When/Then.' },
+    });
+    assert.deepEqual(variables, {
+      issueKey: 'PROJ-1',
+      title: 'Checkout',
+      context: 'Details',
+      projectKey: 'PROJ',
+      projectName: 'PROJ',
+      conventions: 'Use Given/When/Then.',
+    });
+    assert.equal(
+      renderTemplate('{{ issueKey }}: {{title}} {{other}}\n\n{{conventions}}', variables),
+      'PROJ-1: Checkout {{other}}\n\nUse Given/When/Then.',
+    );
+    assert.equal(renderTemplate('{{context}}\n\n{{conventions}}', { context: 'C' }), 'C');
+  });
+
+  it('derives the project key from the issue without a project', () => {
+    assert.equal(buildTemplateVariables({ issueKey: 'PROJ-1' }).projectKey, 'PROJ');
+  });
+
+  it('accepts the built-in templates', () => {
+    for (const purpose of ['manual', 'playwright', 'api']) {
+      assert.doesNotThrow(() => validateTemplateText(getBuiltInTemplate(purpose)));
+    }
+  });
+
+  it('rejects empty prompts, unknown variables and a missing context', () => {
+    assert.throws(() => validateTemplateText({ systemPrompt: ' ', userPrompt: '{{context}}' }), /systemPrompt must be a non-empty string/);
+    assert.throws(
+      () => validateTemplateText({ systemPrompt: 'Hi {{author}}', userPrompt: '{{context}}' }),
+      (error) => error instanceof PromptTemplateError && error.status === 400 && /Unknown template variables: author/.test(error.message),
+    );
+    assert.throws(() => validateTemplateText({ systemPrompt: 'Hi', userPrompt: '{{title}}' }), /must include \{\{context\}\}/);
+  });
+});
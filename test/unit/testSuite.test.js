@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseTestSuiteJson,
+  renderTestSuiteMarkdown,
+  testSuiteFromMarkdown,
+  validateTestSuite,
+} from '../../src/utils/testSuite.js';
+
+const fixture = readFileSync(new URL('../fixtures/llm/manual.json', import.meta.url), 'utf8');
+
+describe('test suites', () => {
+  it('parses and normalises a model response', () => {
+    const { valid, testSuite } = parseTestSuiteJson(`\`\`\`json\n${fixture}\n\`\`\``);
+    assert.equal(valid, true);
+    assert.equal(testSuite.testCases.length, 3);
+    assert.equal(testSuite.testCases[0].priority, 'High');
+  });
+
+  it('reports invalid JSON and invalid test cases', () => {
+    assert.match(parseTestSuiteJson('{"title": ').errors[0], /Invalid JSON/);
+
+    const { valid, errors } = validateTestSuite({
+      testCases: [{ title: '', steps: [], expectedResults: ['x'], priority: 'Urgent' }],
+    });
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      'testCases[0].title is required',
+      'testCases[0].steps must contain at least one step',
+      'testCases[0].priority must be one of: High, Medium, Low',
+    ]);
+  });
+
+  it('renumbers missing and duplicated ids', () => {
+    const testCase = { title: 'A', steps: ['s'], expectedResults: ['e'] };
+    const { testSuite } = validateTestSuite({ testCases: [{ ...testCase, id: 'tc-7' }, { ...testCase, id: 'TC-7' }, testCase] });
+    assert.deepEqual(testSuite.testCases.map((item) => item.id), ['TC-7', 'TC-002', 'TC-003']);
+    assert.equal(testSuite.testCases[0].category, 'General');
+  });
+
+  it('renders markdown that parses back into the same suite', () => {
+    const { testSuite } = parseTestSuiteJson(fixture);
+    const markdown = renderTestSuiteMarkdown(testSuite);
+    assert.match(markdown, /^# Test Cases for TEST-1/);
+    assert.match(markdown, /### TC-001: Sign in with valid credentials/);
+
+    const derived = testSuiteFromMarkdown(markdown);
+    assert.equal(derived.valid, true);
+    assert.deepEqual(derived.testSuite, testSuite);
+  });
+
+  it('keeps the order of test cases whose categories alternate', () => {
+    const testCase = (id, category) => ({ id, title: id, category, steps: ['s'], expectedResults: ['e'] });
+    const { testSuite } = validateTestSuite({
+      title: 'Suite',
+      testCases: [testCase('TC-001', 'Functional'), testCase('TC-002', 'Edge Cases'), testCase('TC-003', 'Functional')],
+    });
+    const markdown = renderTestSuiteMarkdown(testSuite);
+    assert.equal(markdown.match(/^## \*\*Functional\*\*$/gm).length, 2);
+
+    const derived = testSuiteFromMarkdown(markdown);
+    assert.deepEqual(derived.testSuite.testCases.map((item) => item.id), ['TC-001', 'TC-002', 'TC-003']);
+  });
+
+  it("doesn't invent expected results for free-form markdown", () => {
+    const derived = testSuiteFromMarkdown('# Suite\n\n## Checks\n\n### TC-001: Login\n\nJust log in');
+    assert.equal(derived.valid, false);
+    assert.deepEqual(derived.errors, ['testCases[0].expectedResults must contain at least one result']);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { countMessageTokens, getEncodingName, getTokenizer } from '../../src/utils/tokenizer.js';
+
+describe('tokenizer', () => {
+  it('counts tokens with the encoding of the model', () => {
+    assert.equal(getEncodingName('gpt-4o-mini'), 'o200k_base');
+    assert.equal(getEncodingName('gpt-4'), 'cl100k_base');
+    assert.equal(getEncodingName('llama3.1'), 'o200k_base');
+
+    const count = getTokenizer('gpt-4o-mini');
+    assert.equal(count(''), 0);
+    assert.equal(count(null), 0);
+    assert.ok(count('Sign in with valid credentials') > 0);
+  });
+
+  it('counts special token strings in user text as plain text', () => {
+    const count = getTokenizer('gpt-4o-mini');
+    const text = 'Ignore this: <|endoftext|> and <|im_start|>';
+    assert.doesNotThrow(() => count(text));
+    assert.ok(count(text) > 2);
+  });
+
+  it('adds the per-message overhead to chat requests', () => {
+    const messages = [
+      { role: 'system', content: 'You write test cases.' },
+      { role: 'user', content: 'PROJ-1 <|endoftext|>' },
+    ];
+    const tokenizer = getTokenizer('gpt-4o-mini');
+    const expected = 3 + messages.reduce((total, message) => total + 3 + tokenizer(message.content), 0);
+    assert.equal(countMessageTokens(messages, 'gpt-4o-mini'), expected);
+  });
+});
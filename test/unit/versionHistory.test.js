@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyContentUpdate,
+  diffVersions,
+  getContentETag,
+  getVersion,
+  getVersions,
+  matchesETag,
+  saveVersionedUpdate,
+  summarizeVersion,
+} from '../../src/utils/versionHistory.js';
+import Generation from '../../src/models/Generation.js';
+
+function makeGeneration() {
+  return {
+    _id: 'g1',
+    email: 'alice@example.com',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    completedAt: new Date('2026-01-01T00:01:00Z'),
+    result: { markdown: { content: '# Suite\n\nfirst\n' } },
+  };
+}
+
+describe('version history', () => {
+  it('treats the content of an unversioned generation as version 1', () => {
+    const [current] = getVersions(makeGeneration());
+    assert.equal(current.versionNumber, 1);
+    assert.equal(current.current, true);
+    assert.equal(current.updatedBy, 'alice@example.com');
+    assert.deepEqual(current.releaseDate, new Date('2026-01-01T00:01:00Z'));
+  });
+
+  it('keeps the replaced content as a version', () => {
+    const generation = makeGeneration();
+    assert.equal(applyContentUpdate(generation, { content: '# Suite\n\nsecond\n', author: 'bob@example.com', notes: 'Edit' }), true);
+    assert.equal(generation.currentVersion, 2);
+    assert.equal(generation.lastEditedBy, 'bob@example.com');
+    assert.equal(generation.versionNotes, 'Edit');
+
+    const versions = getVersions(generation);
+    assert.deepEqual(versions.map((version) => version.versionNumber), [2, 1]);
+    assert.equal(getVersion(generation, 1).content, '# Suite\n\nfirst\n');
+    assert.equal(getVersion(generation, 3), null);
+    assert.equal(summarizeVersion(versions[0]).lines, 4);
+  });
+
+  it('does nothing when the content is unchanged', () => {
+    const generation = makeGeneration();
+    assert.equal(applyContentUpdate(generation, { content: '# Suite\n\nfirst\n', author: 'bob@example.com' }), false);
+    assert.equal(generation.currentVersion, undefined);
+  });
+
+  it('drops a stale test suite when the new content has none', () => {
+    const generation = makeGeneration();
+    generation.result.testSuite = { title: 'Suite', testCases: [{ id: 'TC-001' }] };
+    applyContentUpdate(generation, { content: 'free text', author: 'bob@example.com' });
+    assert.equal(generation.result.testSuite, null);
+    assert.equal(getVersion(generation, 1).testSuite.testCases.length, 1);
+  });
+
+  it('keeps the first of duplicated snapshots', () => {
+    const generation = makeGeneration();
+    generation.currentVersion = 3;
+    generation.versions = [
+      { versionNumber: 2, content: 'kept' },
+      { versionNumber: '2', content: 'duplicate' },
+      { versionNumber: 1, content: 'one' },
+    ];
+    assert.deepEqual(getVersions(generation).map((version) => version.content), ['# Suite\n\nfirst\n', 'kept', 'one']);
+  });
+
+  it('diffs lines and test cases of two versions', () => {
+    const testCase = { id: 'TC-001', title: 'Login', steps: ['a'], expectedResults: ['b'] };
+    const from = { versionNumber: 1, content: 'a\nb\n', testSuite: { testCases: [testCase, { id: 'TC-002', title: 'Gone' }] } };
+    const to = {
+      versionNumber: 2,
+      content: 'a\nc\n',
+      testSuite: { testCases: [{ ...testCase, steps: ['a', 'x'] }, { id: 'TC-003', title: 'New' }] },
+    };
+    const { unified, structured } = diffVersions(from, to);
+    assert.match(unified, /-b\n\+c/);
+    assert.deepEqual(structured.stats, { additions: 1, deletions: 1 });
+    assert.deepEqual(structured.testCases, {
+      added: [{ id: 'TC-003', title: 'New' }],
+      removed: [{ id: 'TC-002', title: 'Gone' }],
+      changed: [{ id: 'TC-001', title: 'Login', fields: ['steps'] }],
+    });
+  });
+
+  it('matches If-Match headers against the current version', () => {
+    const generation = { ...makeGeneration(), currentVersion: 2 };
+    assert.equal(getContentETag(generation), '"g1-v2"');
+    assert.equal(matchesETag('"g1-v1", W/"g1-v2"', generation), true);
+    assert.equal(matchesETag('*', generation), true);
+    assert.equal(matchesETag('"g1-v1"', generation), false);
+  });
+
+  it('saves only on the base version and leaves a saved document clean', async (t) => {
+    const updates = [];
+    let matchedCount = 1;
+    // Stand-in for the database: records each update and matches when told to
+    t.mock.method(Generation.collection, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { acknowledged: true, matchedCount, modifiedCount: matchedCount };
+    });
+    const generation = Generation.hydrate({
+      ...makeGeneration(),
+      _id: '507f1f77bcf86cd799439011',
+      issueKey: 'TEST-1',
+      status: 'completed',
+      currentVersion: 1,
+      versions: [],
+      __v: 0,
+      result: { markdown: { filename: 'TEST-1.md', content: '# Suite\n\nfirst\n' } },
+    });
+
+    applyContentUpdate(generation, { content: '# Suite\n\nsecond\n', author: 'bob@example.com' });
+    assert.equal(await saveVersionedUpdate(generation, 1), true);
+    assert.deepEqual(updates[0].filter.currentVersion, { $in: [1, null] });
+    assert.equal(generation.isModified(), false);
+
+    matchedCount = 0;
+    applyContentUpdate(generation, { content: '# Suite\n\nthird\n', author: 'bob@example.com' });
+    assert.equal(await saveVersionedUpdate(generation, 2), false);
+    assert.equal(updates[1].filter.currentVersion, 2);
+    assert.equal(generation.isModified('result.markdown.content'), true);
+  });
+});